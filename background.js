@@ -10,9 +10,13 @@
  * phases. The alarm wakes the worker, runs one poll tick, then exits.
  * All inter-tick state is persisted in chrome.storage.local.
  *
+ * Each source runs as its own job in a persistent queue ('pipelineJobs').
+ * Every alarm tick advances all running jobs, and queued jobs start as
+ * soon as fewer than the configured number of jobs are running.
+ *
  * Pipeline:
  * 1. Authenticate (CSRF + session tokens)         -- sync network call
- * 2. Create notebook                              -- sync network call
+ * 2. Create notebook (or reuse a chosen one)       -- sync network call
  * 3. Add source (URL or file upload)              -- sync network call
  * 4. [ALARM] Poll every 15s -- wait for source ingestion (up to 10 min)
  * 5.         On source ready: trigger selected artifacts with pacing
@@ -22,10 +26,16 @@
 
 import {
     fetchTokens,
+    setAuthUser,
+    listAccounts,
     getNotebookUrl,
+    listNotebooks,
     createNotebook,
     deleteNotebook,
     addUrlSource,
+    addYoutubeSource,
+    extractYoutubeVideoId,
+    addTextSource,
     addFileSource,
     listSources,
     getNotebookTitle,
@@ -39,6 +49,8 @@ import {
     generateMindMap,
     generateDataTable,
     listArtifactStatuses,
+    getArtifactMedia,
+    ArtifactTypeCode,
     AudioLength,
     AudioFormat,
     VideoFormat,
@@ -52,61 +64,153 @@ import {
     InfographicDetail,
     InfographicStyle,
     SourceStatus,
+    ErrorCode,
+    codedError,
 } from './notebooklm-api.js';
+import {
+    storeUploadFile,
+    readUploadFile,
+    deleteUploadFiles,
+    listUploadFileKeys,
+    uploadFileStoredAt,
+} from './upload-store.js';
 
 const ALARM_NAME = 'pipeline-poll';
 const ARTIFACT_START_DELAY_MS = 1000;
 
+// Minutes each artifact type may take before it is marked 'timed_out'.
+// Video and slide decks routinely take far longer than text artifacts.
+const ARTIFACT_TIMEOUT_MINUTES = {
+    audio: 25,
+    video: 45,
+    slide_deck: 30,
+    infographic: 20,
+    report: 15,
+    quiz: 15,
+    flashcards: 15,
+    mind_map: 10,
+    data_table: 15,
+};
+const DEFAULT_ARTIFACT_TIMEOUT_MINUTES = 20;
+// Extra monitoring granted to timed-out artifacts by "Keep waiting".
+const ARTIFACT_EXTRA_WAIT_MINUTES = 15;
+
 // =========================================================================
 // State management
 // =========================================================================
 
-const INITIAL_STATE = {
-    status: 'idle',          // idle | running | completed | error
+const INITIAL_JOB_STATE = {
+    id: null,                // unique job id
+    status: 'queued',        // queued | running | duplicate | completed | error
     step: null,              // current step name
     stepDetail: '',          // human-readable detail for current step
     pdfUrl: null,
-    sourceType: 'pdf',       // pdf | webpage
+    sourceType: 'pdf',       // pdf | webpage | text | youtube, or an UPLOAD_FILE_TYPES key for local files
     pageUrl: null,
     sourceTitle: null,
+    sourceMetadata: null,    // { authors, date } read from the page, for prompt variables
+    contentHash: null,       // SHA-256 of an uploaded or downloaded file (see sha256Hex), used to spot re-sends
     notebookId: null,
     notebookUrl: null,
     notebookTitle: null,
+    reusedNotebook: false,   // true when the source was added to an existing notebook
+    artifactScope: 'new_source', // new_source | all_sources
     sourceId: null,
-    tasks: [],               // [{ type, taskId, status }] for each artifact being generated
+    sourceIds: [],           // every source added by this run (multi-PDF runs add several)
+    tasks: [],               // [{ type, taskId, status, deadlineAt }] per artifact; status in_progress | completed | failed | timed_out
     error: null,
+    errorCode: null,         // ErrorCode of the failure, mapped to recovery actions in the popup
+    queuedAt: null,
     startedAt: null,
     completedAt: null,
     stepStartedAt: null,     // ISO timestamp when the current polling phase began
+    authUser: 0,             // Google account index the run is bound to
+    profileId: null,         // settings profile chosen at start (null = default settings)
+    profileName: null,
+    profileSettings: null,   // snapshot of that profile's settings, taken when queued
+    siteRulePattern: null,   // pattern of the site rule that matched the source, if any
+    requestedNotebookTitle: null, // title from the site rule's template for new notebooks
+    request: null,           // runPipeline arguments, kept until the source is added (and after a failed setup, for retrying)
+    duplicateOf: null,       // existing notebook holding the same source while status is 'duplicate'
 };
 
-async function getState() {
-    const result = await chrome.storage.local.get('pipelineState');
-    return result.pipelineState || { ...INITIAL_STATE };
+// Finished jobs kept in the popup list before the oldest are dropped.
+const MAX_FINISHED_JOBS = 20;
+
+// The notebook a job's run created, which a failed setup deletes as blank.
+// Null for a notebook picked in the popup: the job may be gone by then.
+function createdNotebookId(job) {
+    return job.reusedNotebook ? null : job.notebookId;
+}
+
+function isActiveJob(job) {
+    return job.status === 'queued' || job.status === 'running';
+}
+
+// Paused before creating a notebook until the user picks what to do with a
+// source that was already sent.
+function isAwaitingDecision(job) {
+    return job.status === 'duplicate';
+}
+
+async function getJobs() {
+    const result = await chrome.storage.local.get('pipelineJobs');
+    return Array.isArray(result.pipelineJobs) ? result.pipelineJobs : [];
+}
+
+async function getJobState(jobId) {
+    const jobs = await getJobs();
+    return jobs.find(job => job.id === jobId) || null;
 }
 
 let stateMutationQueue = Promise.resolve();
 
-async function setState(updates) {
-    const applyUpdate = async () => {
-        const current = await getState();
-        const resolved = typeof updates === 'function' ? updates(current) : updates;
-        const newState = { ...current, ...resolved };
-        await chrome.storage.local.set({ pipelineState: newState });
-        return newState;
+// Every write to the job list goes through this queue so concurrent jobs
+// never overwrite each other's updates.
+async function mutateJobs(mutator) {
+    const applyMutation = async () => {
+        const current = await getJobs();
+        const next = mutator(current);
+        await chrome.storage.local.set({ pipelineJobs: next });
+        return next;
     };
-    stateMutationQueue = stateMutationQueue.then(applyUpdate, applyUpdate);
+    stateMutationQueue = stateMutationQueue.then(applyMutation, applyMutation);
     return stateMutationQueue;
 }
 
-async function resetState() {
-    const applyReset = async () => {
-        const reset = { ...INITIAL_STATE };
-        await chrome.storage.local.set({ pipelineState: reset });
-        return reset;
+/**
+ * Merge updates into one job. Returns the updated job, or null when the job
+ * was removed (e.g. stopped from the popup) while a step was still running.
+ */
+async function setJobState(jobId, updates) {
+    let updated = null;
+    await mutateJobs(jobs => jobs.map(job => {
+        if (job.id !== jobId) return job;
+        const resolved = typeof updates === 'function' ? updates(job) : updates;
+        updated = { ...job, ...resolved };
+        return updated;
+    }));
+    return updated;
+}
+
+async function enqueueJob(fields) {
+    const job = {
+        ...INITIAL_JOB_STATE,
+        ...fields,
+        id: `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        status: 'queued',
+        stepDetail: 'Waiting for a free slot...',
+        queuedAt: new Date().toISOString(),
     };
-    stateMutationQueue = stateMutationQueue.then(applyReset, applyReset);
-    return stateMutationQueue;
+    await mutateJobs(jobs => {
+        let finishedCount = 0;
+        return [job, ...jobs].filter(j => isActiveJob(j) || isAwaitingDecision(j) || ++finishedCount <= MAX_FINISHED_JOBS);
+    });
+    return job;
+}
+
+async function removeJobs(predicate) {
+    return mutateJobs(jobs => jobs.filter(job => !predicate(job)));
 }
 
 function isWebpageSourceType(sourceType) {
@@ -118,22 +222,133 @@ function normalizeSourceTitle(value) {
     const title = value.replace(/\s+/g, ' ').trim()
         .replace(/^\[[\d.]+(?:v\d+)?\]\s*/, '')
         .replace(/\s*[|\-]\s*arXiv(?:\.org)?\s*$/i, '')
+        .replace(/^(?:\(\d+\)\s*)?(.*?)\s*-\s*YouTube\s*$/i, '$1')
         .trim();
     return title && !/^untitled$/i.test(title) ? title.substring(0, 300) : '';
 }
 
+function isTextSourceType(sourceType) {
+    return sourceType === 'text';
+}
+
+function isYoutubeSourceType(sourceType) {
+    return sourceType === 'youtube';
+}
+
+// Local files NotebookLM accepts, keyed by the sourceType their jobs get.
+// Image and audio MIME types come from the file signature (see
+// sniffUploadFileType); extensions[0] is appended to names that lack one.
+const UPLOAD_FILE_TYPES = {
+    pdf: { label: 'PDF', mimeType: 'application/pdf', extensions: ['pdf'] },
+    docx: {
+        label: 'Word document',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extensions: ['docx'],
+    },
+    epub: { label: 'EPUB book', mimeType: 'application/epub+zip', extensions: ['epub'] },
+    markdown: { label: 'Markdown file', mimeType: 'text/markdown', extensions: ['md', 'markdown'] },
+    text_file: { label: 'text file', mimeType: 'text/plain', extensions: ['txt'] },
+    image: { label: 'image', mimeType: null, extensions: ['png', 'jpg', 'jpeg', 'gif', 'webp'] },
+    audio: { label: 'audio file', mimeType: null, extensions: ['mp3', 'wav', 'm4a', 'aac', 'ogg', 'flac'] },
+};
+
 function getSourceLabel(sourceType) {
-    return isWebpageSourceType(sourceType) ? 'webpage source' : 'PDF source';
+    if (isYoutubeSourceType(sourceType)) return 'YouTube video source';
+    if (isTextSourceType(sourceType)) return 'text source';
+    if (isWebpageSourceType(sourceType)) return 'webpage source';
+    return `${(UPLOAD_FILE_TYPES[sourceType] || UPLOAD_FILE_TYPES.pdf).label} source`;
 }
 
 function getIngestionLabel(sourceType) {
-    return isWebpageSourceType(sourceType) ? 'webpage ingestion' : 'PDF ingestion';
+    if (isYoutubeSourceType(sourceType)) return 'YouTube transcript ingestion';
+    if (isTextSourceType(sourceType)) return 'text ingestion';
+    if (isWebpageSourceType(sourceType)) return 'webpage ingestion';
+    return `${(UPLOAD_FILE_TYPES[sourceType] || UPLOAD_FILE_TYPES.pdf).label} ingestion`;
 }
 
 function isLikelyPdfUrl(url) {
     return typeof url === 'string' && /\.pdf(\?|#|$)/i.test(url);
 }
 
+// Same construction as content.js: arxiv.org/abs/<id> -> arxiv.org/pdf/<id>
+function arxivPdfUrl(arxivId) {
+    return `https://arxiv.org/pdf/${arxivId}`;
+}
+
+/**
+ * Decide how a bare URL should be sent: YouTube videos as video sources,
+ * arXiv abstract/HTML pages as their PDF, PDF links as PDFs and anything
+ * else as a webpage. Returns { url, sourceType }.
+ */
+function resolveUrlSource(url) {
+    if (extractYoutubeVideoId(url)) {
+        return { url, sourceType: 'youtube' };
+    }
+    const arxivPageMatch = url.match(/^https?:\/\/arxiv\.org\/(?:abs|html)\/([\d.]+)(v\d+)?/);
+    if (arxivPageMatch) {
+        return { url: arxivPdfUrl(arxivPageMatch[1] + (arxivPageMatch[2] || '')), sourceType: 'pdf' };
+    }
+    if (isLikelyPdfUrl(url) || /arxiv\.org\/pdf\//.test(url)) {
+        return { url, sourceType: 'pdf' };
+    }
+    return { url, sourceType: 'webpage' };
+}
+
+// Query parameters that only track where a link was clicked.
+const TRACKING_PARAM_PATTERN = /^(?:utm_\w+|fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|igshid|_hsenc|_hsmi|ref|ref_src)$/i;
+
+/**
+ * Key under which the same source is recognised again: arXiv papers by ID
+ * without their version suffix, YouTube videos by video ID, and any other
+ * URL without its scheme, "www.", fragment, trailing slash and tracking
+ * parameters.
+ */
+function normalizeSourceUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) return null;
+    const youtubeId = extractYoutubeVideoId(url);
+    if (youtubeId) return `youtube:${youtubeId}`;
+    const arxivMatch = url.match(/^https?:\/\/(?:www\.|export\.)?arxiv\.org\/(?:abs|pdf|html)\/(\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})/i);
+    if (arxivMatch) return `arxiv:${arxivMatch[1].toLowerCase()}`;
+
+    let parsed;
+    try {
+        parsed = new URL(url.trim());
+    } catch {
+        return url.trim();
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return parsed.href;
+    for (const name of [...parsed.searchParams.keys()]) {
+        if (TRACKING_PARAM_PATTERN.test(name)) parsed.searchParams.delete(name);
+    }
+    parsed.searchParams.sort();
+    const query = parsed.searchParams.toString();
+    const host = parsed.host.toLowerCase().replace(/^www\./, '');
+    return `${host}${parsed.pathname.replace(/\/+$/, '')}${query ? `?${query}` : ''}`;
+}
+
+function bytesToHex(buffer) {
+    return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Files are hashed a slice at a time, so a large one is never read whole. A
+// file of more than one slice gets the SHA-256 of its slices' digests.
+const HASH_SLICE_BYTES = 8 * 1024 * 1024;
+
+async function sha256Hex(fileData) {
+    const blob = fileData instanceof Blob
+        ? fileData
+        : new Blob([typeof fileData === 'string' ? Uint8Array.from(atob(fileData), c => c.charCodeAt(0)) : fileData]);
+    const digests = [];
+    for (let offset = 0; offset === 0 || offset < blob.size; offset += HASH_SLICE_BYTES) {
+        const slice = await blob.slice(offset, offset + HASH_SLICE_BYTES).arrayBuffer();
+        digests.push(await crypto.subtle.digest('SHA-256', slice));
+    }
+    const digest = digests.length === 1
+        ? digests[0]
+        : await crypto.subtle.digest('SHA-256', await new Blob(digests).arrayBuffer());
+    return bytesToHex(digest);
+}
+
 function extractHttpStatusFromMessage(message) {
     if (typeof message !== 'string') return null;
     const match = message.match(/\bHTTP\s+(\d{3})\b/i);
@@ -150,22 +365,51 @@ function hostFromUrl(url) {
     }
 }
 
-function buildFallbackUploadErrorMessage(urlErr, fallbackErr, pdfUrl) {
-    const urlMsg = urlErr?.message || 'URL source blocked';
-    const fallbackMsg = fallbackErr?.message || 'fallback upload failed';
+const ERROR_CODE_PREFIX = /^([A-Z_]+):\s*/;
+
+// Errors from codedError() carry their code; the "CODE: " message prefix is
+// only read for errors that lost it on the way, such as plain messages.
+function errorCodeOf(err) {
+    if (ErrorCode[err?.code]) return err.code;
+    const match = String(err?.message ?? err ?? '').match(ERROR_CODE_PREFIX);
+    return match && ErrorCode[match[1]] ? match[1] : ErrorCode.UNKNOWN;
+}
+
+// The message without its "CODE: " prefix, for display.
+function errorMessageOf(err) {
+    const message = String(err?.message ?? err ?? '') || 'Unknown error';
+    const match = message.match(ERROR_CODE_PREFIX);
+    return match && ErrorCode[match[1]] ? message.slice(match[0].length) : message;
+}
+
+function buildFallbackUploadError(urlErr, fallbackErr, pdfUrl) {
+    const urlMsg = urlErr ? errorMessageOf(urlErr) : 'URL source blocked';
+    const fallbackMsg = fallbackErr ? errorMessageOf(fallbackErr) : 'fallback upload failed';
     const fallbackStatus = extractHttpStatusFromMessage(fallbackMsg);
 
     if (fallbackStatus === 401 || fallbackStatus === 403) {
         const host = hostFromUrl(pdfUrl);
         const hostText = host ? ` (${host})` : '';
-        return `Source site blocked automated PDF download${hostText} (HTTP ${fallbackStatus}). Download the PDF manually and retry with "Upload Local PDF" or "Choose Different PDF". URL source error: ${urlMsg}.`;
+        return codedError(
+            ErrorCode.SOURCE_BLOCKED,
+            `Source site blocked automated PDF download${hostText} (HTTP ${fallbackStatus}). Download the PDF manually and retry with "Upload Local PDF" or "Choose Different PDF". URL source error: ${urlMsg}.`
+        );
     }
 
     if (/does not appear to be a PDF/i.test(fallbackMsg)) {
-        return `The detected URL did not return a real PDF file. Open the direct PDF URL or retry with "Upload Local PDF". URL source error: ${urlMsg}. Fallback detail: ${fallbackMsg}.`;
+        return codedError(
+            ErrorCode.NOT_A_PDF,
+            `The detected URL did not return a real PDF file. Open the direct PDF URL or retry with "Upload Local PDF". URL source error: ${urlMsg}. Fallback detail: ${fallbackMsg}.`
+        );
     }
 
-    return `${urlMsg}; fallback upload failed: ${fallbackMsg}`;
+    // NotebookLM's own failures (auth, network) keep their code; anything
+    // else means neither NotebookLM nor the extension could fetch the PDF.
+    const fallbackCode = errorCodeOf(fallbackErr);
+    return codedError(
+        fallbackCode === ErrorCode.UNKNOWN ? ErrorCode.SOURCE_BLOCKED : fallbackCode,
+        `${urlMsg}; fallback upload failed: ${fallbackMsg}`
+    );
 }
 
 function decodeFilenameValue(raw) {
@@ -217,10 +461,12 @@ function filenameFromUrl(url) {
     return null;
 }
 
-function ensurePdfFilename(name) {
+// Append `.extension` unless the name already ends in one of `accepted`.
+function ensureFilenameExtension(name, extension, accepted = [extension]) {
     const sanitized = String(name || '').trim();
-    if (!sanitized) return 'uploaded.pdf';
-    return /\.pdf$/i.test(sanitized) ? sanitized : `${sanitized}.pdf`;
+    if (!sanitized) return `uploaded.${extension}`;
+    const current = sanitized.match(/\.([a-z0-9]+)$/i)?.[1]?.toLowerCase();
+    return accepted.includes(current) ? sanitized : `${sanitized}.${extension}`;
 }
 
 async function downloadRemotePdfForUpload(pdfUrl, pageUrl = null) {
@@ -236,16 +482,17 @@ async function downloadRemotePdfForUpload(pdfUrl, pageUrl = null) {
     });
 
     if (!response.ok) {
-        throw new Error(`HTTP ${response.status} while downloading source PDF`);
+        throw codedError(ErrorCode.SOURCE_BLOCKED, `HTTP ${response.status} while downloading source PDF`);
     }
 
     const contentType = response.headers.get('content-type') || '';
     const contentDisposition = response.headers.get('content-disposition') || '';
-    const filename = ensurePdfFilename(
+    const filename = ensureFilenameExtension(
         filenameFromContentDisposition(contentDisposition) ||
         filenameFromUrl(response.url || pdfUrl) ||
         filenameFromUrl(pdfUrl) ||
-        'uploaded.pdf'
+        'uploaded.pdf',
+        'pdf'
     );
 
     // Accept common PDF delivery types: application/pdf or generic binary payloads.
@@ -261,7 +508,7 @@ async function downloadRemotePdfForUpload(pdfUrl, pageUrl = null) {
         bytes[3] === 0x46;   // F
 
     if (!likelyPdfMime && !likelyPdfUrl && !hasPdfMagic) {
-        throw new Error('Downloaded content does not appear to be a PDF');
+        throw codedError(ErrorCode.NOT_A_PDF, 'Downloaded content does not appear to be a PDF');
     }
 
     return {
@@ -284,6 +531,19 @@ function clearBadge() {
     chrome.action.setBadgeText({ text: '' });
 }
 
+// Show the number of unfinished jobs; once none are left, show the outcome
+// of the job that finished last.
+async function refreshBadge(finishedText = null, finishedColor = null) {
+    const activeCount = (await getJobs()).filter(isActiveJob).length;
+    if (activeCount > 0) {
+        setBadge(String(activeCount), '#6b7a8d');
+    } else if (finishedText) {
+        setBadge(finishedText, finishedColor);
+    } else {
+        clearBadge();
+    }
+}
+
 // =========================================================================
 // Settings
 // =========================================================================
@@ -337,11 +597,152 @@ const DEFAULT_SETTINGS = {
     chimeEnabled: true,
     autoOpenNotebook: false,
     useSourceTitleForNotebook: true,
+    // Webhook
+    webhookUrl: '',             // endpoint that receives a JSON POST per pipeline event ('' = off)
+    webhookSecret: '',          // HMAC-SHA256 key for the X-NotebookLM-Signature header
+    // Notifications while artifacts generate
+    progressNotification: true,     // one progress bar per job, updated as artifacts settle
+    artifactNotifications: false,   // a separate "ready" notification for each artifact
+    // Duplicates
+    duplicateCheck: true,           // pause when the source was already sent from this browser
+    duplicateCheckNotebooks: false, // also look through the sources of recent notebooks
+    // Queue
+    maxConcurrentJobs: 2,       // jobs running at the same time; the rest wait in the queue
+    // Account
+    authUser: 0,                // Google multi-login index ('authuser')
 };
 
+// Settings and profiles live in chrome.storage.sync when the popup's sync
+// switch (kept per computer) is on.
+async function settingsStorageArea() {
+    const { settingsSyncEnabled } = await chrome.storage.local.get('settingsSyncEnabled');
+    return settingsSyncEnabled ? chrome.storage.sync : chrome.storage.local;
+}
+
+// Secrets are kept on this computer whether or not settings sync; the popup
+// stores them beside the sync switch rather than in userSettings.
+const LOCAL_ONLY_SETTING_KEYS = ['webhookSecret'];
+
 async function getSettings() {
-    const result = await chrome.storage.local.get('userSettings');
-    return { ...DEFAULT_SETTINGS, ...(result.userSettings || {}) };
+    const result = await (await settingsStorageArea()).get('userSettings');
+    const local = await chrome.storage.local.get(LOCAL_ONLY_SETTING_KEYS);
+    return { ...DEFAULT_SETTINGS, ...(result.userSettings || {}), ...local };
+}
+
+// Named snapshots of the artifact configuration, saved from the popup:
+// [{ id, name, settings, updatedAt }]. Synced profiles are stored one per
+// item under 'settingsProfile:<id>' to stay within the per-item quota.
+async function getProfiles() {
+    const area = await settingsStorageArea();
+    if (area === chrome.storage.local) {
+        const result = await area.get('settingsProfiles');
+        return Array.isArray(result.settingsProfiles) ? result.settingsProfiles : [];
+    }
+    const { settingsProfileIds } = await area.get('settingsProfileIds');
+    const keys = (Array.isArray(settingsProfileIds) ? settingsProfileIds : []).map(id => `settingsProfile:${id}`);
+    const items = keys.length > 0 ? await area.get(keys) : {};
+    return keys.map(key => items[key]).filter(Boolean);
+}
+
+// =========================================================================
+// Site rules
+// =========================================================================
+
+// Ordered rules keyed by URL pattern, saved from the popup; the first match
+// wins: [{ id, pattern, profileId, language, notebookId, notebookTitle,
+// titleTemplate, neverSend }]
+async function getSiteRules() {
+    const result = await chrome.storage.local.get('siteRules');
+    return Array.isArray(result.siteRules) ? result.siteRules : [];
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a pattern such as "arxiv.org/*" or "*.go.kr/*". The scheme is
+ * ignored, "*" in the host never crosses into the path, and a pattern
+ * without a path matches the whole site.
+ */
+function siteRulePatternToRegExp(pattern) {
+    const trimmed = String(pattern || '').trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+    const slashIdx = trimmed.indexOf('/');
+    const host = slashIdx >= 0 ? trimmed.slice(0, slashIdx) : trimmed;
+    const path = slashIdx >= 0 ? trimmed.slice(slashIdx) : '';
+    const hostRegex = host.split('*').map(escapeRegExp).join('[^/]*');
+    const pathRegex = path ? path.split('*').map(escapeRegExp).join('.*') : '(?:[/?#:]|$)';
+    return new RegExp(`^${hostRegex}${pathRegex}`, 'i');
+}
+
+async function matchSiteRule(url) {
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) return null;
+    const target = url.replace(/^https?:\/\//i, '');
+    const rules = await getSiteRules();
+    return rules.find(rule => rule.pattern && siteRulePatternToRegExp(rule.pattern).test(target)) || null;
+}
+
+// Replace {name} placeholders; unknown names are left as typed.
+function fillTemplate(template, vars) {
+    return String(template || '').replace(/\{(\w+)\}/g, (match, name) =>
+        (Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name] ?? '') : match)
+    );
+}
+
+// Single-line form used for notebook titles.
+function expandTemplate(template, vars) {
+    return fillTemplate(template, vars).replace(/\s+/g, ' ').trim();
+}
+
+// Pages declare dates as "2024/01/15", ISO timestamps or bare years.
+function formatSourceDate(value) {
+    const text = String(value || '').trim().replace(/\//g, '-');
+    const match = text.match(/^\d{4}(?:-\d{2}(?:-\d{2})?)?/);
+    return match ? match[0] : text;
+}
+
+function languageDisplayName(code) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (_) {
+        return code || '';
+    }
+}
+
+// Metadata comes from page scripts; keep only what the templates use.
+function sanitizeSourceMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object') return null;
+    const authors = (Array.isArray(metadata.authors) ? metadata.authors : [])
+        .filter(author => typeof author === 'string' && author.trim())
+        .map(author => author.trim().substring(0, 200))
+        .slice(0, 20);
+    const date = typeof metadata.date === 'string' && metadata.date.trim() ? metadata.date.trim().substring(0, 40) : null;
+    return authors.length > 0 || date ? { authors, date } : null;
+}
+
+/**
+ * Values for {title}, {url}, {domain}, {authors}, {date} and {language} in
+ * prompts and notebook title templates. {date} is the publication date the
+ * page declared, or today when it declared none.
+ */
+function sourceTemplateVars(source, language) {
+    const url = source.pageUrl || source.pdfUrl || '';
+    const metadata = source.sourceMetadata || {};
+    return {
+        title: source.sourceTitle || '',
+        url,
+        domain: hostFromUrl(url) || '',
+        // Citation tags write "Last, First"; turn that into "First Last".
+        authors: (metadata.authors || []).map(name => name.replace(/^([^,]+),\s*([^,]+)$/, '$2 $1')).join(', '),
+        date: metadata.date ? formatSourceDate(metadata.date) : new Date().toISOString().slice(0, 10),
+        language: language ? languageDisplayName(language) : '',
+    };
+}
+
+// Settings for one run: the saved defaults overlaid with the profile chosen
+// when the job was queued. The defaults themselves are never modified.
+async function getRunSettings(job) {
+    return { ...(await getSettings()), ...(job?.profileSettings || {}) };
 }
 
 // Map string keys to enum values
@@ -428,63 +829,392 @@ function sleep(ms) {
 }
 
 // =========================================================================
-// Completion chime (offscreen document)
+// Offscreen document (completion chime, PDF page extraction)
 // =========================================================================
-async function playCompletionChime() {
+
+// An extension has at most one offscreen document, so the chime and PDF
+// work share it; it is closed when the last user is done.
+let offscreenUsers = 0;
+let offscreenCreating = null;
+
+async function ensureOffscreenDocument() {
     const url = chrome.runtime.getURL('offscreen.html');
+    const existing = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [url],
+    });
+    if (existing.length > 0) return;
+    offscreenCreating ||= chrome.offscreen.createDocument({
+        url,
+        reasons: ['AUDIO_PLAYBACK', 'BLOBS'],
+        justification: 'Play completion chime and cut page ranges out of PDFs for NotebookLM pipeline',
+    }).finally(() => { offscreenCreating = null; });
+    await offscreenCreating;
+}
+
+async function withOffscreenDocument(fn) {
+    offscreenUsers++;
     try {
-        const existing = await chrome.runtime.getContexts({
-            contextTypes: ['OFFSCREEN_DOCUMENT'],
-            documentUrls: [url],
-        });
-        if (existing.length === 0) {
-            await chrome.offscreen.createDocument({
-                url,
-                reasons: ['AUDIO_PLAYBACK'],
-                justification: 'Play completion chime for NotebookLM pipeline',
-            });
-        }
-        await chrome.runtime.sendMessage({ type: 'PLAY_CHIME' });
-        setTimeout(async () => {
+        await ensureOffscreenDocument();
+        return await fn();
+    } finally {
+        offscreenUsers--;
+        if (offscreenUsers === 0) {
             try { await chrome.offscreen.closeDocument(); } catch (_) { /* already closed */ }
-        }, 2000);
+        }
+    }
+}
+
+// Offscreen handlers answer { ok, code, message } like the background does;
+// the code is put back on the error thrown here.
+async function sendOffscreenMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response) throw codedError(ErrorCode.UNKNOWN, 'The offscreen document did not respond');
+    if (!response.ok) throw codedError(errorCodeOf(response), errorMessageOf(response));
+    return response;
+}
+
+async function playCompletionChime() {
+    try {
+        await withOffscreenDocument(async () => {
+            await chrome.runtime.sendMessage({ type: 'PLAY_CHIME' });
+            await sleep(2000);
+        });
     } catch (e) {
         console.warn('[Pipeline] Could not play completion chime:', e.message);
     }
 }
 
 // =========================================================================
-// Pipeline completion / error helpers
+// History of finished runs
+// =========================================================================
+
+// Oldest entries are dropped beyond this many.
+const MAX_HISTORY_ENTRIES = 500;
+
+async function getHistory() {
+    const result = await chrome.storage.local.get('pipelineHistory');
+    return Array.isArray(result.pipelineHistory) ? result.pipelineHistory : [];
+}
+
+let historyMutationQueue = Promise.resolve();
+
+async function mutateHistory(mutator) {
+    const applyMutation = async () => {
+        const next = mutator(await getHistory());
+        await chrome.storage.local.set({ pipelineHistory: next });
+        return next;
+    };
+    historyMutationQueue = historyMutationQueue.then(applyMutation, applyMutation);
+    return historyMutationQueue;
+}
+
+/**
+ * Record a finished job so its notebook can be found again after the job
+ * itself has been dismissed from the popup.
+ */
+async function appendHistoryEntry(job) {
+    const startedMs = job.startedAt ? new Date(job.startedAt).getTime() : NaN;
+    const completedMs = job.completedAt ? new Date(job.completedAt).getTime() : NaN;
+    const entry = {
+        id: job.id,
+        status: job.status,
+        sourceUrl: job.pdfUrl,
+        pageUrl: job.pageUrl,
+        sourceType: job.sourceType,
+        sourceTitle: job.sourceTitle,
+        contentHash: job.contentHash || null,
+        notebookId: job.notebookId,
+        notebookUrl: job.notebookUrl,
+        notebookTitle: job.notebookTitle,
+        sourceIds: job.sourceIds || [],
+        authUser: job.authUser,
+        profileName: job.profileName,
+        artifacts: (job.tasks || []).map(t => ({ type: t.type, status: t.status, error: t.error || null })),
+        error: job.error,
+        errorCode: job.errorCode || null,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        durationMs: Number.isFinite(completedMs - startedMs) ? completedMs - startedMs : null,
+    };
+    try {
+        await mutateHistory(entries => [entry, ...entries.filter(e => e.id !== entry.id)].slice(0, MAX_HISTORY_ENTRIES));
+    } catch (err) {
+        // History is a convenience; never let it fail the run itself.
+        console.warn('[History] Could not record entry:', err?.message);
+    }
+}
+
+// =========================================================================
+// Webhook events
+// =========================================================================
+
+// Waits before the second and third delivery attempts.
+const WEBHOOK_RETRY_DELAYS_MS = [2000, 8000];
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+let webhookQueue = Promise.resolve();
+
+async function hmacSha256Hex(secret, body) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    return bytesToHex(await crypto.subtle.sign('HMAC', key, encoder.encode(body)));
+}
+
+function webhookPayload(event, job, extra = {}) {
+    return {
+        event,
+        jobId: job.id,
+        timestamp: new Date().toISOString(),
+        status: job.status,
+        step: job.step,
+        source: { url: job.pdfUrl, pageUrl: job.pageUrl, type: job.sourceType, title: job.sourceTitle },
+        notebook: { id: job.notebookId, url: job.notebookUrl, title: job.notebookTitle },
+        tasks: (job.tasks || []).map(t => ({ type: t.type, taskId: t.taskId, status: t.status, error: t.error || null })),
+        error: job.error,
+        errorCode: job.errorCode || null,
+        ...extra,
+    };
+}
+
+/**
+ * POST one event, retrying network errors, 429 and 5xx responses. With a
+ * secret, X-NotebookLM-Signature is "sha256=" + hex HMAC-SHA256 of the raw
+ * body. Returns { ok, status } or { ok: false, error }.
+ */
+async function deliverWebhook(url, secret, payload) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'X-NotebookLM-Event': payload.event };
+    if (secret) {
+        headers['X-NotebookLM-Signature'] = `sha256=${await hmacSha256Hex(secret, body)}`;
+    }
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= WEBHOOK_RETRY_DELAYS_MS.length; attempt++) {
+        if (attempt > 0) await sleep(WEBHOOK_RETRY_DELAYS_MS[attempt - 1]);
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+            });
+            if (response.ok) return { ok: true, status: response.status };
+            lastError = `HTTP ${response.status}`;
+            if (response.status !== 429 && response.status < 500) break;
+        } catch (err) {
+            lastError = err?.message || 'Network error';
+        }
+    }
+    return { ok: false, error: lastError };
+}
+
+/**
+ * Send an event to the configured webhook, if any. Events go out one at a
+ * time in the order they happened and never hold up the pipeline.
+ */
+function emitPipelineEvent(event, job, extra = {}) {
+    if (!job) return;  // stopped from the popup
+    const payload = webhookPayload(event, job, extra);
+    webhookQueue = webhookQueue.then(async () => {
+        const settings = await getSettings();
+        const url = String(settings.webhookUrl || '').trim();
+        if (!url) return;
+        const result = await deliverWebhook(url, settings.webhookSecret || '', payload);
+        if (!result.ok) {
+            console.warn(`[Webhook] Could not deliver ${event} for job ${job.id}: ${result.error}`);
+        }
+    }).catch(err => console.warn('[Webhook] Delivery error:', err?.message));
+}
+
+// One event per artifact that has settled (completed, failed or timed out).
+function emitArtifactEvents(job, settledTasks) {
+    for (const task of settledTasks) {
+        if (task.status === 'in_progress') continue;
+        emitPipelineEvent(task.status === 'completed' ? 'artifact_completed' : 'artifact_failed', job, {
+            artifact: { type: task.type, taskId: task.taskId, status: task.status, error: task.error || null },
+        });
+    }
+}
+
+async function sendTestWebhook() {
+    const settings = await getSettings();
+    const url = String(settings.webhookUrl || '').trim();
+    if (!url) throw codedError(ErrorCode.INVALID_INPUT, 'Enter an endpoint URL first.');
+    return deliverWebhook(url, settings.webhookSecret || '', {
+        event: 'test',
+        timestamp: new Date().toISOString(),
+        message: 'Test event from Chrome PDF to NotebookLM',
+    });
+}
+
+// =========================================================================
+// Artifact progress notifications
+// =========================================================================
+
+const ARTIFACT_TYPE_LABELS = {
+    audio: 'Audio overview',
+    video: 'Video overview',
+    report: 'Report',
+    quiz: 'Quiz',
+    flashcards: 'Flashcards',
+    infographic: 'Infographic',
+    slide_deck: 'Slide deck',
+    mind_map: 'Mind map',
+    data_table: 'Data table',
+};
+
+const TASK_STATUS_LABELS = {
+    in_progress: 'working',
+    completed: 'ready',
+    failed: 'failed',
+    timed_out: 'timed out',
+};
+
+/**
+ * Show or refresh the progress bar of a job that is generating artifacts.
+ * Only called when tasks start or settle, so a dismissed bar comes back
+ * at most once per artifact.
+ */
+async function updateProgressNotification(job) {
+    const tasks = job?.tasks || [];
+    if (tasks.length === 0) return;
+    const settings = await getSettings();
+    if (settings.notificationEnabled === false || settings.progressNotification === false) return;
+
+    const settledCount = tasks.filter(t => t.status !== 'in_progress').length;
+    const notificationId = `pipeline-progress:${job.id}`;
+    const options = {
+        type: 'progress',
+        iconUrl: 'icons/icon128.png',
+        title: `Generating artifacts (${settledCount}/${tasks.length})`,
+        message: job.notebookTitle || job.sourceTitle || 'NotebookLM notebook',
+        contextMessage: tasks
+            .map(t => `${ARTIFACT_TYPE_LABELS[t.type] || t.type}: ${TASK_STATUS_LABELS[t.status] || t.status}`)
+            .join(' \u00B7 '),
+        progress: Math.round((settledCount / tasks.length) * 100),
+        priority: 0,
+        silent: true,
+    };
+    if (!await chrome.notifications.update(notificationId, options)) {
+        chrome.notifications.create(notificationId, options);
+    }
+}
+
+// "Audio overview ready" with Open / Download buttons, when enabled.
+async function notifyArtifactsReady(job, settledTasks) {
+    const completedTasks = settledTasks.filter(t => t.status === 'completed');
+    if (!job || completedTasks.length === 0) return;
+    const settings = await getSettings();
+    if (settings.notificationEnabled === false || !settings.artifactNotifications) return;
+
+    for (const task of completedTasks) {
+        chrome.notifications.create(`artifact-ready:${job.id}:${task.type}`, {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: `${ARTIFACT_TYPE_LABELS[task.type] || task.type} ready`,
+            message: job.notebookTitle ? `In "${job.notebookTitle}"` : 'In your NotebookLM notebook',
+            priority: 1,
+            buttons: [
+                { title: '\uD83D\uDCD3 Open' },
+                ...(ARTIFACT_DOWNLOAD_LABELS[task.type] ? [{ title: '\u2B07\uFE0F Download' }] : []),
+            ],
+        });
+    }
+}
+
+// Webhook events and notifications for tasks that have just started or settled.
+async function reportArtifactProgress(job, changedTasks) {
+    emitArtifactEvents(job, changedTasks);
+    await updateProgressNotification(job);
+    await notifyArtifactsReady(job, changedTasks);
+}
+
 // =========================================================================
+// Account binding
+// =========================================================================
+
+// The API client holds one account's session at a time: setAuthUser() for
+// another account drops the tokens in use. Every use of the API goes through
+// withAccount(), which lets any number of callers share the bound account
+// and makes callers for another account wait until those have finished.
+const accountLock = { authUser: null, holders: 0, waiters: [] };
+
+async function withAccount(authUser, fn) {
+    const account = authUser || 0;
+    if (accountLock.holders > 0 && accountLock.authUser !== account) {
+        await new Promise(resolve => accountLock.waiters.push({ account, resolve }));
+    } else {
+        accountLock.authUser = account;
+        accountLock.holders++;
+    }
+    try {
+        setAuthUser(account);
+        return await fn();
+    } finally {
+        accountLock.holders--;
+        if (accountLock.holders === 0) admitAccountWaiters();
+    }
+}
+
+// Hand the client to the longest-waiting account, admitting every waiter for it.
+function admitAccountWaiters() {
+    if (accountLock.waiters.length === 0) return;
+    const account = accountLock.waiters[0].account;
+    const admitted = accountLock.waiters.filter(waiter => waiter.account === account);
+    accountLock.waiters = accountLock.waiters.filter(waiter => waiter.account !== account);
+    accountLock.authUser = account;
+    accountLock.holders += admitted.length;
+    admitted.forEach(waiter => waiter.resolve());
+}
 
-async function completePipeline() {
-    chrome.alarms.clear(ALARM_NAME);
+// =========================================================================
+// Pipeline completion / error helpers
+// =========================================================================
 
+async function completePipeline(jobId) {
     const settings = await getSettings();
-    const state = await getState();
+    const state = await getJobState(jobId);
+    if (!state) return;  // stopped from the popup
     const tasks = state.tasks || [];
     const totalCount = tasks.length;
     const completedCount = tasks.filter(t => t.status === 'completed').length;
     const failedCount = tasks.filter(t => t.status === 'failed').length;
-    const allSucceeded = totalCount > 0 && failedCount === 0 && completedCount === totalCount;
+    const timedOutCount = tasks.filter(t => t.status === 'timed_out').length;
+    const allSucceeded = totalCount > 0 && completedCount === totalCount;
 
     if (completedCount === 0) {
-        await failPipeline('All artifact generations failed. No artifacts were generated.', null, true);
+        await failPipeline(
+            jobId,
+            codedError(ErrorCode.ARTIFACT_FAILED, 'All artifact generations failed or timed out. No artifacts were generated.'),
+            null,
+            true
+        );
         return;
     }
 
-    setBadge('\u2713', '#0fad6e');  // green check
-
+    const missingParts = [];
+    if (failedCount > 0) missingParts.push(`${failedCount} failed`);
+    if (timedOutCount > 0) missingParts.push(`${timedOutCount} timed out`);
+    const missingText = missingParts.join(', ');
     const stepDetail = allSucceeded
         ? 'All artifacts generated successfully!'
-        : `Partial success: ${completedCount}/${totalCount} artifacts generated (${failedCount} failed).`;
+        : `Partial success: ${completedCount}/${totalCount} artifacts generated (${missingText}).`;
 
-    await setState({
+    const finishedJob = await setJobState(jobId, {
         status: 'completed',
         step: 'done',
         stepDetail,
         completedAt: new Date().toISOString(),
     });
+    if (finishedJob) {
+        await appendHistoryEntry(finishedJob);
+    }
+    emitPipelineEvent('complete', finishedJob);
+    chrome.notifications.clear(`pipeline-progress:${jobId}`);
+    await refreshBadge('\u2713', '#0fad6e');  // green check once nothing else is running
 
     if (settings.chimeEnabled) {
         playCompletionChime();
@@ -496,10 +1226,12 @@ async function completePipeline() {
         : `${completedCount}/${totalCount} artifacts`;
     const notificationMessage = allSucceeded
         ? `Notebook ${nbTitle}is ready with ${artifactLabel}. Click to open.`
-        : `Notebook ${nbTitle}is partially ready with ${artifactLabel} (${failedCount} failed). Click to open.`;
+        : `Notebook ${nbTitle}is partially ready with ${artifactLabel} (${missingText}). Click to open.`;
+
+    const followUp = notificationFollowUp(state);
 
     if (settings.notificationEnabled !== false) {
-        chrome.notifications.create('pipeline-complete', {
+        chrome.notifications.create(`pipeline-complete:${jobId}`, {
             type: 'basic',
             iconUrl: 'icons/icon128.png',
             title: `\uD83C\uDFD9 NotebookLM Ready!`,
@@ -508,7 +1240,8 @@ async function completePipeline() {
             requireInteraction: true,
             buttons: [
                 { title: '\uD83D\uDCD3 Open Notebook' },
-                { title: 'Dismiss' },
+                // After a partial success the second button retries failures or keeps waiting.
+                { title: followUp ? followUp.title : 'Dismiss' },
             ],
         });
     }
@@ -517,18 +1250,28 @@ async function completePipeline() {
         chrome.tabs.create({ url: state.notebookUrl });
     }
 
-    console.log('[Pipeline] Completed successfully');
+    console.log(`[Pipeline] Job ${jobId} completed successfully`);
+    await startQueuedJobs();
 }
 
-async function failPipeline(errorMsg, notebookId = null, sourceWasReady = false) {
-    chrome.alarms.clear(ALARM_NAME);
-    setBadge('!', '#e03e3e');  // red exclamation
+/**
+ * Finish a job as failed. error is an Error (or message) whose code --
+ * error.code or a "CODE: " message prefix -- is stored as job.errorCode.
+ * notebookId is a notebook this run created (see createdNotebookId()),
+ * deleted as blank unless sourceWasReady -- also when the job was stopped
+ * from the popup meanwhile.
+ */
+async function failPipeline(jobId, error, notebookId = null, sourceWasReady = false) {
     const settings = await getSettings();
+    const state = await getJobState(jobId);
 
     let cleanupMessage = '';
-    if (notebookId && !sourceWasReady) {
+    let notebookDeleted = false;
+    // Only notebooks created by this run are blank; a reused notebook is never deleted.
+    if (notebookId && !sourceWasReady && !state?.reusedNotebook) {
         try {
             await deleteNotebook(notebookId);
+            notebookDeleted = true;
             cleanupMessage = ' Blank notebook was deleted automatically.';
         } catch (cleanupErr) {
             cleanupMessage = ' Failed to delete blank notebook automatically.';
@@ -536,88 +1279,734 @@ async function failPipeline(errorMsg, notebookId = null, sourceWasReady = false)
         }
     }
 
-    const finalError = `${errorMsg}${cleanupMessage}`.trim();
-    await setState({
+    if (!state) return;  // stopped from the popup
+
+    const errorCode = errorCodeOf(error);
+    const finalError = `${errorMessageOf(error)}${cleanupMessage}`.trim();
+    const finishedJob = await setJobState(jobId, {
         status: 'error',
         step: 'error',
         stepDetail: finalError,
         error: finalError,
+        errorCode,
+        completedAt: new Date().toISOString(),
+        ...(notebookDeleted ? { notebookId: null, notebookUrl: null } : {}),
     });
+    if (finishedJob) {
+        await appendHistoryEntry(finishedJob);
+    }
+    emitPipelineEvent('fail', finishedJob);
+    chrome.notifications.clear(`pipeline-progress:${jobId}`);
+    await refreshBadge('!', '#e03e3e');  // red exclamation once nothing else is running
 
     if (settings.notificationEnabled !== false) {
-        chrome.notifications.create('pipeline-error', {
+        chrome.notifications.create(`pipeline-error:${jobId}`, {
             type: 'basic',
             iconUrl: 'icons/icon128.png',
             title: 'NotebookLM Pipeline Error',
             message: finalError.substring(0, 140) || 'Unknown error',
             priority: 2,
+            ...(notificationFollowUp(finishedJob)
+                ? { buttons: [{ title: notificationFollowUp(finishedJob).title }] }
+                : {}),
         });
     }
 
-    console.error('[Pipeline] Error:', finalError);
+    console.error(`[Pipeline] Job ${jobId} error (${errorCode}):`, finalError);
+    await startQueuedJobs();
 }
 
 // =========================================================================
-// Alarm-based polling ticks
+// Artifact downloads
 // =========================================================================
 
+const ARTIFACT_DOWNLOAD_LABELS = {
+    audio: 'Audio Overview',
+    video: 'Video Overview',
+    infographic: 'Infographic',
+    slide_deck: 'Slide Deck',
+};
+
+const MEDIA_FILE_EXTENSIONS = {
+    'audio/mp4': 'm4a',
+    'audio/mpeg': 'mp3',
+    'video/mp4': 'mp4',
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'application/pdf': 'pdf',
+};
+
+function sanitizeFilenamePart(value) {
+    return String(value || '')
+        .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_')
+        .replace(/\s+/g, ' ')
+        .replace(/^[.\s]+|[.\s]+$/g, '')
+        .substring(0, 120);
+}
+
 /**
- * One tick of the source-ingestion polling phase.
- * Checks if the source is ready. If so, triggers artifact generation
- * and transitions state to 'wait_artifacts'.
+ * Save every completed media artifact of a job (or only the given types)
+ * to the Downloads folder, named after the notebook title.
+ * Returns { downloaded, failures }.
  */
-async function tickSourcePoll(state) {
-    const SOURCE_TIMEOUT_MS = 600000; // 10 minutes
-    const elapsed = Date.now() - new Date(state.stepStartedAt).getTime();
-    const sourceLabel = getSourceLabel(state.sourceType);
-    const ingestionLabel = getIngestionLabel(state.sourceType);
+async function downloadArtifacts(jobId, types = null) {
+    const state = await getJobState(jobId);
+    if (!state?.notebookId) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'No notebook is available to download from.');
+    }
+    return withAccount(state.authUser, () => downloadJobArtifacts(state, types));
+}
 
-    if (elapsed > SOURCE_TIMEOUT_MS) {
-        await failPipeline(
-            `${sourceLabel} ingestion timed out after 10 minutes.`,
-            state.notebookId,
-            false   // source never became ready, delete the blank notebook
-        );
-        return;
+// Runs under withAccount(state.authUser).
+async function downloadJobArtifacts(state, types) {
+    const baseName = sanitizeFilenamePart(state.notebookTitle || state.sourceTitle) || 'NotebookLM';
+    const tasks = (state.tasks || []).filter(t =>
+        t.status === 'completed' && t.taskId && ARTIFACT_DOWNLOAD_LABELS[t.type] &&
+        (!types || types.includes(t.type))
+    );
+    if (tasks.length === 0) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'No completed audio, video, infographic or slide deck artifacts to download.');
     }
 
-    let sources;
-    try {
-        sources = await listSources(state.notebookId);
-    } catch (err) {
-        // Transient network error -- log and retry next tick
-        console.warn('[Tick] Could not list sources, will retry:', err.message);
-        await setState({ stepDetail: `Waiting for ${ingestionLabel} (${Math.round(elapsed / 1000)}s, retrying...)` });
+    let downloaded = 0;
+    const failures = [];
+    for (const task of tasks) {
+        try {
+            const media = await getArtifactMedia(state.notebookId, task.taskId);
+            if (!media) throw codedError(ErrorCode.ARTIFACT_FAILED, 'media is not available yet');
+            const extension = MEDIA_FILE_EXTENSIONS[media.mimeType] || 'bin';
+            await chrome.downloads.download({
+                url: media.url,
+                filename: `${baseName} - ${ARTIFACT_DOWNLOAD_LABELS[task.type]}.${extension}`,
+                conflictAction: 'uniquify',
+                saveAs: false,
+            });
+            downloaded++;
+        } catch (err) {
+            console.warn(`[Download] Could not download ${task.type}:`, err?.message);
+            failures.push(`${task.type}: ${err?.message ? errorMessageOf(err) : 'download failed'}`);
+        }
+    }
+
+    return { downloaded, failures };
+}
+
+// =========================================================================
+// Artifact generation
+// =========================================================================
+
+// 'all_sources' runs generate from every ready source in the notebook, not
+// only the ones this run added.
+function selectArtifactSourceIds(artifactScope, sources, addedSourceIds) {
+    return artifactScope === 'all_sources'
+        ? sources.filter(s => s.status === SourceStatus.READY).map(s => s.id)
+        : addedSourceIds;
+}
+
+/**
+ * Every artifact generator with its settings applied. `enabled` reflects
+ * the user's toggles; retries ignore it and pick generators by type.
+ * Prompt variables are expanded with templateVars just before each call.
+ */
+function buildArtifactRequests(notebookId, sourceIds, settings, templateVars = {}) {
+    const prompt = text => (text ? fillTemplate(text, templateVars).trim() || null : null);
+    return [
+        {
+            enabled: settings.generateAudio !== false,
+            type: 'audio',
+            fn: () => generateAudio(
+                notebookId, sourceIds,
+                settings.language,
+                resolveAudioLength(settings.audioLength),
+                resolveAudioFormat(settings.audioFormat),
+                prompt(settings.audioPrompt)
+            ),
+        },
+        {
+            enabled: !!settings.generateInfographic,
+            type: 'infographic',
+            fn: () => generateInfographic(
+                notebookId, sourceIds,
+                settings.language,
+                resolveInfographicOrientation(settings.infographicOrientation),
+                resolveInfographicDetail(settings.infographicDetail),
+                resolveInfographicStyle(settings.infographicNativeStyle),
+                prompt(buildInfographicInstructions(settings))
+            ),
+        },
+        {
+            enabled: !!settings.generateVideo,
+            type: 'video',
+            fn: () => generateVideo(
+                notebookId, sourceIds,
+                resolveVideoFormat(settings.videoFormat),
+                resolveVideoStyle(settings.videoStyle),
+                prompt(settings.videoPrompt),
+                settings.language,
+                prompt(settings.videoStylePrompt)
+            ),
+        },
+        {
+            enabled: !!settings.generateReport,
+            type: 'report',
+            fn: () => generateReport(
+                notebookId, sourceIds,
+                resolveReportFormat(settings.reportFormat),
+                prompt(settings.reportPrompt),
+                settings.language
+            ),
+        },
+        {
+            enabled: !!settings.generateQuiz,
+            type: 'quiz',
+            fn: () => generateQuiz(
+                notebookId, sourceIds,
+                resolveQuizQuantity(settings.quizQuantity),
+                resolveQuizDifficulty(settings.quizDifficulty),
+                prompt(settings.quizPrompt)
+            ),
+        },
+        {
+            enabled: !!settings.generateFlashcards,
+            type: 'flashcards',
+            fn: () => generateFlashcards(
+                notebookId, sourceIds,
+                resolveQuizQuantity(settings.flashcardsQuantity),
+                resolveQuizDifficulty(settings.flashcardsDifficulty),
+                prompt(settings.flashcardsPrompt)
+            ),
+        },
+        {
+            enabled: !!settings.generateSlideDeck,
+            type: 'slide_deck',
+            fn: () => generateSlideDeck(
+                notebookId, sourceIds,
+                resolveSlideDeckFormat(settings.slideDeckFormat),
+                resolveSlideDeckLength(settings.slideDeckLength),
+                prompt(settings.slideDeckPrompt),
+                settings.language
+            ),
+        },
+        {
+            enabled: !!settings.generateMindMap,
+            type: 'mind_map',
+            fn: () => generateMindMap(notebookId, sourceIds),
+        },
+        {
+            enabled: !!settings.generateDataTable,
+            type: 'data_table',
+            fn: () => generateDataTable(
+                notebookId, sourceIds,
+                prompt(settings.dataTablePrompt),
+                settings.language
+            ),
+        },
+    ];
+}
+
+/**
+ * Start each request in order with pacing and return one task per request.
+ * A generator that fails to start yields a 'failed' task instead of throwing.
+ */
+async function startArtifactTasks(artifactRequests) {
+    const tasks = [];
+
+    // Helper to run a generation function safely so one failure doesn't stop the pipeline
+    const runTask = async (type, fn) => {
+        const timeoutMinutes = ARTIFACT_TIMEOUT_MINUTES[type] || DEFAULT_ARTIFACT_TIMEOUT_MINUTES;
+        const deadlineAt = new Date(Date.now() + timeoutMinutes * 60000).toISOString();
+        try {
+            const res = await fn();
+            if (res?.status === 'completed') {
+                tasks.push({ type, taskId: res.taskId || null, status: 'completed' });
+                return;
+            }
+            if (res?.status === 'failed') {
+                tasks.push({ type, taskId: res.taskId || null, status: 'failed', error: res.error || 'Artifact generation failed' });
+                return;
+            }
+            if (!res?.taskId) throw codedError(ErrorCode.RPC_ERROR, 'API returned no task ID');
+            // Pending/unknown initial states are polled like in-progress tasks.
+            tasks.push({ type, taskId: res.taskId, status: 'in_progress', deadlineAt });
+        } catch (e) {
+            console.warn(`[Pipeline] Failed to start ${type}:`, e.message);
+            tasks.push({ type, taskId: null, status: 'failed', error: e.message });
+        }
+    };
+
+    for (let i = 0; i < artifactRequests.length; i++) {
+        const req = artifactRequests[i];
+        await runTask(req.type, req.fn);
+        // Pace generation starts to reduce NotebookLM rate-limit bursts.
+        if (i < artifactRequests.length - 1) {
+            await sleep(ARTIFACT_START_DELAY_MS);
+        }
+    }
+
+    return tasks;
+}
+
+// Ready sources of a job's existing notebook that artifacts should use.
+async function readyArtifactSourceIds(job) {
+    const sources = await listSources(job.notebookId);
+    const readyIds = new Set(sources.filter(s => s.status === SourceStatus.READY).map(s => String(s.id)));
+    const addedSourceIds = (job.sourceIds || []).filter(id => readyIds.has(String(id)));
+    const sourceIds = selectArtifactSourceIds(job.artifactScope, sources, addedSourceIds);
+    if (sourceIds.length === 0) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'the notebook no longer has a ready source');
+    }
+    return sourceIds;
+}
+
+function failedArtifactTypes(job) {
+    return (job.tasks || []).filter(t => t.status === 'failed').map(t => t.type);
+}
+
+function canRetryFailedArtifacts(job) {
+    return !!job?.notebookId && (job.sourceIds || []).length > 0 && failedArtifactTypes(job).length > 0;
+}
+
+/**
+ * Re-run only the failed generators of a finished job against its existing
+ * notebook and sources, then resume wait_artifacts polling for them.
+ * Completed artifacts are kept as they are.
+ */
+async function retryFailedArtifacts(job) {
+    const jobId = job.id;
+    const retryTypes = new Set(failedArtifactTypes(job));
+    console.log(`[Pipeline] Retrying failed artifacts for job ${jobId}: ${[...retryTypes].join(', ')}`);
+
+    try {
+        await setJobState(jobId, {
+            step: 'generate_artifacts',
+            stepDetail: `Retrying: ${[...retryTypes].join(', ')}...`,
+            stepStartedAt: new Date().toISOString(),
+        });
+
+        const sourceIds = await readyArtifactSourceIds(job);
+        const settings = await getRunSettings(job);
+        const templateVars = sourceTemplateVars(job, settings.language);
+        const artifactRequests = buildArtifactRequests(job.notebookId, sourceIds, settings, templateVars)
+            .filter(req => retryTypes.has(req.type));
+        const retriedTasks = await startArtifactTasks(artifactRequests);
+        const retriedByType = new Map(retriedTasks.map(t => [t.type, t]));
+
+        const retryingJob = await setJobState(jobId, current => ({
+            tasks: (current.tasks || []).map(t => (t.status === 'failed' && retriedByType.get(t.type)) || t),
+            request: null,
+            step: 'wait_artifacts',
+            stepDetail: `Generating: ${retriedTasks.map(t => t.type).join(', ')}...`,
+            stepStartedAt: new Date().toISOString(),
+        }));
+        await reportArtifactProgress(retryingJob, retriedTasks);
+        await ensurePollingAlarm();
+    } catch (err) {
+        await setJobState(jobId, { request: null });
+        await failPipeline(
+            jobId,
+            codedError(errorCodeOf(err), `Could not retry failed artifacts: ${errorMessageOf(err)}`),
+            null,
+            true
+        );
+    }
+}
+
+/**
+ * Put a finished job back in the queue so its failed artifacts are retried
+ * once a slot is free.
+ */
+async function queueArtifactRetry(jobId) {
+    const job = await getJobState(jobId);
+    if (!job || isActiveJob(job)) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'This job is not finished.');
+    }
+    if (!canRetryFailedArtifacts(job)) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'This job has no failed artifacts to retry.');
+    }
+    await setJobState(jobId, {
+        status: 'queued',
+        step: 'generate_artifacts',
+        stepDetail: 'Waiting for a free slot to retry failed artifacts...',
+        error: null,
+        errorCode: null,
+        completedAt: null,
+        request: { retryFailedArtifacts: true },
+    });
+    chrome.notifications.clear(`pipeline-complete:${jobId}`);
+    chrome.notifications.clear(`pipeline-error:${jobId}`);
+    await ensurePollingAlarm();
+    await refreshBadge();
+    await startQueuedJobs();
+}
+
+// Only failures before the source was added keep the run's arguments.
+function canRetryJob(job) {
+    return job?.status === 'error' && !!job.request;
+}
+
+/**
+ * Queue a job whose setup failed again, from the start and with the
+ * arguments it was first queued with.
+ */
+async function retryJob(jobId) {
+    const job = await getJobState(jobId);
+    if (!canRetryJob(job)) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'This job cannot be retried. Send the source again instead.');
+    }
+    await setJobState(jobId, {
+        status: 'queued',
+        step: null,
+        stepDetail: 'Waiting for a free slot to retry...',
+        error: null,
+        errorCode: null,
+        startedAt: null,
+        completedAt: null,
+        notebookId: null,
+        notebookUrl: null,
+        notebookTitle: job.reusedNotebook ? job.notebookTitle : null,
+        sourceId: null,
+        sourceIds: [],
+        tasks: [],
+    });
+    chrome.notifications.clear(`pipeline-error:${jobId}`);
+    await ensurePollingAlarm();
+    await refreshBadge();
+    await startQueuedJobs();
+}
+
+// =========================================================================
+// Duplicate sources
+// =========================================================================
+
+// Artifact types recognisable from a notebook's artifact list. Quizzes and
+// flashcards share one type code and mind maps are notes, so those are only
+// known from history.
+const ARTIFACT_TYPES_BY_CODE = {
+    [ArtifactTypeCode.AUDIO]: 'audio',
+    [ArtifactTypeCode.VIDEO]: 'video',
+    [ArtifactTypeCode.REPORT]: 'report',
+    [ArtifactTypeCode.INFOGRAPHIC]: 'infographic',
+    [ArtifactTypeCode.SLIDE_DECK]: 'slide_deck',
+    [ArtifactTypeCode.DATA_TABLE]: 'data_table',
+};
+// Recent notebooks whose sources are scanned when duplicateCheckNotebooks is on.
+const DUPLICATE_SCAN_NOTEBOOK_LIMIT = 20;
+// History matches whose notebook is confirmed to still exist before giving up.
+const DUPLICATE_HISTORY_CHECK_LIMIT = 3;
+
+/**
+ * Find a notebook that already holds a source: first in this browser's
+ * history (by normalized URL or uploaded-file hash), then optionally in the
+ * sources of the account's recent notebooks. Returns
+ * { matchedBy, notebookId, notebookUrl, notebookTitle, sourceIds,
+ *   artifactTypes, sentAt } or null.
+ */
+async function findDuplicateSource(job, sourceKey, contentHash, settings) {
+    const authUser = job.authUser || 0;
+    const matches = (await getHistory()).filter(entry =>
+        entry.notebookId && (entry.authUser || 0) === authUser && (
+            (contentHash && entry.contentHash === contentHash) ||
+            (sourceKey && normalizeSourceUrl(entry.sourceUrl) === sourceKey)
+        ));
+
+    const checked = new Set();
+    for (const entry of matches) {
+        if (checked.has(entry.notebookId)) continue;
+        if (checked.size >= DUPLICATE_HISTORY_CHECK_LIMIT) break;
+        checked.add(entry.notebookId);
+        let sources;
+        try {
+            sources = await listSources(entry.notebookId);
+        } catch (err) {
+            console.warn(`[Pipeline] Could not read notebook ${entry.notebookId}:`, err?.message);
+            continue;
+        }
+        if (sources.length === 0) continue;  // deleted or emptied since
+        const knownIds = new Set((entry.sourceIds || []).map(String));
+        const sameNotebook = matches.filter(e => e.notebookId === entry.notebookId);
+        return {
+            matchedBy: contentHash && entry.contentHash === contentHash ? 'content' : 'url',
+            notebookId: entry.notebookId,
+            notebookUrl: entry.notebookUrl || getNotebookUrl(entry.notebookId),
+            notebookTitle: entry.notebookTitle || null,
+            sourceIds: sources
+                .filter(src => knownIds.has(String(src.id)) || (sourceKey && normalizeSourceUrl(src.url) === sourceKey))
+                .map(src => String(src.id)),
+            artifactTypes: [...new Set(sameNotebook.flatMap(e =>
+                (e.artifacts || []).filter(a => a.status === 'completed').map(a => a.type)))],
+            sentAt: entry.completedAt || entry.startedAt || null,
+        };
+    }
+
+    if (!sourceKey || !settings.duplicateCheckNotebooks) return null;
+    const notebooks = (await listNotebooks())
+        .filter(nb => nb.sourceCount > 0 && !checked.has(nb.id))
+        .slice(0, DUPLICATE_SCAN_NOTEBOOK_LIMIT);
+    for (const notebook of notebooks) {
+        const matching = (await listSources(notebook.id)).filter(src => normalizeSourceUrl(src.url) === sourceKey);
+        if (matching.length === 0) continue;
+        return {
+            matchedBy: 'notebook',
+            notebookId: notebook.id,
+            notebookUrl: getNotebookUrl(notebook.id),
+            notebookTitle: notebook.title,
+            sourceIds: matching.map(src => String(src.id)),
+            artifactTypes: [],
+            sentAt: notebook.createdAt ? new Date(notebook.createdAt).toISOString() : null,
+        };
+    }
+    return null;
+}
+
+// The duplicate check is a convenience; a failed lookup never blocks the run.
+async function checkForDuplicateSource(job, uploadFile, contentHash) {
+    const settings = await getSettings();
+    if (settings.duplicateCheck === false) return null;
+    // Uploads are named after their file, so only their hash identifies them.
+    const sourceKey = uploadFile ? null : normalizeSourceUrl(job.pdfUrl);
+    try {
+        return await findDuplicateSource(job, sourceKey, contentHash, settings);
+    } catch (err) {
+        console.warn('[Pipeline] Duplicate check failed; continuing:', err?.message);
+        return null;
+    }
+}
+
+/**
+ * Park a claimed job until the user chooses between the existing notebook,
+ * its missing artifacts, or a new notebook. The original request is kept
+ * so "Create anyway" can run it unchanged.
+ */
+async function pauseForDuplicate(job, duplicate) {
+    const notebookLabel = duplicate.notebookTitle ? `"${duplicate.notebookTitle}"` : 'an existing notebook';
+    const paused = await setJobState(job.id, {
+        status: 'duplicate',
+        step: 'create_notebook',
+        stepDetail: `Already sent to ${notebookLabel}. Choose how to continue.`,
+        duplicateOf: duplicate,
+        request: job.request,
+    });
+    if (!paused) return;  // stopped from the popup
+    await refreshBadge('?', '#d97706');
+
+    const settings = await getSettings();
+    if (settings.notificationEnabled !== false) {
+        chrome.notifications.create(`pipeline-duplicate:${job.id}`, {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: 'Already in NotebookLM',
+            message: `${job.sourceTitle ? `"${job.sourceTitle}"` : 'This source'} is already in ${notebookLabel}. Open the popup to add only the missing artifacts.`,
+            priority: 2,
+            requireInteraction: true,
+            buttons: [
+                { title: '\uD83D\uDCD3 Open existing notebook' },
+                { title: '\u2795 Create anyway' },
+            ],
+        });
+    }
+    console.log(`[Pipeline] Job ${job.id} paused: source already in notebook ${duplicate.notebookId}`);
+    await startQueuedJobs();
+}
+
+/**
+ * Continue a job paused by pauseForDuplicate().
+ * @param {string} choice  'open' | 'add_missing' | 'create'
+ */
+async function resolveDuplicate(jobId, choice) {
+    const job = await getJobState(jobId);
+    if (!job || !isAwaitingDecision(job) || !job.duplicateOf) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'This job is not waiting for a decision.');
+    }
+    const duplicate = job.duplicateOf;
+    chrome.notifications.clear(`pipeline-duplicate:${jobId}`);
+
+    if (choice === 'open') {
+        chrome.tabs.create({ url: duplicate.notebookUrl });
+        await removeJob(jobId);
+        return;
+    }
+    if (choice === 'add_missing') {
+        const sourceIds = duplicate.sourceIds || [];
+        await setJobState(jobId, {
+            status: 'queued',
+            step: 'generate_artifacts',
+            stepDetail: 'Waiting for a free slot to add missing artifacts...',
+            notebookId: duplicate.notebookId,
+            notebookUrl: duplicate.notebookUrl,
+            notebookTitle: duplicate.notebookTitle,
+            reusedNotebook: true,
+            sourceId: sourceIds[0] || null,
+            sourceIds,
+            // When the matching source is unknown, every ready source is used.
+            artifactScope: sourceIds.length > 0 ? 'new_source' : 'all_sources',
+            duplicateOf: null,
+            request: { generateMissingArtifacts: true, existingArtifactTypes: duplicate.artifactTypes || [] },
+        });
+    } else if (choice === 'create') {
+        await setJobState(jobId, current => ({
+            status: 'queued',
+            step: null,
+            stepDetail: 'Waiting for a free slot...',
+            duplicateOf: null,
+            request: {
+                ...current.request,
+                options: { ...(current.request?.options || {}), allowDuplicate: true },
+            },
+        }));
+    } else {
+        throw codedError(ErrorCode.INVALID_INPUT, `Unknown choice: ${choice}`);
+    }
+    await ensurePollingAlarm();
+    await refreshBadge();
+    await startQueuedJobs();
+}
+
+/**
+ * Generate the artifacts enabled for this run that the existing notebook
+ * does not have yet, from the sources that are already there.
+ */
+async function generateMissingArtifacts(job) {
+    const jobId = job.id;
+    try {
+        await setJobState(jobId, {
+            step: 'generate_artifacts',
+            stepDetail: 'Checking which artifacts already exist...',
+            stepStartedAt: new Date().toISOString(),
+        });
+
+        const sourceIds = await readyArtifactSourceIds(job);
+        const existingTypes = new Set(job.request?.existingArtifactTypes || []);
+        for (const artifact of (await listArtifactStatuses(job.notebookId)).values()) {
+            const type = ARTIFACT_TYPES_BY_CODE[artifact.typeCode];
+            if (type && ['completed', 'in_progress', 'pending'].includes(artifact.status)) {
+                existingTypes.add(type);
+            }
+        }
+
+        const settings = await getRunSettings(job);
+        const templateVars = sourceTemplateVars(job, settings.language);
+        const artifactRequests = buildArtifactRequests(job.notebookId, sourceIds, settings, templateVars)
+            .filter(req => req.enabled && !existingTypes.has(req.type));
+        if (artifactRequests.length === 0) {
+            const finishedJob = await setJobState(jobId, {
+                status: 'completed',
+                step: 'done',
+                request: null,
+                stepDetail: 'Nothing to add: every selected artifact already exists in this notebook.',
+                completedAt: new Date().toISOString(),
+            });
+            if (finishedJob) {
+                await appendHistoryEntry(finishedJob);
+            }
+            emitPipelineEvent('complete', finishedJob);
+            await refreshBadge('\u2713', '#0fad6e');
+            await startQueuedJobs();
+            return;
+        }
+
+        const tasks = await startArtifactTasks(artifactRequests);
+        const generatingJob = await setJobState(jobId, {
+            tasks,
+            request: null,
+            step: 'wait_artifacts',
+            stepDetail: `Generating: ${tasks.map(t => t.type).join(', ')}...`,
+            stepStartedAt: new Date().toISOString(),
+        });
+        await reportArtifactProgress(generatingJob, tasks);
+        await ensurePollingAlarm();
+    } catch (err) {
+        await setJobState(jobId, { request: null });
+        await failPipeline(
+            jobId,
+            codedError(errorCodeOf(err), `Could not add missing artifacts: ${errorMessageOf(err)}`),
+            null,
+            true
+        );
+    }
+}
+
+// =========================================================================
+// Alarm-based polling ticks
+// =========================================================================
+
+/**
+ * One tick of the source-ingestion polling phase.
+ * Checks if the source is ready. If so, triggers artifact generation
+ * and transitions state to 'wait_artifacts'.
+ */
+async function tickSourcePoll(state) {
+    const SOURCE_TIMEOUT_MS = 600000; // 10 minutes
+    const elapsed = Date.now() - new Date(state.stepStartedAt).getTime();
+    const sourceLabel = getSourceLabel(state.sourceType);
+    const ingestionLabel = getIngestionLabel(state.sourceType);
+
+    if (elapsed > SOURCE_TIMEOUT_MS) {
+        await failPipeline(
+            state.id,
+            codedError(ErrorCode.SOURCE_TIMEOUT, `${sourceLabel} ingestion timed out after 10 minutes.`),
+            createdNotebookId(state),
+            false   // source never became ready, delete the blank notebook
+        );
         return;
     }
 
-    const source = sources.find(s => String(s.id) === String(state.sourceId));
+    let sources;
+    try {
+        sources = await listSources(state.notebookId);
+    } catch (err) {
+        // Transient network error -- log and retry next tick
+        console.warn('[Tick] Could not list sources, will retry:', err.message);
+        await setJobState(state.id, { stepDetail: `Waiting for ${ingestionLabel} (${Math.round(elapsed / 1000)}s, retrying...)` });
+        return;
+    }
+
+    const trackedIds = (state.sourceIds?.length ? state.sourceIds : [state.sourceId]).map(String);
+    const tracked = trackedIds.map(id => sources.find(s => String(s.id) === id) || null);
     const elapsedSec = Math.round(elapsed / 1000);
+    const readyIds = tracked.filter(s => s?.status === SourceStatus.READY).map(s => String(s.id));
+    const failedCount = tracked.filter(s => s?.status === SourceStatus.ERROR).length;
+    const progressText = trackedIds.length > 1 ? `${readyIds.length}/${trackedIds.length} sources ready, ` : '';
 
-    if (!source) {
-        await setState({ stepDetail: `Waiting for ${sourceLabel} to appear (${elapsedSec}s elapsed)...` });
+    if (tracked.every(s => !s)) {
+        await setJobState(state.id, { stepDetail: `Waiting for ${sourceLabel} to appear (${elapsedSec}s elapsed)...` });
         return;
     }
 
-    if (source.status === SourceStatus.ERROR) {
-        await failPipeline(`${sourceLabel} processing failed.`, state.notebookId, false);
+    if (failedCount === trackedIds.length) {
+        await failPipeline(
+            state.id,
+            codedError(ErrorCode.SOURCE_FAILED, `${sourceLabel} processing failed.`),
+            createdNotebookId(state),
+            false
+        );
         return;
     }
 
-    if (source.status !== SourceStatus.READY) {
-        await setState({ stepDetail: `${ingestionLabel} in progress (${elapsedSec}s elapsed)...` });
+    if (readyIds.length + failedCount < trackedIds.length) {
+        await setJobState(state.id, { stepDetail: `${ingestionLabel} in progress (${progressText}${elapsedSec}s elapsed)...` });
         return;
     }
 
-    // Source is READY -- fetch notebook title, then trigger artifact generation
-    console.log('[Tick] Source ready, triggering artifact generation');
-    await setState({ step: 'generate_artifacts', stepDetail: 'Source ready! Starting generation...' });
+    if (failedCount > 0) {
+        console.warn(`[Tick] ${failedCount} source(s) failed processing; continuing with ${readyIds.length} ready source(s)`);
+    }
+
+    // Sources are READY -- fetch notebook title, then trigger artifact generation
+    console.log(`[Tick] Job ${state.id}: source ready, triggering artifact generation`);
+    const readyJob = await setJobState(state.id, {
+        step: 'generate_artifacts',
+        sourceIds: readyIds,
+        stepDetail: failedCount > 0
+            ? `${readyIds.length} source(s) ready, ${failedCount} failed. Starting generation...`
+            : 'Source ready! Starting generation...',
+    });
+    emitPipelineEvent('source_ready', readyJob, { sourceIds: readyIds, failedSourceCount: failedCount });
 
     // Fetch the auto-generated notebook title and store it in state for display
     try {
         const title = await getNotebookTitle(state.notebookId);
         if (title) {
-            await setState({ notebookTitle: title });
+            await setJobState(state.id, { notebookTitle: title });
             console.log(`[Tick] Notebook title: ${title}`);
         }
     } catch (titleErr) {
@@ -625,161 +2014,92 @@ async function tickSourcePoll(state) {
     }
 
     try {
-        const settings = await getSettings();
-        const sourceIds = [state.sourceId];
-        const tasks = [];
-
-        // Helper to run a generation function safely so one failure doesn't stop the pipeline
-        const runTask = async (type, fn) => {
-            try {
-                const res = await fn();
-                if (res?.status === 'completed') {
-                    tasks.push({ type, taskId: res.taskId || null, status: 'completed' });
-                    return;
-                }
-                if (res?.status === 'failed') {
-                    tasks.push({ type, taskId: res.taskId || null, status: 'failed', error: res.error || 'Artifact generation failed' });
-                    return;
-                }
-                if (!res?.taskId) throw new Error('API returned no task ID');
-                // Pending/unknown initial states are polled like in-progress tasks.
-                tasks.push({ type, taskId: res.taskId, status: 'in_progress' });
-            } catch (e) {
-                console.warn(`[Pipeline] Failed to start ${type}:`, e.message);
-                tasks.push({ type, taskId: null, status: 'failed', error: e.message });
-            }
-        };
-
-        const artifactRequests = [
-            {
-                enabled: settings.generateAudio !== false,
-                type: 'audio',
-                fn: () => generateAudio(
-                    state.notebookId, sourceIds,
-                    settings.language,
-                    resolveAudioLength(settings.audioLength),
-                    resolveAudioFormat(settings.audioFormat),
-                    settings.audioPrompt || null
-                ),
-            },
-            {
-                enabled: !!settings.generateInfographic,
-                type: 'infographic',
-                fn: () => generateInfographic(
-                    state.notebookId, sourceIds,
-                    settings.language,
-                    resolveInfographicOrientation(settings.infographicOrientation),
-                    resolveInfographicDetail(settings.infographicDetail),
-                    resolveInfographicStyle(settings.infographicNativeStyle),
-                    buildInfographicInstructions(settings)
-                ),
-            },
-            {
-                enabled: !!settings.generateVideo,
-                type: 'video',
-                fn: () => generateVideo(
-                    state.notebookId, sourceIds,
-                    resolveVideoFormat(settings.videoFormat),
-                    resolveVideoStyle(settings.videoStyle),
-                    settings.videoPrompt || null,
-                    settings.language,
-                    settings.videoStylePrompt || null
-                ),
-            },
-            {
-                enabled: !!settings.generateReport,
-                type: 'report',
-                fn: () => generateReport(
-                    state.notebookId, sourceIds,
-                    resolveReportFormat(settings.reportFormat),
-                    settings.reportPrompt || null,
-                    settings.language
-                ),
-            },
-            {
-                enabled: !!settings.generateQuiz,
-                type: 'quiz',
-                fn: () => generateQuiz(
-                    state.notebookId, sourceIds,
-                    resolveQuizQuantity(settings.quizQuantity),
-                    resolveQuizDifficulty(settings.quizDifficulty),
-                    settings.quizPrompt || null
-                ),
-            },
-            {
-                enabled: !!settings.generateFlashcards,
-                type: 'flashcards',
-                fn: () => generateFlashcards(
-                    state.notebookId, sourceIds,
-                    resolveQuizQuantity(settings.flashcardsQuantity),
-                    resolveQuizDifficulty(settings.flashcardsDifficulty),
-                    settings.flashcardsPrompt || null
-                ),
-            },
-            {
-                enabled: !!settings.generateSlideDeck,
-                type: 'slide_deck',
-                fn: () => generateSlideDeck(
-                    state.notebookId, sourceIds,
-                    resolveSlideDeckFormat(settings.slideDeckFormat),
-                    resolveSlideDeckLength(settings.slideDeckLength),
-                    settings.slideDeckPrompt || null,
-                    settings.language
-                ),
-            },
-            {
-                enabled: !!settings.generateMindMap,
-                type: 'mind_map',
-                fn: () => generateMindMap(state.notebookId, sourceIds),
-            },
-            {
-                enabled: !!settings.generateDataTable,
-                type: 'data_table',
-                fn: () => generateDataTable(
-                    state.notebookId, sourceIds,
-                    settings.dataTablePrompt || null,
-                    settings.language
-                ),
-            },
-        ].filter(req => req.enabled);
-
-        for (let i = 0; i < artifactRequests.length; i++) {
-            const req = artifactRequests[i];
-            await runTask(req.type, req.fn);
-            // Pace generation starts to reduce NotebookLM rate-limit bursts.
-            if (i < artifactRequests.length - 1) {
-                await sleep(ARTIFACT_START_DELAY_MS);
-            }
-        }
+        const settings = await getRunSettings(state);
+        const sourceIds = selectArtifactSourceIds(state.artifactScope, sources, readyIds);
+        const templateVars = sourceTemplateVars(state, settings.language);
+        const artifactRequests = buildArtifactRequests(state.notebookId, sourceIds, settings, templateVars)
+            .filter(req => req.enabled);
+        const tasks = await startArtifactTasks(artifactRequests);
 
         const typeLabels = tasks.map(t => t.type).join(', ');
-        await setState({
+        const generatingJob = await setJobState(state.id, {
             tasks,
             step: 'wait_artifacts',
             stepDetail: `Generating: ${typeLabels}...`,
             stepStartedAt: new Date().toISOString(),
         });
+        await reportArtifactProgress(generatingJob, tasks);
     } catch (err) {
         await failPipeline(
-            `Failed to start artifact generation: ${err.message}`,
+            state.id,
+            codedError(errorCodeOf(err), `Failed to start artifact generation: ${errorMessageOf(err)}`),
             state.notebookId,
             true   // source was ready, keep the notebook
         );
     }
 }
 
+// Tasks started before per-task deadlines existed fall back to the phase start.
+function taskDeadlineMs(task, phaseStartedAt) {
+    if (task.deadlineAt) return new Date(task.deadlineAt).getTime();
+    const timeoutMinutes = ARTIFACT_TIMEOUT_MINUTES[task.type] || DEFAULT_ARTIFACT_TIMEOUT_MINUTES;
+    return new Date(phaseStartedAt).getTime() + timeoutMinutes * 60000;
+}
+
+function hasTimedOutArtifacts(job) {
+    return !!job?.notebookId && (job.tasks || []).some(t => t.status === 'timed_out');
+}
+
+/**
+ * Put a finished job back in the queue to monitor its timed-out artifacts
+ * for a while longer. Nothing is regenerated: once a slot is free, the
+ * original NotebookLM tasks are polled again (see keepWaitingFields()).
+ */
+async function keepWaitingForArtifacts(jobId) {
+    const job = await getJobState(jobId);
+    if (!job || isActiveJob(job)) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'This job is not finished.');
+    }
+    if (!hasTimedOutArtifacts(job)) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'This job has no timed-out artifacts.');
+    }
+    await setJobState(jobId, {
+        status: 'queued',
+        step: 'wait_artifacts',
+        stepDetail: 'Waiting for a free slot to keep waiting for timed-out artifacts...',
+        error: null,
+        errorCode: null,
+        completedAt: null,
+        request: { keepWaiting: true },
+    });
+    chrome.notifications.clear(`pipeline-complete:${jobId}`);
+    chrome.notifications.clear(`pipeline-error:${jobId}`);
+    await ensurePollingAlarm();
+    await refreshBadge();
+    await startQueuedJobs();
+}
+
+// Applied when a keep-waiting job is claimed, so its extra time starts then
+// and the alarm polls it from the next tick without a setup run.
+function keepWaitingFields(job) {
+    const deadlineAt = new Date(Date.now() + ARTIFACT_EXTRA_WAIT_MINUTES * 60000).toISOString();
+    return {
+        step: 'wait_artifacts',
+        stepDetail: `Waiting up to ${ARTIFACT_EXTRA_WAIT_MINUTES} more minutes for timed-out artifacts...`,
+        request: null,
+        tasks: (job.tasks || []).map(t => (t.status === 'timed_out'
+            ? { ...t, status: 'in_progress', error: null, deadlineAt }
+            : t)),
+    };
+}
+
 /**
  * One tick of the artifact-polling phase.
  * Polls all artifact tasks. Calls completePipeline() when all have settled.
  */
 async function tickArtifactPoll(state) {
-    const ARTIFACT_TIMEOUT_MS = 1200000; // 20 minutes
-    const elapsed = Date.now() - new Date(state.stepStartedAt).getTime();
-
-    if (elapsed > ARTIFACT_TIMEOUT_MS) {
-        await failPipeline('Artifact generation timed out after 20 minutes.', null, true);
-        return;
-    }
+    const now = Date.now();
+    const elapsed = now - new Date(state.stepStartedAt).getTime();
 
     const tasks = state.tasks || [];
     const updatedTasks = [...tasks];
@@ -799,6 +2119,10 @@ async function tickArtifactPoll(state) {
             if (s.status === 'completed' || s.status === 'failed') {
                 updatedTasks[i] = { ...task, status: s.status };
                 console.log(`[Tick] ${task.type}: ${s.status}`);
+            } else if (now > taskDeadlineMs(task, state.stepStartedAt)) {
+                // Only this artifact gives up; the others keep being polled.
+                updatedTasks[i] = { ...task, status: 'timed_out', error: 'Timed out while generating' };
+                console.warn(`[Tick] ${task.type}: timed out`);
             }
         } catch (err) {
             console.warn(`[Tick] Error polling ${task.type}:`, err.message);
@@ -807,16 +2131,25 @@ async function tickArtifactPoll(state) {
 
     const elapsedMin = Math.round(elapsed / 60000);
     const summary = updatedTasks.map(t => `${t.type}: ${t.status}`).join(' | ');
-    await setState({ tasks: updatedTasks, stepDetail: `${summary} (~${elapsedMin} min elapsed)` });
+    const polledJob = await setJobState(state.id, { tasks: updatedTasks, stepDetail: `${summary} (~${elapsedMin} min elapsed)` });
+    const settledTasks = updatedTasks.filter((task, i) => task !== tasks[i]);
+    if (settledTasks.length > 0) {
+        await reportArtifactProgress(polledJob, settledTasks);
+    }
 
     const allDone = updatedTasks.every(t => t.status !== 'in_progress');
     if (allDone && updatedTasks.length > 0) {
         const completedCount = updatedTasks.filter(t => t.status === 'completed').length;
         if (completedCount === 0) {
-            await failPipeline('All artifact generations failed. No artifacts were generated.', null, true);
+            await failPipeline(
+                state.id,
+                codedError(ErrorCode.ARTIFACT_FAILED, 'All artifact generations failed or timed out. No artifacts were generated.'),
+                null,
+                true
+            );
             return;
         }
-        await completePipeline();
+        await completePipeline(state.id);
     }
 }
 
@@ -824,17 +2157,9 @@ async function tickArtifactPoll(state) {
 // Alarm listener -- the heart of long-running polling
 // =========================================================================
 
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-    if (alarm.name !== ALARM_NAME) return;
-
-    const state = await getState();
-
-    if (!state || state.status !== 'running') {
-        chrome.alarms.clear(ALARM_NAME);
-        return;
-    }
-
-    console.log(`[Alarm] tick -- step=${state.step}`);
+/** Runs under withAccount(state.authUser). */
+async function tickJob(state) {
+    console.log(`[Alarm] tick -- job=${state.id} step=${state.step}`);
 
     if (state.step === 'wait_source') {
         await tickSourcePoll(state);
@@ -845,135 +2170,703 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
         // Nothing more to do -- next tick will be wait_artifacts.
     } else {
         // Not a polling step (e.g. still in auth/create/add_source).
-        // This shouldn't normally happen but is harmless.
+        // Runs cut off there are settled by recoverInterruptedJob() instead.
         console.log(`[Alarm] tick during non-polling step '${state.step}', ignoring`);
     }
-});
+}
 
-// =========================================================================
-// Pipeline orchestration (steps 1-3: synchronous network calls)
-// =========================================================================
+// Jobs with a setup run or a tick in progress in this service worker. The set
+// starts empty after a restart, so a running job in a setup step that is not
+// listed here was cut off and will never finish by itself.
+const activeRuns = new Set();
 
-async function runPipeline(pdfUrl, pageUrl, uploadFile = null, sourceType = 'pdf', sourceTitle = null) {
-    const effectiveSourceType = uploadFile ? 'pdf' : (sourceType || 'pdf');
-    const sourceLabel = getSourceLabel(effectiveSourceType);
-    const ingestionLabel = getIngestionLabel(effectiveSourceType);
-    const detectedTitle = normalizeSourceTitle(sourceTitle);
-    console.log(`[Pipeline] Starting for ${sourceLabel}: ${pdfUrl}`);
+// A setup step still running after this long is treated as hung.
+const SETUP_STEP_TIMEOUT_MS = 15 * 60000;
 
-    let notebookId = null;
+function trackRun(jobId, run) {
+    activeRuns.add(jobId);
+    return run.finally(() => activeRuns.delete(jobId));
+}
 
+function isInterruptedSetup(job) {
+    if (job.status !== 'running' || ['wait_source', 'wait_artifacts'].includes(job.step)) return false;
+    if (!activeRuns.has(job.id)) return true;
+    const stepStartedAt = new Date(job.stepStartedAt).getTime();
+    return Date.now() - stepStartedAt > SETUP_STEP_TIMEOUT_MS;
+}
+
+/**
+ * Settle a running job whose setup was cut off or hung. Left alone it would
+ * hold a slot forever and, through the account gate, keep queued jobs for
+ * other accounts waiting. A run cut off before it created anything is queued
+ * again from its request; otherwise the job fails, keeping the request of a
+ * setup run so it can be retried.
+ */
+async function recoverInterruptedJob(job) {
+    const cutOff = !activeRuns.has(job.id);
+    const artifactRun = !!(job.request?.retryFailedArtifacts || job.request?.generateMissingArtifacts);
+    console.warn(`[Pipeline] Job ${job.id} stopped during step '${job.step}' (${cutOff ? 'interrupted' : 'timed out'})`);
+
+    if (cutOff && job.request && (artifactRun || job.step !== 'add_source')) {
+        await setJobState(job.id, {
+            status: 'queued',
+            step: artifactRun ? job.step : null,
+            stepDetail: 'Interrupted. Waiting for a free slot to start again...',
+        });
+        return;
+    }
+
+    if (artifactRun) await setJobState(job.id, { request: null });
+    await withAccount(job.authUser, () => failPipeline(
+        job.id,
+        codedError(ErrorCode.PIPELINE_ABORTED, cutOff
+            ? `The run was interrupted during step '${job.step}'.`
+            : `The run stopped responding during step '${job.step}'.`),
+        createdNotebookId(job),
+        job.step === 'generate_artifacts'   // the source was ready, keep the notebook
+    ));
+}
+
+/**
+ * Recover every running job whose setup was cut off, e.g. when the browser
+ * closed mid-run, then start whatever the queue allows.
+ */
+async function recoverInterruptedJobs() {
+    const jobs = await getJobs();
+    for (const job of jobs.filter(isInterruptedSetup)) {
+        try {
+            await recoverInterruptedJob(job);
+        } catch (err) {
+            console.warn(`[Pipeline] Could not recover job ${job.id}:`, err?.message || err);
+        }
+    }
+    await startQueuedJobs();
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== ALARM_NAME) return;
+
+    const jobs = await getJobs();
+    if (!jobs.some(isActiveJob)) {
+        chrome.alarms.clear(ALARM_NAME);
+        return;
+    }
+
+    // Jobs are ticked one after another so each keeps its own account bound.
+    for (const state of jobs.filter(job => job.status === 'running')) {
+        try {
+            if (isInterruptedSetup(state)) {
+                await recoverInterruptedJob(state);
+            } else if (!activeRuns.has(state.id)) {
+                // A tick or setup run still in progress is left to finish.
+                await trackRun(state.id, withAccount(state.authUser, () => tickJob(state)));
+            }
+        } catch (err) {
+            console.warn(`[Alarm] tick failed for job ${state.id}, will retry:`, err?.message || err);
+        }
+    }
+
+    await startQueuedJobs();
+});
+
+async function ensurePollingAlarm() {
+    if (await chrome.alarms.get(ALARM_NAME)) return;
+    // NOTE: Chrome enforces a minimum of 1 minute for periodInMinutes in
+    // Web Store (production) extensions. Since this extension is loaded as
+    // an unpacked developer extension, shorter periods work fine.
+    // Change to periodInMinutes: 1 if you ever publish to the Web Store.
+    chrome.alarms.create(ALARM_NAME, { periodInMinutes: 0.25 }); // 15 seconds
+    console.log('[Pipeline] Alarm-based polling started (15 s interval)');
+}
+
+// =========================================================================
+// Job queue
+// =========================================================================
+
+/**
+ * Start as many queued jobs as the concurrency limit allows, oldest first.
+ * Jobs are claimed inside a single mutation so overlapping callers (alarm
+ * ticks, finishing jobs, new requests) never start the same job twice.
+ */
+async function startQueuedJobs() {
+    const settings = await getSettings();
+    const limit = Math.max(1, Number(settings.maxConcurrentJobs) || DEFAULT_SETTINGS.maxConcurrentJobs);
+    const startedAt = new Date().toISOString();
+    let claimed = [];
+
+    await mutateJobs(jobs => {
+        claimed = [];
+        const running = jobs.filter(job => job.status === 'running');
+        // The API client holds one account's session at a time (see
+        // withAccount()), so jobs for another account wait until the
+        // running ones have finished.
+        const accounts = new Set(running.map(job => job.authUser));
+        let slots = limit - running.length;
+        for (const job of [...jobs].reverse()) {
+            if (slots <= 0) break;
+            if (job.status !== 'queued') continue;
+            if (accounts.size > 0 && !accounts.has(job.authUser)) continue;
+            accounts.add(job.authUser);
+            claimed.push(job);
+            slots--;
+        }
+        const claimedIds = new Set(claimed.map(job => job.id));
+        // Setup runs are tracked before the claim is stored, so no tick
+        // mistakes them for cut-off runs.
+        claimed.filter(job => !job.request?.keepWaiting).forEach(job => activeRuns.add(job.id));
+        return jobs.map(job => claimedIds.has(job.id)
+            ? {
+                ...job,
+                status: 'running',
+                startedAt: job.startedAt || startedAt,
+                // A retried job's step start would otherwise be its last run's.
+                ...(job.request?.keepWaiting ? keepWaitingFields(job) : { stepStartedAt: startedAt }),
+            }
+            : job);
+    });
+
+    for (const job of claimed) {
+        if (job.request?.keepWaiting) {
+            // Polled by the alarm from the next tick on.
+        } else if (job.request?.retryFailedArtifacts) {
+            trackRun(job.id, withAccount(job.authUser, () => retryFailedArtifacts(job)));
+        } else if (job.request?.generateMissingArtifacts) {
+            trackRun(job.id, withAccount(job.authUser, () => generateMissingArtifacts(job)));
+        } else {
+            trackRun(job.id, withAccount(job.authUser, () => runPipeline(job)));
+        }
+    }
+    if (claimed.length > 0) {
+        await refreshBadge();
+    }
+}
+
+/**
+ * Add a job for one source to the queue and start it if a slot is free.
+ * The request is stored with the job so it can still start after the
+ * service worker has restarted. For a local uploadFile the sourceType,
+ * MIME type and filename extension are taken from the file's content.
+ *
+ * @param {object} [options]
+ * @param {string|null} [options.notebookId]  Existing notebook to add the source to (null = create one)
+ * @param {string|null} [options.notebookTitle]  Display title of the existing notebook
+ * @param {string} [options.artifactScope]  'new_source' | 'all_sources'
+ * @param {string[]} [options.sourceUrls]  Several PDF URLs to add to the same notebook
+ * @param {string} [options.text]  Captured text for sourceType 'text' (pdfUrl is then the page URL)
+ * @param {string|null} [options.profileId]  Settings profile for this run (null = default settings)
+ * @param {boolean} [options.ruleResolved]  The popup already applied the site rule's profile and notebook
+ * @param {boolean} [options.allowDuplicate]  Skip the check for a notebook that already holds the source
+ * @param {object|null} [options.sourceMetadata]  { authors, date } detected on the page
+ */
+async function queuePipeline(pdfUrl, pageUrl, uploadFile = null, sourceType = 'pdf', sourceTitle = null, options = {}) {
+    const settings = await getSettings();
+    const rule = await matchSiteRule(pageUrl || pdfUrl);
+    if (rule?.neverSend) {
+        throw codedError(ErrorCode.SOURCE_BLOCKED, `This site is never sent to NotebookLM (site rule "${rule.pattern}").`);
+    }
+    if (rule && !options.ruleResolved) {
+        options = {
+            ...options,
+            profileId: options.profileId || rule.profileId || null,
+            notebookId: options.notebookId || rule.notebookId || null,
+            notebookTitle: options.notebookId ? options.notebookTitle : (rule.notebookTitle || null),
+        };
+    }
+    if (uploadFile) {
+        const fileType = sniffUploadFileType(uploadFile.filename, await readUploadFileHead(uploadFile));
+        if (!fileType) {
+            throw codedError(ErrorCode.INVALID_INPUT, `${uploadFile.filename || 'This file'} is not a file type NotebookLM accepts (PDF, Word, text, Markdown, EPUB, image or audio).`);
+        }
+        sourceType = fileType.sourceType;
+        const pageRanges = normalizePageRanges(uploadFile.pageRanges);
+        if (pageRanges && (sourceType !== 'pdf' || !uploadFile.fileKey)) {
+            throw codedError(ErrorCode.INVALID_INPUT, 'Page ranges can only be chosen for PDF files picked in the popup.');
+        }
+        uploadFile = {
+            ...uploadFile,
+            filename: ensureFilenameExtension(uploadFile.filename, fileType.extension, UPLOAD_FILE_TYPES[sourceType].extensions),
+            mimeType: fileType.mimeType,
+            pageRanges,
+            sourcePerRange: !!(pageRanges && uploadFile.sourcePerRange),
+        };
+    }
+    const targetNotebookId = options.notebookId || null;
+    const profile = options.profileId
+        ? (await getProfiles()).find(p => p.id === options.profileId) || null
+        : null;
+    if (options.profileId && !profile) {
+        console.warn(`[Pipeline] Profile ${options.profileId} no longer exists; using default settings`);
+    }
+    const profileSettings = rule?.language
+        ? { ...(profile?.settings || {}), language: rule.language }
+        : (profile?.settings || null);
+    const normalizedTitle = normalizeSourceTitle(sourceTitle) || null;
+    const sourceMetadata = sanitizeSourceMetadata(options.sourceMetadata);
+    const notebookTitleFromRule = rule?.titleTemplate && !targetNotebookId
+        ? expandTemplate(rule.titleTemplate, sourceTemplateVars(
+            { sourceTitle: normalizedTitle, pdfUrl, pageUrl, sourceMetadata },
+            profileSettings?.language || settings.language
+        ))
+        : '';
+    const job = await enqueueJob({
+        pdfUrl,
+        pageUrl,
+        sourceType: sourceType || 'pdf',
+        sourceTitle: normalizedTitle,
+        sourceMetadata,
+        notebookTitle: targetNotebookId ? (options.notebookTitle || null) : null,
+        reusedNotebook: !!targetNotebookId,
+        artifactScope: targetNotebookId && options.artifactScope === 'all_sources' ? 'all_sources' : 'new_source',
+        authUser: Number.isInteger(Number(settings.authUser)) ? Math.max(0, Number(settings.authUser)) : 0,
+        profileId: profile?.id || null,
+        profileName: profile?.name || null,
+        profileSettings,
+        siteRulePattern: rule?.pattern || null,
+        requestedNotebookTitle: notebookTitleFromRule || null,
+        request: { uploadFile, options },
+    });
+    console.log(`[Pipeline] Queued job ${job.id} for ${getSourceLabel(job.sourceType)}: ${pdfUrl}`);
+
+    await ensurePollingAlarm();
+    await refreshBadge();
+    await startQueuedJobs();
+    return job;
+}
+
+async function removeJob(jobId) {
+    await removeJobs(job => job.id === jobId);
+    chrome.notifications.clear(`pipeline-complete:${jobId}`);
+    chrome.notifications.clear(`pipeline-error:${jobId}`);
+    chrome.notifications.clear(`pipeline-duplicate:${jobId}`);
+    chrome.notifications.clear(`pipeline-progress:${jobId}`);
+    await pruneUploadFiles();
+    await refreshBadge();
+    await startQueuedJobs();
+}
+
+// =========================================================================
+// Local file handoff
+// =========================================================================
+
+// Files picked in the popup wait in the upload store (upload-store.js) until
+// their job has uploaded them.
+// Unreferenced files younger than this may belong to a job still being queued.
+const UPLOAD_FILE_GRACE_MS = 10 * 60000;
+
+// Drop stored files that no job will upload any more. A running job may be
+// reading or splitting its file, so nothing is pruned while one is running.
+async function pruneUploadFiles() {
+    try {
+        const jobs = await getJobs();
+        if (jobs.some(job => job.status === 'running')) return;
+        const keys = await listUploadFileKeys();
+        const referenced = new Set(jobs.map(job => job.request?.uploadFile?.fileKey).filter(Boolean));
+        const orphaned = keys.filter(key =>
+            !referenced.has(key) && Date.now() - uploadFileStoredAt(key) > UPLOAD_FILE_GRACE_MS
+        );
+        if (orphaned.length > 0) await deleteUploadFiles(orphaned);
+    } catch (err) {
+        console.warn('[Pipeline] Could not prune stored upload files:', err?.message);
+    }
+}
+
+// Runs cut off when the browser closed are settled first, so the files of
+// jobs queued again are still referenced when the leftovers are pruned.
+chrome.runtime.onStartup.addListener(async () => {
+    await recoverInterruptedJobs();
+    await pruneUploadFiles();
+});
+
+// Data of a queued upload: the stored Blob for files picked in the popup,
+// which hashing and uploading read in slices, or inline data (base64 or
+// ArrayBuffer) otherwise.
+async function loadUploadFileData(uploadFile) {
+    if (!uploadFile.fileKey) return uploadFile.fileData;
+    const blob = await readUploadFile(uploadFile.fileKey);
+    if (!blob) {
+        throw codedError(ErrorCode.INVALID_INPUT, `${uploadFile.filename} is no longer available. Choose the file again.`);
+    }
+    return blob;
+}
+
+// Enough of a file to recognise its signature and the first zip entries.
+const UPLOAD_SNIFF_BYTES = 4096;
+
+async function readUploadFileHead(uploadFile) {
+    if (uploadFile.fileKey) {
+        const blob = await readUploadFile(uploadFile.fileKey);
+        return blob ? new Uint8Array(await blob.slice(0, UPLOAD_SNIFF_BYTES).arrayBuffer()) : new Uint8Array(0);
+    }
+    if (typeof uploadFile.fileData === 'string') {
+        const encoded = uploadFile.fileData.substring(0, Math.ceil(UPLOAD_SNIFF_BYTES / 3) * 4);
+        return Uint8Array.from(atob(encoded), c => c.charCodeAt(0));
+    }
+    return new Uint8Array(uploadFile.fileData || new ArrayBuffer(0)).slice(0, UPLOAD_SNIFF_BYTES);
+}
+
+// Valid UTF-8 without NUL bytes; a multi-byte character cut off at the end
+// of the sample is fine.
+function looksLikeText(head) {
+    if (head.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Work out what a local file is from its leading bytes, using the extension
+ * only for zip containers without a telling first entry and for text, which
+ * has no signature. Browsers report an empty or generic type for several of
+ * these formats, so the picker's MIME type is not trusted.
+ *
+ * @returns {{ sourceType: string, mimeType: string, extension: string }|null}  null = unsupported
+ */
+function sniffUploadFileType(filename, head) {
+    const ascii = (start, end) => String.fromCharCode(...head.subarray(start, end));
+    const extension = String(filename || '').match(/\.([a-z0-9]+)$/i)?.[1]?.toLowerCase() || '';
+    const detected = (sourceType, mimeType, ext) => ({
+        sourceType,
+        mimeType: mimeType || UPLOAD_FILE_TYPES[sourceType].mimeType,
+        extension: ext || UPLOAD_FILE_TYPES[sourceType].extensions[0],
+    });
+
+    if (ascii(0, 4) === '%PDF') return detected('pdf');
+    if (ascii(0, 4) === 'PK\x03\x04') {
+        // EPUB requires an uncompressed "mimetype" entry first; Word documents
+        // name their parts under word/.
+        if (ascii(30, 38) === 'mimetype' && ascii(38, 58) === 'application/epub+zip') return detected('epub');
+        if (ascii(0, head.length).includes('word/') || extension === 'docx') return detected('docx');
+        return extension === 'epub' ? detected('epub') : null;
+    }
+    if (head[0] === 0x89 && ascii(1, 4) === 'PNG') return detected('image', 'image/png', 'png');
+    if (head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) return detected('image', 'image/jpeg', 'jpg');
+    if (ascii(0, 4) === 'GIF8') return detected('image', 'image/gif', 'gif');
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return detected('image', 'image/webp', 'webp');
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return detected('audio', 'audio/wav', 'wav');
+    if (ascii(0, 4) === 'OggS') return detected('audio', 'audio/ogg', 'ogg');
+    if (ascii(0, 4) === 'fLaC') return detected('audio', 'audio/flac', 'flac');
+    if (ascii(4, 8) === 'ftyp' && /^M4[AB] $/.test(ascii(8, 12))) return detected('audio', 'audio/mp4', 'm4a');
+    // ADTS AAC and MPEG audio both start with a frame sync; AAC has layer 0.
+    if (head[0] === 0xFF && (head[1] & 0xF6) === 0xF0) return detected('audio', 'audio/aac', 'aac');
+    if (ascii(0, 3) === 'ID3' || (head[0] === 0xFF && (head[1] & 0xE0) === 0xE0)) {
+        return detected('audio', 'audio/mpeg', 'mp3');
+    }
+
+    if (head.length > 0 && looksLikeText(head)) {
+        if (UPLOAD_FILE_TYPES.markdown.extensions.includes(extension)) return detected('markdown');
+        if (!extension || extension === 'txt') return detected('text_file');
+    }
+    return null;
+}
+
+function formatMegabytes(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1);
+}
+
+// addFileSource progress callback that reports into the job's stepDetail.
+function uploadProgressReporter(jobId, filename) {
+    return ({ uploadedBytes, totalBytes }) => {
+        const percent = Math.floor((uploadedBytes / totalBytes) * 100);
+        setJobState(jobId, {
+            stepDetail: `Uploading ${filename}: ${percent}% (${formatMegabytes(uploadedBytes)} of ${formatMegabytes(totalBytes)} MB)`,
+        }).catch(err => console.warn('[Pipeline] Could not record upload progress:', err?.message));
+    };
+}
+
+// =========================================================================
+// PDF page ranges
+// =========================================================================
+
+// Upper bound on ranges per job; one source each when split per range.
+const MAX_PAGE_RANGES = 50;
+
+/**
+ * Read a PDF's page count and outline chapters in the offscreen document.
+ * A remote PDF is downloaded and stored first, so the upload can reuse it.
+ * Returns { fileKey, fileName, pageCount, chapters }.
+ */
+async function inspectPdf({ fileKey = null, fileName = null, pdfUrl = null, pageUrl = null }) {
+    if (!fileKey) {
+        const downloaded = await downloadRemotePdfForUpload(pdfUrl, pageUrl);
+        fileKey = await storeUploadFile(new Blob([downloaded.fileData], { type: 'application/pdf' }));
+        fileName = downloaded.filename;
+    }
+    const { pageCount, chapters } = await withOffscreenDocument(() =>
+        sendOffscreenMessage({ type: 'OFFSCREEN_READ_PDF', fileKey })
+    );
+    return { fileKey, fileName: ensureFilenameExtension(fileName, 'pdf'), pageCount, chapters };
+}
+
+// Keep well-formed { start, end, title } ranges; null when none are left.
+function normalizePageRanges(ranges) {
+    if (!Array.isArray(ranges)) return null;
+    const normalized = ranges
+        .map(range => ({
+            start: Number(range?.start),
+            end: Number(range?.end),
+            title: typeof range?.title === 'string' && range.title.trim() ? range.title.trim().substring(0, 200) : null,
+        }))
+        .filter(range => Number.isInteger(range.start) && Number.isInteger(range.end) &&
+            range.start >= 1 && range.end >= range.start)
+        .slice(0, MAX_PAGE_RANGES);
+    return normalized.length > 0 ? normalized : null;
+}
+
+function describePageRanges(ranges) {
+    return ranges.map(range => (range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`)).join(', ');
+}
+
+// "Book.pdf" -> "Book - Chapter 3.pdf" for a titled range, else "Book (pages 45-80).pdf".
+function pageRangeFilename(filename, ranges) {
+    const base = String(filename || 'document').replace(/\.pdf$/i, '');
+    const title = ranges.length === 1 ? sanitizeFilenamePart(ranges[0].title) : '';
+    return title ? `${base} - ${title}.pdf` : `${base} (pages ${describePageRanges(ranges)}).pdf`;
+}
+
+/**
+ * Cut the job's page ranges out of its stored PDF in the offscreen
+ * document: one file for all ranges, or one per range with sourcePerRange.
+ * The parts are stored like picked files. Returns [{ filename, fileKey }].
+ */
+async function extractUploadPages(jobId, uploadFile) {
+    const { pageRanges, sourcePerRange } = uploadFile;
+    await setJobState(jobId, {
+        stepDetail: `Extracting pages ${describePageRanges(pageRanges)} from ${uploadFile.filename}...`,
+    });
+    const groups = sourcePerRange ? pageRanges.map(range => [range]) : [pageRanges];
+    const { fileKeys } = await withOffscreenDocument(() => sendOffscreenMessage({
+        type: 'OFFSCREEN_EXTRACT_PDF_PAGES',
+        fileKey: uploadFile.fileKey,
+        parts: groups.map(ranges => ranges.flatMap(range =>
+            Array.from({ length: range.end - range.start + 1 }, (_, i) => range.start + i)
+        )),
+    })).catch(err => {
+        throw codedError(ErrorCode.INVALID_INPUT, err.message);
+    });
+    return fileKeys.map((fileKey, i) => ({ filename: pageRangeFilename(uploadFile.filename, groups[i]), fileKey }));
+}
+
+// =========================================================================
+// Pipeline orchestration (steps 1-3: synchronous network calls)
+// =========================================================================
+
+/**
+ * Add a URL source, falling back to download + upload when NotebookLM's
+ * fetcher is blocked by the hosting site and the URL looks like a PDF.
+ * A source uploaded that way carries the contentHash of the downloaded file.
+ */
+async function addUrlSourceWithFallback(jobId, notebookId, url, pageUrl, sourceType) {
+    if (typeof url === 'string' && url.startsWith('file://')) {
+        throw codedError(ErrorCode.SOURCE_BLOCKED, 'Local PDF detected. Use local upload mode instead of URL mode.');
+    }
+    const canFallbackToPdfUpload = !isWebpageSourceType(sourceType) && isLikelyPdfUrl(url);
     try {
-        setBadge('...', '#6b7a8d');  // grey ellipsis while running
+        return await addUrlSource(notebookId, url);
+    } catch (urlErr) {
+        if (!canFallbackToPdfUpload) {
+            throw urlErr;
+        }
+        console.warn('[Pipeline] URL source add failed, trying download+upload fallback:', urlErr?.message || urlErr);
+        await setJobState(jobId, {
+            stepDetail: 'URL source was blocked. Downloading PDF from the current URL and uploading directly...'
+        });
+
+        try {
+            const fallbackFile = await downloadRemotePdfForUpload(url, pageUrl);
+            const contentHash = await sha256Hex(fallbackFile.fileData);
+            const source = await addFileSource(
+                notebookId,
+                fallbackFile.filename,
+                fallbackFile.fileData,
+                fallbackFile.mimeType,
+                uploadProgressReporter(jobId, fallbackFile.filename)
+            );
+            await setJobState(jobId, {
+                stepDetail: `URL blocked. Fallback upload succeeded (${fallbackFile.filename}).`
+            });
+            return { ...source, contentHash };
+        } catch (fallbackErr) {
+            throw buildFallbackUploadError(urlErr, fallbackErr, url);
+        }
+    }
+}
 
+/**
+ * Run steps 1-3 for a job claimed by startQueuedJobs(), then hand it off to
+ * the polling alarm. job.request holds the { uploadFile, options } passed to
+ * queuePipeline().
+ */
+async function runPipeline(job) {
+    const jobId = job.id;
+    const { pdfUrl, pageUrl, sourceType: effectiveSourceType } = job;
+    const uploadFile = job.request?.uploadFile || null;
+    const options = job.request?.options || {};
+    const targetNotebookId = options.notebookId || null;
+    const sourceUrls = Array.isArray(options.sourceUrls) && options.sourceUrls.length > 0
+        ? options.sourceUrls
+        : [pdfUrl];
+    const sourceLabel = getSourceLabel(effectiveSourceType);
+    const ingestionLabel = getIngestionLabel(effectiveSourceType);
+    const detectedTitle = job.sourceTitle || '';
+    console.log(`[Pipeline] Starting job ${jobId} for ${sourceLabel}: ${pdfUrl}`);
+
+    let notebookId = null;  // set once this run has created a notebook
+    // Stopped from the popup: the job is gone, so the run ends here and
+    // failPipeline() deletes the notebook it created.
+    const unlessStopped = updatedJob => {
+        if (!updatedJob) throw codedError(ErrorCode.PIPELINE_ABORTED, 'Stopped from the popup.');
+        return updatedJob;
+    };
+
+    try {
         // Step 1: Authenticate
-        await setState({
-            status: 'running',
+        const authJob = unlessStopped(await setJobState(jobId, {
             step: 'auth',
             stepDetail: 'Authenticating with NotebookLM...',
-            pdfUrl,
-            sourceType: effectiveSourceType,
-            pageUrl,
-            sourceTitle: detectedTitle || null,
-            notebookId: null,
-            notebookUrl: null,
-            notebookTitle: null,
-            sourceId: null,
-            tasks: [],
-            error: null,
-            startedAt: new Date().toISOString(),
-            completedAt: null,
             stepStartedAt: new Date().toISOString(),
-        });
-
+        }));
         await fetchTokens();
-        await setState({ step: 'create_notebook', stepDetail: 'Creating notebook...' });
+        emitPipelineEvent('auth', authJob);
+
+        // The same source may already be in a notebook created earlier.
+        const fileData = uploadFile ? await loadUploadFileData(uploadFile) : null;
+        let contentHash = job.contentHash;
+        if (uploadFile && !contentHash) {
+            contentHash = await sha256Hex(fileData);
+            // Some pages of a file are a different source from the whole file.
+            if (uploadFile.pageRanges) contentHash += `#pages=${describePageRanges(uploadFile.pageRanges)}`;
+            unlessStopped(await setJobState(jobId, { contentHash }));
+        }
+        const canBeDuplicate = !targetNotebookId && !options.allowDuplicate &&
+            !isTextSourceType(effectiveSourceType) && sourceUrls.length === 1;
+        if (canBeDuplicate) {
+            unlessStopped(await setJobState(jobId, { step: 'create_notebook', stepDetail: 'Checking whether this source was already sent...' }));
+            const duplicate = await checkForDuplicateSource(job, uploadFile, contentHash);
+            if (duplicate) {
+                await pauseForDuplicate(job, duplicate);
+                return;
+            }
+        }
 
-        // Step 2: Create notebook
-        const settings = await getSettings();
-        const requestedNotebookTitle = settings.useSourceTitleForNotebook !== false ? detectedTitle : '';
-        const notebook = await createNotebook(requestedNotebookTitle);
-        if (!notebook.id) throw new Error('Failed to create notebook -- no ID returned');
-        notebookId = notebook.id;
+        // Step 2: Create notebook (or reuse the one picked in the popup)
+        let notebook;
+        if (targetNotebookId) {
+            notebook = { id: targetNotebookId, title: options.notebookTitle || null };
+            unlessStopped(await setJobState(jobId, {
+                step: 'create_notebook',
+                stepDetail: 'Using existing notebook...',
+                notebookTitle: notebook.title,
+            }));
+        } else {
+            unlessStopped(await setJobState(jobId, { step: 'create_notebook', stepDetail: 'Creating notebook...' }));
+            const settings = await getRunSettings(job);
+            const requestedNotebookTitle = job.requestedNotebookTitle ||
+                (settings.useSourceTitleForNotebook !== false ? detectedTitle : '');
+            notebook = await createNotebook(requestedNotebookTitle);
+            if (!notebook.id) throw codedError(ErrorCode.RPC_ERROR, 'Failed to create notebook -- no ID returned');
+            notebookId = notebook.id;
+        }
 
         const notebookUrl = getNotebookUrl(notebook.id);
-        const sourceStepDetail = uploadFile
-            ? `Uploading local PDF: ${uploadFile.filename}`
-            : `Adding ${sourceLabel}: ${pdfUrl.substring(0, 60)}...`;
+        let sourceStepDetail = `Adding ${sourceLabel}: ${pdfUrl.substring(0, 60)}...`;
+        if (uploadFile) {
+            sourceStepDetail = `Uploading local ${UPLOAD_FILE_TYPES[effectiveSourceType]?.label || 'file'}: ${uploadFile.filename}`;
+        } else if (isTextSourceType(effectiveSourceType)) {
+            sourceStepDetail = `Adding ${sourceLabel} (${(options.text || '').length} characters)...`;
+        } else if (sourceUrls.length > 1) {
+            sourceStepDetail = `Adding ${sourceUrls.length} PDF sources...`;
+        }
 
-        await setState({
+        unlessStopped(await setJobState(jobId, {
             notebookId: notebook.id,
             notebookUrl,
             step: 'add_source',
             stepDetail: sourceStepDetail,
-        });
+        }));
 
-        // Step 3: Add source
-        let source = null;
+        // Step 3: Add source(s)
+        const sourceIds = [];
         if (uploadFile) {
-            source = await addFileSource(
-                notebook.id,
-                uploadFile.filename,
-                uploadFile.fileData,
-                uploadFile.mimeType || 'application/pdf'
-            );
-        } else {
-            if (typeof pdfUrl === 'string' && pdfUrl.startsWith('file://')) {
-                throw new Error('Local PDF detected. Use local upload mode instead of URL mode.');
+            const parts = uploadFile.pageRanges
+                ? await extractUploadPages(jobId, uploadFile)
+                : [{ filename: uploadFile.filename, fileData }];
+            for (const part of parts) {
+                const source = await addFileSource(
+                    notebook.id,
+                    part.filename,
+                    part.fileData || await loadUploadFileData(part),
+                    uploadFile.mimeType || 'application/pdf',
+                    uploadProgressReporter(jobId, part.filename)
+                );
+                if (!source.id) throw codedError(ErrorCode.RPC_ERROR, 'Failed to add source -- no ID returned');
+                sourceIds.push(String(source.id));
             }
-            const canFallbackToPdfUpload = !isWebpageSourceType(effectiveSourceType) && isLikelyPdfUrl(pdfUrl);
-            try {
-                source = await addUrlSource(notebook.id, pdfUrl);
-            } catch (urlErr) {
-                if (!canFallbackToPdfUpload) {
-                    throw urlErr;
+            const storedKeys = [uploadFile.fileKey, ...parts.map(part => part.fileKey)].filter(Boolean);
+            if (storedKeys.length > 0) await deleteUploadFiles(storedKeys);
+        } else if (isYoutubeSourceType(effectiveSourceType)) {
+            const source = await addYoutubeSource(notebook.id, pdfUrl);
+            if (!source.id) throw codedError(ErrorCode.RPC_ERROR, 'Failed to add source -- no ID returned');
+            sourceIds.push(String(source.id));
+        } else if (isTextSourceType(effectiveSourceType)) {
+            const source = await addTextSource(notebook.id, detectedTitle || pageUrl || 'Pasted text', options.text);
+            if (!source.id) throw codedError(ErrorCode.RPC_ERROR, 'Failed to add source -- no ID returned');
+            sourceIds.push(String(source.id));
+        } else {
+            const addErrors = [];
+            for (let i = 0; i < sourceUrls.length; i++) {
+                const url = sourceUrls[i];
+                if (sourceUrls.length > 1) {
+                    unlessStopped(await setJobState(jobId, { stepDetail: `Adding ${sourceLabel} ${i + 1}/${sourceUrls.length}: ${url.substring(0, 60)}...` }));
                 }
-                console.warn('[Pipeline] URL source add failed, trying download+upload fallback:', urlErr?.message || urlErr);
-                await setState({
-                    stepDetail: 'URL source was blocked. Downloading PDF from the current URL and uploading directly...'
-                });
-
                 try {
-                    const fallbackFile = await downloadRemotePdfForUpload(pdfUrl, pageUrl);
-                    source = await addFileSource(
-                        notebook.id,
-                        fallbackFile.filename,
-                        fallbackFile.fileData,
-                        fallbackFile.mimeType
-                    );
-                    await setState({
-                        stepDetail: `URL blocked. Fallback upload succeeded (${fallbackFile.filename}).`
-                    });
-                } catch (fallbackErr) {
-                    throw new Error(buildFallbackUploadErrorMessage(urlErr, fallbackErr, pdfUrl));
+                    const source = await addUrlSourceWithFallback(jobId, notebook.id, url, pageUrl, effectiveSourceType);
+                    if (!source.id) throw codedError(ErrorCode.RPC_ERROR, 'Failed to add source -- no ID returned');
+                    sourceIds.push(String(source.id));
+                    // The extension downloaded this PDF, so the same file
+                    // uploaded later matches by content. Links NotebookLM
+                    // fetched itself are never read, and match by URL only.
+                    if (source.contentHash && sourceUrls.length === 1) {
+                        unlessStopped(await setJobState(jobId, { contentHash: source.contentHash }));
+                    }
+                } catch (err) {
+                    // A single blocked link must not sink a multi-PDF run.
+                    if (sourceUrls.length === 1 || err?.code === ErrorCode.PIPELINE_ABORTED) throw err;
+                    console.warn(`[Pipeline] Could not add ${url}:`, err?.message || err);
+                    addErrors.push(err);
                 }
             }
+            if (sourceIds.length === 0) {
+                throw codedError(
+                    errorCodeOf(addErrors[0]),
+                    `None of the ${sourceUrls.length} PDFs could be added. First error: ${errorMessageOf(addErrors[0])}`
+                );
+            }
+            if (addErrors.length > 0) {
+                unlessStopped(await setJobState(jobId, { stepDetail: `${sourceIds.length}/${sourceUrls.length} PDFs added (${addErrors.length} failed).` }));
+            }
         }
 
-        if (!source.id) throw new Error('Failed to add source -- no ID returned');
-
         // Step 4: Hand off to alarm-based polling.
         // The service worker is free to be suspended between alarm ticks.
         // All state needed for polling is now in chrome.storage.local.
-        await setState({
-            sourceId: source.id,
+        const addedJob = unlessStopped(await setJobState(jobId, {
+            sourceId: sourceIds[0],
+            sourceIds,
+            request: null,
             step: 'wait_source',
             stepDetail: `Waiting for ${ingestionLabel} (checking every ~15s)...`,
             stepStartedAt: new Date().toISOString(),
-        });
-
-        chrome.alarms.clear(ALARM_NAME);
-        // NOTE: Chrome enforces a minimum of 1 minute for periodInMinutes in
-        // Web Store (production) extensions. Since this extension is loaded as
-        // an unpacked developer extension, shorter periods work fine.
-        // Change to periodInMinutes: 1 if you ever publish to the Web Store.
-        chrome.alarms.create(ALARM_NAME, { periodInMinutes: 0.25 }); // 15 seconds
-        console.log('[Pipeline] Alarm-based polling started (15 s interval)');
+        }));
+        emitPipelineEvent('add_source', addedJob, { sourceIds });
+        await ensurePollingAlarm();
 
     } catch (err) {
-        const msg = err?.message || 'Unknown error';
-        console.error('[Pipeline] Setup error:', err);
-        await failPipeline(msg, notebookId, false);
+        console.error(`[Pipeline] Job ${jobId} setup error:`, err);
+        // job.request stays with the job so it can be retried as it was queued.
+        await failPipeline(jobId, err, notebookId, false);
     }
 }
 
@@ -981,62 +2874,166 @@ async function runPipeline(pdfUrl, pageUrl, uploadFile = null, sourceType = 'pdf
 // Message handlers (from popup and content script)
 // =========================================================================
 
+function runOptionsFromMessage(message) {
+    return {
+        notebookId: message.targetNotebookId || null,
+        notebookTitle: message.targetNotebookTitle || null,
+        artifactScope: message.artifactScope || 'new_source',
+        profileId: message.profileId || null,
+        ruleResolved: !!message.ruleResolved,
+        sourceMetadata: message.sourceMetadata || null,
+    };
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'START_PIPELINE') {
-        chrome.alarms.clear(ALARM_NAME);
-        runPipeline(
+        queuePipeline(
             message.pdfUrl,
             message.pageUrl,
             null,
             message.sourceType || 'pdf',
-            message.sourceTitle || null
-        );
-        sendResponse({ ok: true, message: 'Pipeline started' });
-        return false;
+            message.sourceTitle || null,
+            {
+                ...runOptionsFromMessage(message),
+                sourceUrls: Array.isArray(message.sourceUrls) ? message.sourceUrls : null,
+                text: typeof message.sourceText === 'string' ? message.sourceText : null,
+            }
+        )
+            .then(job => sendResponse({ ok: true, jobId: job.id, message: 'Pipeline queued' }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Could not start the pipeline' }));
+        return true;
     }
 
     if (message.type === 'START_PIPELINE_FILE') {
-        if (!message.fileDataBase64 || !message.fileName) {
+        // fileKey names a Blob the popup stored in IndexedDB; fileDataBase64
+        // carries the bytes inline.
+        if ((!message.fileKey && !message.fileDataBase64) || !message.fileName) {
             sendResponse({ ok: false, message: 'Missing file payload or filename' });
             return false;
         }
-        chrome.alarms.clear(ALARM_NAME);
-        runPipeline(
+        queuePipeline(
             message.fileName || 'local-upload.pdf',
             message.pageUrl || null,
             {
-                filename: message.fileName || 'local-upload.pdf',
-                mimeType: message.mimeType || 'application/pdf',
-                fileData: message.fileDataBase64,
+                filename: message.fileName,
+                pageRanges: message.pageRanges || null,
+                sourcePerRange: !!message.sourcePerRange,
+                ...(message.fileKey
+                    ? { fileKey: message.fileKey }
+                    : { fileData: message.fileDataBase64 }),
             },
             'pdf',
-            message.sourceTitle || null
-        );
-        sendResponse({ ok: true, message: 'Pipeline started' });
-        return false;
+            message.sourceTitle || null,
+            runOptionsFromMessage(message)
+        )
+            .then(job => sendResponse({ ok: true, jobId: job.id, message: 'Pipeline queued' }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Could not start the pipeline' }));
+        return true;
+    }
+
+    if (message.type === 'INSPECT_PDF') {
+        if (!message.fileKey && !message.pdfUrl) {
+            sendResponse({ ok: false, message: 'Missing PDF' });
+            return false;
+        }
+        inspectPdf(message)
+            .then(info => sendResponse({ ok: true, ...info }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Could not read the PDF' }));
+        return true;
     }
 
-    if (message.type === 'GET_STATE') {
-        getState().then(state => sendResponse(state));
+    if (message.type === 'LIST_ACCOUNTS') {
+        listAccounts()
+            .then(accounts => sendResponse({ ok: true, accounts }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Could not list accounts' }));
         return true;
     }
 
-    if (message.type === 'RESET_STATE') {
-        chrome.alarms.clear(ALARM_NAME);
-        clearBadge();
-        resetState().then(() => sendResponse({ ok: true }));
+    if (message.type === 'LIST_NOTEBOOKS') {
+        getSettings()
+            .then(settings => withAccount(settings.authUser, listNotebooks))
+            .then(notebooks => sendResponse({ ok: true, notebooks }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Could not list notebooks' }));
         return true;
     }
 
-    if (message.type === 'ABORT_PIPELINE') {
-        chrome.alarms.clear(ALARM_NAME);
-        clearBadge();
-        setState({
-            ...INITIAL_STATE,
-            status: 'idle',
-            stepDetail: 'Monitoring stopped. You can start another generation.',
-            error: null,
-        }).then(() => sendResponse({ ok: true }));
+    if (message.type === 'MATCH_SITE_RULE') {
+        matchSiteRule(message.url).then(rule => sendResponse({ rule }));
+        return true;
+    }
+
+    if (message.type === 'GET_JOBS') {
+        // Queued uploads keep their file payload in 'request'; the popup only
+        // needs to know whether a failed job can be retried.
+        getJobs().then(jobs => sendResponse({
+            jobs: jobs.map(({ request, ...job }) => ({ ...job, canRetry: canRetryJob({ ...job, request }) })),
+        }));
+        return true;
+    }
+
+    if (message.type === 'ABORT_PIPELINE' || message.type === 'REMOVE_JOB') {
+        removeJob(message.jobId).then(() => sendResponse({ ok: true }));
+        return true;
+    }
+
+    if (message.type === 'CLEAR_FINISHED_JOBS') {
+        removeJobs(job => !isActiveJob(job) && !isAwaitingDecision(job))
+            .then(() => pruneUploadFiles())
+            .then(() => refreshBadge())
+            .then(() => sendResponse({ ok: true }));
+        return true;
+    }
+
+    if (message.type === 'GET_HISTORY') {
+        getHistory().then(entries => sendResponse({ entries }));
+        return true;
+    }
+
+    if (message.type === 'DELETE_HISTORY_ENTRY') {
+        mutateHistory(entries => entries.filter(entry => entry.id !== message.entryId))
+            .then(() => sendResponse({ ok: true }));
+        return true;
+    }
+
+    if (message.type === 'RETRY_FAILED_ARTIFACTS') {
+        queueArtifactRetry(message.jobId)
+            .then(() => sendResponse({ ok: true }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Could not retry artifacts' }));
+        return true;
+    }
+
+    if (message.type === 'RETRY_JOB') {
+        retryJob(message.jobId)
+            .then(() => sendResponse({ ok: true }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Could not retry this job' }));
+        return true;
+    }
+
+    if (message.type === 'KEEP_WAITING') {
+        keepWaitingForArtifacts(message.jobId)
+            .then(() => sendResponse({ ok: true }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Could not resume monitoring' }));
+        return true;
+    }
+
+    if (message.type === 'RESOLVE_DUPLICATE') {
+        resolveDuplicate(message.jobId, message.choice)
+            .then(() => sendResponse({ ok: true }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Could not continue the job' }));
+        return true;
+    }
+
+    if (message.type === 'TEST_WEBHOOK') {
+        sendTestWebhook()
+            .then(result => sendResponse(result))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), error: err?.message ? errorMessageOf(err) : 'Could not send the test event' }));
+        return true;
+    }
+
+    if (message.type === 'DOWNLOAD_ARTIFACTS') {
+        downloadArtifacts(message.jobId)
+            .then(result => sendResponse({ ok: true, ...result }))
+            .catch(err => sendResponse({ ok: false, code: errorCodeOf(err), message: err?.message ? errorMessageOf(err) : 'Download failed' }));
         return true;
     }
 
@@ -1047,31 +3044,420 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 });
 
+// =========================================================================
+// Context menus
+// =========================================================================
+
+const CONTEXT_MENU_LINK = 'send-link';
+const CONTEXT_MENU_PAGE = 'send-page';
+const CONTEXT_MENU_SELECTION = 'send-selection';
+
+// An update reloads the worker, cutting off any setup run in progress.
+chrome.runtime.onInstalled.addListener(recoverInterruptedJobs);
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_LINK,
+            title: 'Send this link to NotebookLM',
+            contexts: ['link'],
+            targetUrlPatterns: ['http://*/*', 'https://*/*'],
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_PAGE,
+            title: 'Send this page to NotebookLM',
+            contexts: ['page'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*'],
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_SELECTION,
+            title: 'Send selected text to NotebookLM',
+            contexts: ['selection'],
+        });
+    });
+});
+
+// The click data carries no anchor text, so read it from the page.
+async function findLinkText(tabId, linkUrl) {
+    try {
+        const injected = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: (href) => {
+                const anchor = [...document.querySelectorAll('a[href]')].find(a => a.href === href);
+                return (anchor?.innerText || anchor?.title || '').replace(/\s+/g, ' ').trim();
+            },
+            args: [linkUrl],
+        });
+        return injected?.[0]?.result || null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// selectionText loses line breaks, so prefer the live selection when readable.
+async function readSelectionText(tabId, fallbackText) {
+    try {
+        const injected = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: () => String(window.getSelection?.() || '').trim(),
+        });
+        return injected?.[0]?.result || fallbackText || '';
+    } catch (_) {
+        return fallbackText || '';
+    }
+}
+
+// Authors and publication date from content.js, for prompt variables.
+async function readTabSourceMetadata(tabId) {
+    if (!tabId) return null;
+    try {
+        await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+        return await chrome.tabs.sendMessage(tabId, { type: 'REQUEST_SOURCE_METADATA' });
+    } catch (_) {
+        return null;
+    }
+}
+
+function notifyStartFailure(err) {
+    chrome.notifications.create(`pipeline-start-error:${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Could not send to NotebookLM',
+        message: (err?.message || 'Unknown error').substring(0, 140),
+        priority: 1,
+    });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    try {
+        if (info.menuItemId === CONTEXT_MENU_LINK) {
+            const { url, sourceType } = resolveUrlSource(info.linkUrl);
+            const linkText = tab?.id ? await findLinkText(tab.id, info.linkUrl) : null;
+            await queuePipeline(url, info.pageUrl || tab?.url || null, null, sourceType, linkText);
+        } else if (info.menuItemId === CONTEXT_MENU_PAGE) {
+            const pageUrl = info.pageUrl || tab?.url;
+            const { url, sourceType } = resolveUrlSource(pageUrl);
+            const sourceMetadata = await readTabSourceMetadata(tab?.id);
+            await queuePipeline(url, pageUrl, null, sourceType, tab?.title || null, { sourceMetadata });
+        } else if (info.menuItemId === CONTEXT_MENU_SELECTION) {
+            const text = tab?.id ? await readSelectionText(tab.id, info.selectionText) : info.selectionText;
+            if (!text) throw codedError(ErrorCode.INVALID_INPUT, 'No text is selected.');
+            const pageUrl = info.pageUrl || tab?.url || null;
+            const sourceTitle = tab?.title ? `${tab.title} (selection)` : 'Selected text';
+            const sourceMetadata = await readTabSourceMetadata(tab?.id);
+            await queuePipeline(pageUrl || 'selection', pageUrl, null, 'text', sourceTitle, { text, sourceMetadata });
+        }
+    } catch (err) {
+        console.warn('[ContextMenu] Could not start pipeline:', err?.message || err);
+        notifyStartFailure(err);
+    }
+});
+
+// =========================================================================
+// Keyboard shortcuts
+// =========================================================================
+
+/**
+ * Work out what the popup would offer for a tab, without opening it:
+ * YouTube and PDF/arXiv URLs directly, then the content script's PDF
+ * detection, and finally the page itself as a webpage source.
+ * Returns { url, sourceType, sourceTitle }.
+ */
+async function detectTabSource(tab) {
+    const url = tab?.url || '';
+    if (url.startsWith('file://')) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'Local PDFs are uploaded from the popup. Open the popup to send this file.');
+    }
+    if (!/^https?:\/\//i.test(url)) {
+        throw codedError(ErrorCode.INVALID_INPUT, 'The current tab is not a webpage.');
+    }
+
+    const direct = resolveUrlSource(url);
+    if (direct.sourceType !== 'webpage') {
+        return { ...direct, sourceTitle: tab.title || null };
+    }
+
+    try {
+        await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content.js'] });
+        await sleep(200);
+        const detection = await chrome.tabs.sendMessage(tab.id, { type: 'REQUEST_PDF_DETECTION' });
+        if (detection?.isPdf && detection.pdfUrl) {
+            return { url: detection.pdfUrl, sourceType: 'pdf', sourceTitle: detection.sourceTitle || tab.title || null };
+        }
+    } catch (err) {
+        console.warn('[Shortcut] PDF detection failed, sending the page URL:', err?.message || err);
+    }
+    return { url, sourceType: 'webpage', sourceTitle: tab.title || null };
+}
+
+async function notifyJobQueued(job) {
+    await notifyInfo('Sent to NotebookLM', `${getSourceLabel(job.sourceType)}: ${job.sourceTitle || job.pdfUrl}`);
+}
+
+async function notifyInfo(title, message) {
+    const settings = await getSettings();
+    if (settings.notificationEnabled === false) return;
+    chrome.notifications.create(`pipeline-info:${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title,
+        message: message.substring(0, 140),
+        priority: 0,
+    });
+}
+
+async function startPipelineForTab(tab) {
+    const source = await detectTabSource(tab);
+    const sourceMetadata = await readTabSourceMetadata(tab.id);
+    const job = await queuePipeline(source.url, tab.url, null, source.sourceType, source.sourceTitle, { sourceMetadata });
+    await notifyJobQueued(job);
+}
+
+// Stops the most recently started unfinished job.
+async function stopLatestJob() {
+    const job = (await getJobs()).find(isActiveJob);
+    if (!job) {
+        await notifyInfo('Nothing to stop', 'No NotebookLM job is running.');
+        return;
+    }
+    await removeJob(job.id);
+    await notifyInfo('Monitoring stopped', job.sourceTitle || job.pdfUrl || 'NotebookLM job');
+}
+
+async function openLastNotebook() {
+    const job = (await getJobs()).find(j => j.notebookUrl);
+    const entry = job ? null : (await getHistory()).find(e => e.notebookUrl);
+    const notebookUrl = job?.notebookUrl || entry?.notebookUrl;
+    if (!notebookUrl) {
+        await notifyInfo('No notebook yet', 'No NotebookLM notebook has been created from this browser.');
+        return;
+    }
+    chrome.tabs.create({ url: notebookUrl });
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    try {
+        if (command === 'start-pipeline') {
+            const activeTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+            await startPipelineForTab(activeTab);
+        } else if (command === 'stop-pipeline') {
+            await stopLatestJob();
+        } else if (command === 'open-last-notebook') {
+            await openLastNotebook();
+        }
+    } catch (err) {
+        console.warn(`[Shortcut] ${command} failed:`, err?.message || err);
+        notifyStartFailure(err);
+    }
+});
+
+// =========================================================================
+// Omnibox ("nlm" keyword)
+// =========================================================================
+
+const ARXIV_ID_PATTERN = /^(?:arxiv:\s*)?(\d{4}\.\d{4,5}(?:v\d+)?|[a-z-]+(?:\.[a-z]{2})?\/\d{7}(?:v\d+)?)$/i;
+const DOI_PATTERN = /^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,9}\/\S+)$/i;
+
+/**
+ * Turn what was typed after "nlm" into a source: an arXiv ID becomes its
+ * PDF, a DOI its doi.org resolver page, and a URL is classified like a link.
+ * Returns { url, sourceType } or null.
+ */
+function resolveOmniboxInput(text) {
+    const input = String(text || '').trim();
+    if (!input) return null;
+
+    const arxivMatch = input.match(ARXIV_ID_PATTERN);
+    if (arxivMatch) {
+        return { url: arxivPdfUrl(arxivMatch[1]), sourceType: 'pdf' };
+    }
+    const doiMatch = input.match(DOI_PATTERN);
+    if (doiMatch) {
+        return { url: `https://doi.org/${doiMatch[1]}`, sourceType: 'webpage' };
+    }
+    if (/^https?:\/\//i.test(input)) {
+        return resolveUrlSource(input);
+    }
+    // A bare host such as "example.com/paper.pdf"
+    if (/^[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/i.test(input)) {
+        return resolveUrlSource(`https://${input}`);
+    }
+    return null;
+}
+
+function escapeOmniboxXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// The profile a run for this URL would use: the site rule's, else the defaults.
+async function describeActiveProfile(url) {
+    const rule = await matchSiteRule(url);
+    if (rule?.neverSend) return { blocked: true, label: `blocked by site rule ${rule.pattern}` };
+    const profile = rule?.profileId ? (await getProfiles()).find(p => p.id === rule.profileId) : null;
+    return { blocked: false, label: profile ? `profile: ${profile.name}` : 'default settings' };
+}
+
+chrome.omnibox.setDefaultSuggestion({
+    description: 'Send an arXiv ID, DOI or URL to NotebookLM',
+});
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+    const source = resolveOmniboxInput(text);
+    if (!source) {
+        chrome.omnibox.setDefaultSuggestion({
+            description: `Send an arXiv ID, DOI or URL to NotebookLM <dim>(${escapeOmniboxXml(text.trim() || 'nothing')} is not recognized yet)</dim>`,
+        });
+        suggest([]);
+        return;
+    }
+    const profile = await describeActiveProfile(source.url);
+    chrome.omnibox.setDefaultSuggestion({
+        description: `${profile.blocked ? 'Cannot send' : 'Send'} ${escapeOmniboxXml(getSourceLabel(source.sourceType))} <url>${escapeOmniboxXml(source.url)}</url> <dim>(${escapeOmniboxXml(profile.label)})</dim>`,
+    });
+    suggest([]);
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+    try {
+        const source = resolveOmniboxInput(text);
+        if (!source) {
+            throw codedError(ErrorCode.INVALID_INPUT, `"${text.trim()}" is not an arXiv ID, DOI or URL.`);
+        }
+        const job = await queuePipeline(source.url, source.url, null, source.sourceType, null);
+        await notifyJobQueued(job);
+    } catch (err) {
+        console.warn('[Omnibox] Could not start pipeline:', err?.message || err);
+        notifyStartFailure(err);
+    }
+});
+
 // =========================================================================
 // Notification handlers
 // =========================================================================
 
+function jobIdFromNotificationId(notificationId, prefix) {
+    return notificationId.startsWith(`${prefix}:`) ? notificationId.slice(prefix.length + 1) : null;
+}
+
+async function openJobNotebook(jobId) {
+    const state = await getJobState(jobId);
+    if (state?.notebookUrl) {
+        chrome.tabs.create({ url: state.notebookUrl });
+    }
+}
+
 // Clicking the notification body opens the notebook
 chrome.notifications.onClicked.addListener(async (notificationId) => {
-    if (notificationId === 'pipeline-complete') {
-        const state = await getState();
-        if (state.notebookUrl) {
-            chrome.tabs.create({ url: state.notebookUrl });
-        }
+    const jobId = jobIdFromNotificationId(notificationId, 'pipeline-complete');
+    if (jobId) {
+        await openJobNotebook(jobId);
         chrome.notifications.clear(notificationId);
+        return;
+    }
+    const runningJobId = jobIdFromNotificationId(notificationId, 'pipeline-progress');
+    if (runningJobId) {
+        await openJobNotebook(runningJobId);
     }
 });
 
-// Handling the "Open Notebook" / "Dismiss" action buttons
+// 'artifact-ready:<jobId>:<type>' -> { jobId, type }
+function artifactFromNotificationId(notificationId) {
+    const rest = jobIdFromNotificationId(notificationId, 'artifact-ready');
+    if (!rest) return null;
+    const sep = rest.lastIndexOf(':');
+    return sep > 0 ? { jobId: rest.slice(0, sep), type: rest.slice(sep + 1) } : null;
+}
+
+const NOTEBOOKLM_HOME_URL = 'https://notebook.google.com/';
+
+// The follow-up a finished job's notification offers. Retrying failures
+// takes precedence over waiting longer for timed-out artifacts; a failed
+// setup offers signing in or starting over.
+function notificationFollowUp(job) {
+    if (canRetryFailedArtifacts(job)) {
+        return { action: 'retry', title: '\uD83D\uDD01 Retry failed artifacts' };
+    }
+    if (hasTimedOutArtifacts(job)) {
+        return { action: 'keep_waiting', title: '\u23F3 Keep waiting' };
+    }
+    if (job?.errorCode === ErrorCode.AUTH_REQUIRED) {
+        return { action: 'sign_in', title: '\uD83D\uDD11 Sign in to NotebookLM' };
+    }
+    if (canRetryJob(job)) {
+        return { action: 'retry_job', title: '\uD83D\uDD01 Retry now' };
+    }
+    return null;
+}
+
+async function runNotificationFollowUp(jobId) {
+    const job = await getJobState(jobId);
+    const followUp = notificationFollowUp(job);
+    try {
+        if (followUp?.action === 'retry') {
+            await queueArtifactRetry(jobId);
+        } else if (followUp?.action === 'keep_waiting') {
+            await keepWaitingForArtifacts(jobId);
+        } else if (followUp?.action === 'sign_in') {
+            chrome.tabs.create({ url: `${NOTEBOOKLM_HOME_URL}${job?.authUser ? `?authuser=${job.authUser}` : ''}` });
+        } else if (followUp?.action === 'retry_job') {
+            await retryJob(jobId);
+        }
+    } catch (err) {
+        console.warn(`[Pipeline] Could not resume job ${jobId}:`, err?.message);
+    }
+}
+
+// Handling the "Open Notebook" / "Dismiss" / follow-up action buttons
 chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
-    if (notificationId === 'pipeline-complete') {
+    const completedJobId = jobIdFromNotificationId(notificationId, 'pipeline-complete');
+    if (completedJobId) {
+        if (buttonIndex === 0) {
+            await openJobNotebook(completedJobId);
+        } else {
+            // buttonIndex 1 = follow-up action, or "Dismiss" when there is none
+            await runNotificationFollowUp(completedJobId);
+        }
+        chrome.notifications.clear(notificationId);
+        return;
+    }
+
+    const failedJobId = jobIdFromNotificationId(notificationId, 'pipeline-error');
+    if (failedJobId) {
+        await runNotificationFollowUp(failedJobId);
+        chrome.notifications.clear(notificationId);
+        return;
+    }
+
+    const artifact = artifactFromNotificationId(notificationId);
+    if (artifact) {
+        // buttonIndex 0 = "Open", 1 = "Download" (media artifacts only)
         if (buttonIndex === 0) {
-            const state = await getState();
-            if (state.notebookUrl) {
-                chrome.tabs.create({ url: state.notebookUrl });
+            await openJobNotebook(artifact.jobId);
+        } else {
+            try {
+                const result = await downloadArtifacts(artifact.jobId, [artifact.type]);
+                if (result.failures.length > 0) throw new Error(result.failures[0]);
+            } catch (err) {
+                await notifyInfo('Download failed', err?.message ? errorMessageOf(err) : 'Could not download the artifact.');
             }
         }
-        // buttonIndex 1 = "Dismiss" -- just clear
+        chrome.notifications.clear(notificationId);
+        return;
+    }
+
+    const duplicateJobId = jobIdFromNotificationId(notificationId, 'pipeline-duplicate');
+    if (duplicateJobId) {
+        // buttonIndex 0 = "Open existing notebook", 1 = "Create anyway"
+        try {
+            await resolveDuplicate(duplicateJobId, buttonIndex === 0 ? 'open' : 'create');
+        } catch (err) {
+            console.warn(`[Pipeline] Could not continue job ${duplicateJobId}:`, err?.message);
+        }
         chrome.notifications.clear(notificationId);
     }
 });
@@ -5,6 +5,9 @@
  * 1. Current page IS a PDF (Content-Type or .pdf extension)
  * 2. Links to PDFs on the page (e.g., arxiv abstract page -> PDF link)
  * 3. Known academic sites with predictable PDF URL patterns
+ *
+ * On request it also reports the page's authors and publication date for
+ * prompt template variables.
  */
 
 (function () {
@@ -14,8 +17,6 @@
     if (window.__pdfDetectorInjected) return;
     window.__pdfDetectorInjected = true;
 
-    const currentUrl = window.location.href;
-
     function detectSourceTitle() {
         const candidates = [
             document.querySelector('meta[name="citation_title"]')?.content,
@@ -27,12 +28,40 @@
         return title ? title.replace(/\s+/g, ' ').trim() : null;
     }
 
+    /**
+     * Authors and publication date declared by the page (Highwire/Dublin Core
+     * citation tags, article metadata, YouTube's channel name), used for
+     * prompt template variables. Returns { authors, date }.
+     */
+    function detectSourceMetadata() {
+        const metaValues = selector => [...document.querySelectorAll(selector)]
+            .map(el => (el.getAttribute('content') || '').replace(/\s+/g, ' ').trim())
+            .filter(value => value && !/^https?:\/\//i.test(value));
+        let authors = metaValues('meta[name="citation_author"], meta[name="dc.creator" i]');
+        if (authors.length === 0) {
+            authors = metaValues('meta[name="author"], meta[property="article:author"], span[itemprop="author"] link[itemprop="name"]');
+        }
+        const date = metaValues([
+            'meta[name="citation_publication_date"]',
+            'meta[name="citation_date"]',
+            'meta[name="citation_online_date"]',
+            'meta[name="dc.date" i]',
+            'meta[property="article:published_time"]',
+            'meta[itemprop="datePublished"]',
+            'meta[itemprop="uploadDate"]',
+        ].join(', '))[0] || null;
+        return { authors: [...new Set(authors)].slice(0, 20), date };
+    }
+
     /**
      * Detect if the current page is a PDF or has PDF links.
      * Returns { isPdf, pdfUrl, pageUrl, source }
      */
     function detectPdf() {
+        // Single-page sites change the URL in place; read it on every request.
+        const currentUrl = window.location.href;
         const pageUrl = currentUrl;
+
         const sourceTitle = detectSourceTitle();
 
         // Strategy 1: Current URL ends with .pdf
@@ -63,12 +92,14 @@
 
         // Strategy 5: Any link on the page that points to a PDF
         const pdfLinks = [];
+        const seenPdfUrls = new Set();
         document.querySelectorAll('a[href]').forEach(a => {
-            const href = a.href;
-            if (/\.pdf(\?.*)?$/i.test(href)) {
+            const href = a.href.replace(/#.*$/, '');
+            if (/\.pdf(\?.*)?$/i.test(href) && !seenPdfUrls.has(href)) {
+                seenPdfUrls.add(href);
                 pdfLinks.push({
                     url: href,
-                    text: (a.textContent || '').trim().substring(0, 80),
+                    text: (a.textContent || a.title || '').replace(/\s+/g, ' ').trim().substring(0, 80),
                 });
             }
         });
@@ -117,5 +148,9 @@
             sendResponse(result);
             return false;
         }
+        if (message.type === 'REQUEST_SOURCE_METADATA') {
+            sendResponse(detectSourceMetadata());
+            return false;
+        }
     });
 })();
@@ -8,18 +8,77 @@
 const DEFAULT_BASE_URL = 'https://notebook.google.com';
 const LEGACY_BASE_URL = 'https://notebooklm.google.com';
 const PERSONAL_BASE_URLS = [DEFAULT_BASE_URL, LEGACY_BASE_URL];
+const ACCOUNTS_LIST_URL = 'https://accounts.google.com/ListAccounts?gpsia=1&source=ChromiumBrowser&json=standard';
 let _baseUrl = DEFAULT_BASE_URL;
+// Google multi-login session index (0 = the profile's first signed-in account)
+let _authUser = 0;
 
 function appUrl(path = '/') {
   return `${_baseUrl}${path}`;
 }
 
+function authUserQuery(prefix = '?') {
+  return _authUser ? `${prefix}authuser=${_authUser}` : '';
+}
+
 function getNotebookUrl(notebookId) {
-  return appUrl(`/notebook/${notebookId}`);
+  return appUrl(`/notebook/${notebookId}${authUserQuery()}`);
+}
+
+/**
+ * Select which signed-in Google account every following request uses.
+ * Cached tokens belong to one account, so switching clears them.
+ */
+function setAuthUser(authUser) {
+  const next = Number.isInteger(Number(authUser)) && Number(authUser) > 0 ? Number(authUser) : 0;
+  if (next !== _authUser) {
+    _authUser = next;
+    _csrfToken = null;
+    _sessionId = null;
+  }
+  return _authUser;
+}
+
+function getAuthUser() {
+  return _authUser;
+}
+
+/**
+ * List the Google accounts signed in to this browser profile.
+ * Each row carries the account's authuser index; accounts that are only
+ * remembered (signed out) have none and are skipped.
+ * Returns [{ authUser, email, name }]
+ */
+async function listAccounts() {
+  const response = await fetch(ACCOUNTS_LIST_URL, { credentials: 'include' });
+  if (!response.ok) {
+    throw codedError(ErrorCode.SERVER_ERROR, `Could not list Google accounts: HTTP ${response.status}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(stripAntiXssi(await response.text()));
+  } catch (_) {
+    throw codedError(ErrorCode.RPC_ERROR, 'Could not list Google accounts: unexpected response');
+  }
+
+  const rows = Array.isArray(data?.[1]) ? data[1] : [];
+  const accounts = [];
+  rows.forEach(row => {
+    if (!Array.isArray(row) || typeof row[3] !== 'string' || !row[3]) return;
+    if (!Number.isInteger(row[7]) || row[7] < 0) return;
+    accounts.push({
+      authUser: row[7],
+      email: row[3],
+      name: typeof row[2] === 'string' ? row[2] : null,
+    });
+  });
+  return accounts;
 }
 
 // RPC Method IDs (reverse-engineered from notebooklm-py rpc/types.py)
 const RPCMethod = {
+  LIST_NOTEBOOKS: 'wXbhsf',
   CREATE_NOTEBOOK: 'CCqFvf',
   GET_NOTEBOOK: 'rLM1Ne',
   DELETE_NOTEBOOK: 'WWINqb',
@@ -161,6 +220,35 @@ const SourceStatus = {
   PREPARING: 5,
 };
 
+// Stable codes carried by every error this module throws, as error.code and
+// as the "CODE: " prefix of the message. The popup maps them to recovery actions.
+const ErrorCode = {
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVER_ERROR: 'SERVER_ERROR',
+  RPC_ERROR: 'RPC_ERROR',
+  TRANSIENT_MUTATION_UNCERTAIN: 'TRANSIENT_MUTATION_UNCERTAIN',
+  SOURCE_RECOVERY_AMBIGUOUS: 'SOURCE_RECOVERY_AMBIGUOUS',
+  RECOVERY_AMBIGUOUS: 'RECOVERY_AMBIGUOUS',
+  INVALID_INPUT: 'INVALID_INPUT',
+  UPLOAD_FAILED: 'UPLOAD_FAILED',
+  SOURCE_BLOCKED: 'SOURCE_BLOCKED',
+  NOT_A_PDF: 'NOT_A_PDF',
+  SOURCE_FAILED: 'SOURCE_FAILED',
+  SOURCE_TIMEOUT: 'SOURCE_TIMEOUT',
+  ARTIFACT_FAILED: 'ARTIFACT_FAILED',
+  ARTIFACT_TIMEOUT: 'ARTIFACT_TIMEOUT',
+  PIPELINE_ABORTED: 'PIPELINE_ABORTED',
+  UNKNOWN: 'UNKNOWN',
+};
+
+function codedError(code, message) {
+  const error = new Error(`${code}: ${message}`);
+  error.code = code;
+  return error;
+}
+
 // =========================================================================
 // Token management
 // =========================================================================
@@ -171,6 +259,7 @@ let _retrySleep = sleep;
 let _mutationTimeoutMs = 15000;
 
 const READ_ONLY_RPC_METHODS = new Set([
+  RPCMethod.LIST_NOTEBOOKS,
   RPCMethod.GET_NOTEBOOK,
   RPCMethod.LIST_ARTIFACTS,
 ]);
@@ -205,7 +294,7 @@ async function fetchTokens() {
   const failures = [];
 
   for (const baseUrl of candidates) {
-    const homepageUrl = `${baseUrl}/`;
+    const homepageUrl = `${baseUrl}/${authUserQuery()}`;
     try {
       const response = await fetch(homepageUrl, {
         credentials: 'include',
@@ -238,15 +327,16 @@ async function fetchTokens() {
       _csrfToken = csrfMatch[1];
       _sessionId = sessionMatch[1];
 
-      console.log(`[NotebookLM API] Tokens fetched successfully from ${responseHost}`);
+      console.log(`[NotebookLM API] Tokens fetched successfully from ${responseHost} (authuser=${_authUser})`);
       return { csrfToken: _csrfToken, sessionId: _sessionId };
     } catch (error) {
       failures.push(`${baseUrl} failed: ${error?.message || 'request failed'}`);
     }
   }
 
-  throw new Error(
-    `AUTH_REQUIRED: Could not find an authenticated NotebookLM session. Sign in at ${DEFAULT_BASE_URL} and retry. ${failures.join('. ')}`
+  throw codedError(
+    ErrorCode.AUTH_REQUIRED,
+    `Could not find an authenticated NotebookLM session. Sign in at ${DEFAULT_BASE_URL} and retry. ${failures.join('. ')}`
   );
 }
 
@@ -284,6 +374,9 @@ function buildUrlParams(rpcMethodId, sourcePath = '/', sessionId = null) {
     hl: 'en',
     rt: 'c',
   });
+  if (_authUser) {
+    params.set('authuser', String(_authUser));
+  }
   if (sessionId) {
     params.set('f.sid', sessionId);
   }
@@ -350,7 +443,7 @@ function extractRpcResult(chunks, rpcId) {
       // Check for error
       if (item[0] === 'er' && item[1] === rpcId) {
         const errorCode = item.length > 2 ? item[2] : null;
-        throw new Error(`RPC error for ${rpcId}: code=${errorCode}`);
+        throw codedError(ErrorCode.RPC_ERROR, `RPC error for ${rpcId}: code=${errorCode}`);
       }
 
       // Check for success
@@ -361,7 +454,7 @@ function extractRpcResult(chunks, rpcId) {
         if (resultData === null && item.length > 5 && item[5] !== null) {
           const serialized = JSON.stringify(item[5]);
           if (serialized.includes('UserDisplayableError')) {
-            throw new Error('RATE_LIMITED: API rate limit or quota exceeded.');
+            throw codedError(ErrorCode.RATE_LIMITED, 'API rate limit or quota exceeded.');
           }
         }
 
@@ -381,7 +474,7 @@ function decodeResponse(rawResponse, rpcId, allowNull = false) {
   const result = extractRpcResult(chunks, rpcId);
 
   if (result === null && !allowNull) {
-    throw new Error(`No result found for RPC ID: ${rpcId}`);
+    throw codedError(ErrorCode.RPC_ERROR, `No result found for RPC ID: ${rpcId}`);
   }
   return result;
 }
@@ -481,11 +574,10 @@ function retryDelayMs(response, failedAttempt) {
 }
 
 function mutationUncertainError(methodId, detail) {
-  const error = new Error(
-    `TRANSIENT_MUTATION_UNCERTAIN: ${detail} The ${methodId} request was not retried to avoid creating duplicate data.`
+  return codedError(
+    ErrorCode.TRANSIENT_MUTATION_UNCERTAIN,
+    `${detail} The ${methodId} request was not retried to avoid creating duplicate data.`
   );
-  error.code = 'TRANSIENT_MUTATION_UNCERTAIN';
-  return error;
 }
 
 async function rpcCall(methodId, params, sourcePath = '/', allowNull = false) {
@@ -558,7 +650,7 @@ async function rpcCall(methodId, params, sourcePath = '/', allowNull = false) {
       }
       transientAttempt++;
       if (transientAttempt >= maxAttempts) {
-        throw new Error(`NETWORK_ERROR: ${methodId} failed after ${maxAttempts} attempts: ${error?.message || 'request failed'}`);
+        throw codedError(ErrorCode.NETWORK_ERROR, `${methodId} failed after ${maxAttempts} attempts: ${error?.message || 'request failed'}`);
       }
       await _retrySleep(retryDelayMs(null, transientAttempt - 1));
       continue;
@@ -568,7 +660,7 @@ async function rpcCall(methodId, params, sourcePath = '/', allowNull = false) {
 
     if (response.status === 401 || response.status === 403) {
       if (authRetried) {
-        throw new Error('AUTH_REQUIRED: NotebookLM authentication failed after refreshing the session. Sign in again and retry.');
+        throw codedError(ErrorCode.AUTH_REQUIRED, 'NotebookLM authentication failed after refreshing the session. Sign in again and retry.');
       }
       authRetried = true;
       _csrfToken = null;
@@ -583,33 +675,81 @@ async function rpcCall(methodId, params, sourcePath = '/', allowNull = false) {
       }
       transientAttempt++;
       if (transientAttempt >= maxAttempts) {
-        throw new Error(`HTTP ${response.status}: ${methodId} failed after ${maxAttempts} attempts.`);
+        throw codedError(
+          response.status === 429 ? ErrorCode.RATE_LIMITED : ErrorCode.SERVER_ERROR,
+          `HTTP ${response.status}: ${methodId} failed after ${maxAttempts} attempts.`
+        );
       }
       await _retrySleep(retryDelayMs(response, transientAttempt - 1));
       continue;
     }
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw codedError(ErrorCode.SERVER_ERROR, `HTTP ${response.status}: ${response.statusText}`);
     }
 
     return decodeResponse(responseText, methodId, allowNull);
   }
 
-  throw new Error(`RPC ${methodId} exhausted its retry budget.`);
+  throw codedError(ErrorCode.NETWORK_ERROR, `RPC ${methodId} exhausted its retry budget.`);
 }
 
 // =========================================================================
 // High-level API methods
 // =========================================================================
 
+/**
+ * List the notebooks available to the signed-in account, newest first.
+ * Returns [{ id, title, sourceCount, createdAt }]
+ */
+async function listNotebooks() {
+  const params = [null, 1, null, [2]];
+  const result = await rpcCall(RPCMethod.LIST_NOTEBOOKS, params, '/', true);
+
+  const rows = Array.isArray(result) && Array.isArray(result[0]) ? result[0] : [];
+  const notebooks = [];
+  for (const nb of rows) {
+    if (!Array.isArray(nb)) continue;
+    const notebookId = extractFirstIdFromResult(nb[2]);
+    if (!notebookId) continue;
+
+    const rawTitle = typeof nb[0] === 'string' ? nb[0] : '';
+    const title = rawTitle.replace(/^thought\n/, '').trim();
+    const createdSeconds = Array.isArray(nb[5]?.[5]) ? Number(nb[5][5][0]) : NaN;
+
+    notebooks.push({
+      id: String(notebookId),
+      title: title || 'Untitled notebook',
+      sourceCount: Array.isArray(nb[1]) ? nb[1].length : 0,
+      createdAt: Number.isFinite(createdSeconds) ? createdSeconds * 1000 : null,
+    });
+  }
+
+  return notebooks.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
 /**
  * Create a new notebook with optional title.
  * Returns { id, title }
  */
 async function createNotebook(title = '') {
+  const baselineNotebookIds = await listIdSet(listNotebooks);
   const params = [title, null, null, requestTemplateOptions()];
-  const result = await rpcCall(RPCMethod.CREATE_NOTEBOOK, params);
+
+  let result;
+  try {
+    result = await rpcCall(RPCMethod.CREATE_NOTEBOOK, params);
+  } catch (error) {
+    if (error?.code !== ErrorCode.TRANSIENT_MUTATION_UNCERTAIN) throw error;
+    // An untitled notebook is listed under NotebookLM's placeholder title.
+    const expectedTitle = String(title || '').trim() || 'Untitled notebook';
+    const recovered = await recoverCommittedItem(
+      'notebook', listNotebooks, baselineNotebookIds,
+      notebook => notebook.title === expectedTitle
+    );
+    if (recovered) return { id: recovered.id, title };
+    throw error;
+  }
 
   // Parse notebook from response
   // Response structure changed over time; keep extraction flexible.
@@ -642,9 +782,7 @@ async function deleteNotebook(notebookId) {
 }
 
 function makeAbortError() {
-  const err = new Error('Pipeline monitoring aborted by user');
-  err.code = 'PIPELINE_ABORTED';
-  return err;
+  return codedError(ErrorCode.PIPELINE_ABORTED, 'Pipeline monitoring aborted by user');
 }
 
 function normalizeBinaryPayload(fileData) {
@@ -669,38 +807,60 @@ function normalizeBinaryPayload(fileData) {
     return new Uint8Array(fileData);
   }
 
-  throw new Error('Unsupported file payload type');
+  throw codedError(ErrorCode.INVALID_INPUT, 'Unsupported file payload type');
 }
 
 async function registerFileSource(notebookId, filename) {
+  const baselineSourceIds = await listSourceIdSet(notebookId);
   const params = [
     [[filename]],
     notebookId,
     requestTemplateOptions(),
   ];
 
-  const result = await rpcCall(
-    RPCMethod.ADD_SOURCE_FILE,
-    params,
-    `/notebook/${notebookId}`,
-    true
-  );
+  let result;
+  try {
+    result = await rpcCall(
+      RPCMethod.ADD_SOURCE_FILE,
+      params,
+      `/notebook/${notebookId}`,
+      true
+    );
+  } catch (error) {
+    if (error?.code !== ErrorCode.TRANSIENT_MUTATION_UNCERTAIN) throw error;
+    const recovered = await recoverCommittedSource(
+      notebookId, baselineSourceIds,
+      source => source.title === filename
+    );
+    if (recovered) return String(recovered.id);
+    throw error;
+  }
 
   const sourceId = extractFirstIdFromResult(result);
   if (!sourceId) {
-    throw new Error('Failed to register file source - no source ID returned');
+    throw codedError(ErrorCode.UPLOAD_FAILED, 'Failed to register file source - no source ID returned');
   }
   return String(sourceId);
 }
 
+// Bytes sent per resumable `upload` command. Rounded down to the server's
+// x-goog-upload-chunk-granularity when it announces one.
+const UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+const MAX_UPLOAD_CHUNK_ATTEMPTS = 4;
+let _uploadChunkBytes = UPLOAD_CHUNK_BYTES;
+
+/**
+ * Open a resumable upload session.
+ * Returns { uploadUrl, chunkGranularity } (granularity 0 when not announced).
+ */
 async function startResumableUpload(notebookId, filename, fileSize, sourceId, mimeType) {
-  const response = await fetch(`${appUrl('/upload/_/')}?authuser=0`, {
+  const response = await fetch(`${appUrl('/upload/_/')}?authuser=${_authUser}`, {
     method: 'POST',
     credentials: 'include',
     headers: {
       'Accept': '*/*',
       'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
-      'x-goog-authuser': '0',
+      'x-goog-authuser': String(_authUser),
       'x-goog-upload-command': 'start',
       'x-goog-upload-header-content-length': String(fileSize),
       'x-goog-upload-header-content-type': mimeType || 'application/pdf',
@@ -714,58 +874,247 @@ async function startResumableUpload(notebookId, filename, fileSize, sourceId, mi
   });
 
   if (!response.ok) {
-    throw new Error(`Failed to start file upload: HTTP ${response.status} ${response.statusText}`);
+    throw codedError(ErrorCode.UPLOAD_FAILED, `Failed to start file upload: HTTP ${response.status} ${response.statusText}`);
   }
 
   const uploadUrl = response.headers.get('x-goog-upload-url');
   if (!uploadUrl) {
-    throw new Error('Failed to start file upload: upload URL missing in response');
+    throw codedError(ErrorCode.UPLOAD_FAILED, 'Failed to start file upload: upload URL missing in response');
   }
 
-  return uploadUrl;
+  const chunkGranularity = Number(response.headers.get('x-goog-upload-chunk-granularity'));
+  return {
+    uploadUrl,
+    chunkGranularity: Number.isInteger(chunkGranularity) && chunkGranularity > 0 ? chunkGranularity : 0,
+  };
 }
 
-async function uploadFileBytes(uploadUrl, binaryPayload, mimeType = 'application/pdf') {
-  const response = await fetch(uploadUrl, {
-    method: 'POST',
-    credentials: 'include',
-    headers: {
-      'Accept': '*/*',
-      'Content-Type': mimeType || 'application/pdf',
-      'x-goog-authuser': '0',
-      'x-goog-upload-command': 'upload, finalize',
-      'x-goog-upload-offset': '0',
-    },
-    body: binaryPayload,
-  });
+/**
+ * Ask an upload session how many bytes it has stored.
+ * Returns { final, receivedBytes } (receivedBytes null when unknown).
+ */
+async function queryUploadStatus(uploadUrl) {
+  try {
+    const response = await fetch(uploadUrl, {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Accept': '*/*',
+        'x-goog-authuser': String(_authUser),
+        'x-goog-upload-command': 'query',
+      },
+    });
+    if (!response.ok) return { final: false, receivedBytes: null };
+    const receivedBytes = Number(response.headers.get('x-goog-upload-size-received'));
+    return {
+      final: response.headers.get('x-goog-upload-status') === 'final',
+      receivedBytes: Number.isInteger(receivedBytes) && receivedBytes >= 0 ? receivedBytes : null,
+    };
+  } catch (_) {
+    return { final: false, receivedBytes: null };
+  }
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to upload file bytes: HTTP ${response.status} ${response.statusText}`);
+/**
+ * Send the file in chunks, each an `upload` command at its byte offset and
+ * the last one also finalizing. After a network failure, 429 or 5xx the
+ * session is queried and the upload resumes from what the server kept.
+ * Each chunk is a slice of the Blob, so the file is never read whole.
+ * onProgress({ uploadedBytes, totalBytes }) runs after every stored chunk.
+ */
+async function uploadFileBytes(uploadUrl, blob, mimeType = 'application/pdf', chunkGranularity = 0, onProgress = null) {
+  const totalBytes = blob.size;
+  const chunkBytes = chunkGranularity > 0
+    ? Math.max(chunkGranularity, Math.floor(_uploadChunkBytes / chunkGranularity) * chunkGranularity)
+    : _uploadChunkBytes;
+  let offset = 0;
+  let failedAttempts = 0;
+
+  while (offset < totalBytes) {
+    const end = Math.min(offset + chunkBytes, totalBytes);
+    let response = null;
+    let networkError = null;
+    try {
+      response = await fetch(uploadUrl, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Accept': '*/*',
+          'Content-Type': mimeType || 'application/pdf',
+          'x-goog-authuser': String(_authUser),
+          'x-goog-upload-command': end === totalBytes ? 'upload, finalize' : 'upload',
+          'x-goog-upload-offset': String(offset),
+        },
+        body: blob.slice(offset, end),
+      });
+    } catch (error) {
+      networkError = error;
+    }
+
+    if (response?.ok) {
+      offset = end;
+      failedAttempts = 0;
+      onProgress?.({ uploadedBytes: offset, totalBytes });
+      continue;
+    }
+    if (response && response.status !== 429 && response.status < 500) {
+      throw codedError(ErrorCode.UPLOAD_FAILED, `Failed to upload file bytes: HTTP ${response.status} ${response.statusText}`);
+    }
+
+    failedAttempts++;
+    if (failedAttempts >= MAX_UPLOAD_CHUNK_ATTEMPTS) {
+      const reason = response ? `HTTP ${response.status}` : (networkError?.message || 'request failed');
+      throw codedError(
+        response ? ErrorCode.UPLOAD_FAILED : ErrorCode.NETWORK_ERROR,
+        `File upload stopped at ${offset} of ${totalBytes} bytes after ${failedAttempts} attempts: ${reason}`
+      );
+    }
+    await _retrySleep(retryDelayMs(response, failedAttempts - 1));
+
+    // The failed chunk may have been stored in full or in part.
+    const status = await queryUploadStatus(uploadUrl);
+    if (status.final) {
+      offset = totalBytes;
+      onProgress?.({ uploadedBytes: offset, totalBytes });
+    } else if (status.receivedBytes !== null && status.receivedBytes <= totalBytes) {
+      offset = status.receivedBytes;
+    }
   }
 }
 
 /**
  * Add a local file source to a notebook via resumable upload.
+ * fileData is a Blob, or the bytes as an ArrayBuffer, typed array, byte
+ * array or base64 string.
+ * onProgress({ uploadedBytes, totalBytes }) reports the bytes sent so far.
  * Returns { id, title }
  */
-async function addFileSource(notebookId, filename, fileData, mimeType = 'application/pdf') {
+async function addFileSource(notebookId, filename, fileData, mimeType = 'application/pdf', onProgress = null) {
   if (!filename) {
-    throw new Error('Filename is required for file upload');
+    throw codedError(ErrorCode.INVALID_INPUT, 'Filename is required for file upload');
   }
 
-  const binaryPayload = normalizeBinaryPayload(fileData);
-  if (!binaryPayload.byteLength) {
-    throw new Error('File payload is empty');
+  const blob = fileData instanceof Blob ? fileData : new Blob([normalizeBinaryPayload(fileData)]);
+  if (!blob.size) {
+    throw codedError(ErrorCode.INVALID_INPUT, 'File payload is empty');
   }
 
   const sourceId = await registerFileSource(notebookId, filename);
-  const uploadUrl = await startResumableUpload(notebookId, filename, binaryPayload.byteLength, sourceId, mimeType);
-  await uploadFileBytes(uploadUrl, binaryPayload, mimeType);
+  const { uploadUrl, chunkGranularity } = await startResumableUpload(
+    notebookId, filename, blob.size, sourceId, mimeType
+  );
+  await uploadFileBytes(uploadUrl, blob, mimeType, chunkGranularity, onProgress);
 
   console.log(`[NotebookLM API] Uploaded file source: ${sourceId} (${filename})`);
   return { id: sourceId, title: filename };
 }
 
+/**
+ * Reconcile a create mutation (notebook, source or artifact) whose response
+ * was lost. The server can commit the mutation while its streaming response
+ * remains open, so look for exactly one new item (absent from the baseline)
+ * that satisfies isMatch instead of resending, which would risk a duplicate.
+ * listItems returns [{ id, ... }].
+ * Returns the committed item, or null when none could be confirmed, which
+ * is always the case without a baseline.
+ */
+async function recoverCommittedItem(kind, listItems, baselineIds, isMatch) {
+  if (!baselineIds) return null;
+  const ambiguousCode = kind === 'source' ? ErrorCode.SOURCE_RECOVERY_AMBIGUOUS : ErrorCode.RECOVERY_AMBIGUOUS;
+  try {
+    for (let probeAttempt = 0; probeAttempt < 3; probeAttempt++) {
+      const items = await listItems();
+      const committedMatches = items.filter(item =>
+        !baselineIds.has(String(item.id)) && isMatch(item)
+      );
+      if (committedMatches.length === 1) {
+        console.warn(`[NotebookLM API] The ${kind} mutation response was incomplete; recovered the committed ${kind}.`);
+        return committedMatches[0];
+      }
+      if (committedMatches.length > 1) {
+        throw codedError(
+          ambiguousCode,
+          `More than one new matching ${kind} appeared. Check the notebook before retrying.`
+        );
+      }
+      if (probeAttempt < 2) await _retrySleep(2000);
+    }
+  } catch (probeError) {
+    if (probeError?.code === ambiguousCode) throw probeError;
+    console.warn(`[NotebookLM API] Could not reconcile the uncertain ${kind} mutation:`, probeError.message);
+  }
+  return null;
+}
+
+function recoverCommittedSource(notebookId, baselineSourceIds, isMatch) {
+  return recoverCommittedItem('source', () => listSources(notebookId), baselineSourceIds, isMatch);
+}
+
+// IDs present before a create mutation, for recoverCommittedItem. The
+// listing is best-effort: when it fails the mutation is still sent, and a
+// stalled response is reported instead of reconciled.
+async function listIdSet(listItems) {
+  try {
+    return new Set((await listItems()).map(item => String(item.id)));
+  } catch (error) {
+    console.warn('[NotebookLM API] Could not list existing items before the mutation:', error?.message);
+    return null;
+  }
+}
+
+function listSourceIdSet(notebookId) {
+  return listIdSet(() => listSources(notebookId));
+}
+
+// Artifacts as recoverCommittedItem items: [{ id, taskId, status, typeCode }]
+async function listArtifactItems(notebookId) {
+  return [...(await listArtifactStatuses(notebookId)).values()].map(artifact => ({ ...artifact, id: artifact.taskId }));
+}
+
+/**
+ * Send a CREATE_ARTIFACT request. A stalled response is reconciled by
+ * adopting the one new artifact of typeCode; resending would start a second
+ * generation.
+ * Returns { taskId, status }
+ */
+async function createArtifact(notebookId, typeCode, params) {
+  const baselineArtifactIds = await listIdSet(() => listArtifactItems(notebookId));
+
+  let result;
+  try {
+    result = await rpcCall(
+      RPCMethod.CREATE_ARTIFACT, params,
+      `/notebook/${notebookId}`,
+      true
+    );
+  } catch (error) {
+    if (error?.code !== ErrorCode.TRANSIENT_MUTATION_UNCERTAIN) throw error;
+    const recovered = await recoverCommittedItem(
+      'artifact', () => listArtifactItems(notebookId), baselineArtifactIds,
+      artifact => artifact.typeCode === typeCode
+    );
+    if (recovered) return { taskId: recovered.taskId, status: recovered.status };
+    throw error;
+  }
+
+  return parseGenerationResult(result);
+}
+
+// Parse an ADD_SOURCE response (shape can drift over time).
+function parseAddedSource(result) {
+  let sourceId = extractFirstIdFromResult(result);
+  let sourceTitle = null;
+  if (Array.isArray(result)) {
+    if (!sourceId && Array.isArray(result[0])) {
+      sourceId = Array.isArray(result[0][0]) ? result[0][0][0] : result[0][0];
+    }
+    if (result.length > 1) {
+      sourceTitle = result[1];
+    }
+  }
+  return { id: sourceId, title: sourceTitle };
+}
+
 /**
  * Add a URL source to a notebook.
  * Returns { id, title }
@@ -774,9 +1123,7 @@ async function addUrlSource(notebookId, url) {
   // Capture the existing source IDs before creating anything. URL values are
   // not unique within a notebook, so an uncertainty probe must never adopt an
   // older source that happens to use the same URL.
-  const baselineSourceIds = new Set(
-    (await listSources(notebookId)).map(source => String(source.id))
-  );
+  const baselineSourceIds = await listSourceIdSet(notebookId);
   const params = [
     [[null, null, [url], null, null, null, null, null, null, null, 1]],
     notebookId,
@@ -790,53 +1137,125 @@ async function addUrlSource(notebookId, url) {
       `/notebook/${notebookId}`
     );
   } catch (error) {
-    if (error?.code !== 'TRANSIENT_MUTATION_UNCERTAIN') throw error;
+    if (error?.code !== ErrorCode.TRANSIENT_MUTATION_UNCERTAIN) throw error;
+    const recovered = await recoverCommittedSource(
+      notebookId, baselineSourceIds,
+      source => source.url === url || source.title === url
+    );
+    if (recovered) return recovered;
+    throw error;
+  }
 
-    // The server can commit an ADD_SOURCE mutation while its streaming response
-    // remains open. Reconcile through a safe read instead of resending the
-    // mutation, which would risk creating a duplicate source.
-    try {
-      for (let probeAttempt = 0; probeAttempt < 3; probeAttempt++) {
-        const sources = await listSources(notebookId);
-        const committedMatches = sources.filter(source =>
-          !baselineSourceIds.has(String(source.id))
-          && (source.url === url || source.title === url)
-        );
-        if (committedMatches.length === 1) {
-          console.warn('[NotebookLM API] Source mutation response was incomplete; recovered the committed source.');
-          return committedMatches[0];
-        }
-        if (committedMatches.length > 1) {
-          const ambiguous = new Error(
-            'SOURCE_RECOVERY_AMBIGUOUS: More than one new matching source appeared. Check the notebook before retrying.'
-          );
-          ambiguous.code = 'SOURCE_RECOVERY_AMBIGUOUS';
-          throw ambiguous;
-        }
-        if (probeAttempt < 2) await _retrySleep(2000);
-      }
-    } catch (probeError) {
-      if (probeError?.code === 'SOURCE_RECOVERY_AMBIGUOUS') throw probeError;
-      console.warn('[NotebookLM API] Could not reconcile the uncertain source mutation:', probeError.message);
+  const source = parseAddedSource(result);
+  console.log(`[NotebookLM API] Added source: ${source.id} (${source.title})`);
+  return source;
+}
+
+/**
+ * Extract the 11-character video ID from a YouTube watch, shorts, live,
+ * embed or youtu.be URL. Playlist parameters are ignored.
+ * Returns null for anything that is not a single YouTube video.
+ */
+function extractYoutubeVideoId(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return null;
+  }
+  const host = parsed.hostname.replace(/^(www|m|music)\./, '');
+  let candidate = null;
+  if (host === 'youtu.be') {
+    candidate = parsed.pathname.split('/')[1];
+  } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+    if (parsed.pathname === '/watch') {
+      candidate = parsed.searchParams.get('v');
+    } else {
+      const pathMatch = parsed.pathname.match(/^\/(?:shorts|live|embed|v)\/([^/?#]+)/);
+      candidate = pathMatch ? pathMatch[1] : null;
     }
+  }
+  return candidate && /^[A-Za-z0-9_-]{11}$/.test(candidate) ? candidate : null;
+}
+
+/**
+ * Add a YouTube video as a source. NotebookLM ingests the transcript, and
+ * the video spec lives in a different slot than a generic web URL.
+ * Returns { id, title }
+ */
+async function addYoutubeSource(notebookId, url) {
+  const videoId = extractYoutubeVideoId(url);
+  if (!videoId) {
+    throw codedError(ErrorCode.INVALID_INPUT, `Not a YouTube video URL: ${url}`);
+  }
+  const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
+
+  const baselineSourceIds = await listSourceIdSet(notebookId);
+  const params = [
+    [[null, null, null, null, null, null, null, [videoUrl], null, null, 1]],
+    notebookId,
+    requestTemplateOptions(),
+  ];
 
+  let result;
+  try {
+    result = await rpcCall(
+      RPCMethod.ADD_SOURCE, params,
+      `/notebook/${notebookId}`
+    );
+  } catch (error) {
+    if (error?.code !== ErrorCode.TRANSIENT_MUTATION_UNCERTAIN) throw error;
+    const recovered = await recoverCommittedSource(
+      notebookId, baselineSourceIds,
+      source => extractYoutubeVideoId(source.url) === videoId
+    );
+    if (recovered) return recovered;
     throw error;
   }
 
-  // Parse source from response (shape can drift over time)
-  let sourceId = extractFirstIdFromResult(result);
-  let sourceTitle = null;
-  if (Array.isArray(result)) {
-    if (!sourceId && Array.isArray(result[0])) {
-      sourceId = Array.isArray(result[0][0]) ? result[0][0][0] : result[0][0];
-    }
-    if (result.length > 1) {
-      sourceTitle = result[1];
-    }
+  const source = parseAddedSource(result);
+  console.log(`[NotebookLM API] Added YouTube source: ${source.id} (${videoId})`);
+  return source;
+}
+
+/**
+ * Add pasted text as a source (e.g. a selection or page text captured from
+ * a tab that NotebookLM's URL fetcher cannot reach).
+ * Returns { id, title }
+ */
+async function addTextSource(notebookId, title, text) {
+  const content = typeof text === 'string' ? text.trim() : '';
+  if (!content) {
+    throw codedError(ErrorCode.INVALID_INPUT, 'Text source is empty');
   }
+  const sourceTitle = String(title || '').trim() || 'Pasted text';
 
-  console.log(`[NotebookLM API] Added source: ${sourceId} (${sourceTitle})`);
-  return { id: sourceId, title: sourceTitle };
+  const baselineSourceIds = await listSourceIdSet(notebookId);
+  const params = [
+    [[null, [sourceTitle, content], null, 2, null, null, null, null, null, null, 1]],
+    notebookId,
+    requestTemplateOptions(),
+  ];
+
+  let result;
+  try {
+    result = await rpcCall(
+      RPCMethod.ADD_SOURCE, params,
+      `/notebook/${notebookId}`
+    );
+  } catch (error) {
+    if (error?.code !== ErrorCode.TRANSIENT_MUTATION_UNCERTAIN) throw error;
+    const recovered = await recoverCommittedSource(
+      notebookId, baselineSourceIds,
+      source => source.title === sourceTitle
+    );
+    if (recovered) return recovered;
+    throw error;
+  }
+
+  const source = parseAddedSource(result);
+  console.log(`[NotebookLM API] Added text source: ${source.id} (${sourceTitle})`);
+  return { id: source.id, title: source.title || sourceTitle };
 }
 
 /**
@@ -902,7 +1321,7 @@ async function createNote(notebookId, title = 'New Note', content = '') {
     noteId = extractFirstIdFromResult(createResult);
   }
   if (!noteId) {
-    throw new Error('Mind map note creation failed: no note ID returned');
+    throw codedError(ErrorCode.ARTIFACT_FAILED, 'Mind map note creation failed: no note ID returned');
   }
 
   const updateParams = [
@@ -956,7 +1375,7 @@ async function waitForSourceReady(notebookId, sourceId, timeoutMs = 120000, inte
     }
 
     if (source.status === SourceStatus.ERROR) {
-      throw new Error(`Source ${sourceId} processing failed`);
+      throw codedError(ErrorCode.SOURCE_FAILED, `Source ${sourceId} processing failed`);
     }
 
     console.log(`[NotebookLM API] Source ${sourceId} status=${source.status}, waiting ${intervalMs}ms...`);
@@ -966,7 +1385,7 @@ async function waitForSourceReady(notebookId, sourceId, timeoutMs = 120000, inte
     await sleep(intervalMs);
   }
 
-  throw new Error(`Source ${sourceId} timed out after ${timeoutMs}ms`);
+  throw codedError(ErrorCode.SOURCE_TIMEOUT, `Source ${sourceId} timed out after ${timeoutMs}ms`);
 }
 
 /**
@@ -1020,13 +1439,7 @@ async function generateAudio(notebookId, sourceIds = null, language = 'en', audi
     ],
   ];
 
-  const result = await rpcCall(
-    RPCMethod.CREATE_ARTIFACT, params,
-    `/notebook/${notebookId}`,
-    true
-  );
-
-  return parseGenerationResult(result);
+  return createArtifact(notebookId, ArtifactTypeCode.AUDIO, params);
 }
 
 /**
@@ -1056,7 +1469,7 @@ async function generateVideo(
   const sourceIdsDouble = sourceIds.map(sid => [sid]);
 
   if (videoStyle === VideoStyle.CUSTOM && !String(stylePrompt || '').trim()) {
-    throw new Error('Custom video style requires a visual style prompt.');
+    throw codedError(ErrorCode.INVALID_INPUT, 'Custom video style requires a visual style prompt.');
   }
 
   const styleCode = videoStyle === VideoStyle.CUSTOM ? null : videoStyle;
@@ -1092,13 +1505,7 @@ async function generateVideo(
     ],
   ];
 
-  const result = await rpcCall(
-    RPCMethod.CREATE_ARTIFACT, params,
-    `/notebook/${notebookId}`,
-    true
-  );
-
-  return parseGenerationResult(result);
+  return createArtifact(notebookId, ArtifactTypeCode.VIDEO, params);
 }
 
 /**
@@ -1181,13 +1588,7 @@ async function generateReport(
     ],
   ];
 
-  const result = await rpcCall(
-    RPCMethod.CREATE_ARTIFACT, params,
-    `/notebook/${notebookId}`,
-    true
-  );
-
-  return parseGenerationResult(result);
+  return createArtifact(notebookId, ArtifactTypeCode.REPORT, params);
 }
 
 /**
@@ -1238,13 +1639,7 @@ async function generateQuiz(notebookId, sourceIds = null, quantity = QuizQuantit
     ],
   ];
 
-  const result = await rpcCall(
-    RPCMethod.CREATE_ARTIFACT, params,
-    `/notebook/${notebookId}`,
-    true
-  );
-
-  return parseGenerationResult(result);
+  return createArtifact(notebookId, ArtifactTypeCode.QUIZ, params);
 }
 
 /**
@@ -1289,13 +1684,7 @@ async function generateFlashcards(notebookId, sourceIds = null, quantity = QuizQ
     ],
   ];
 
-  const result = await rpcCall(
-    RPCMethod.CREATE_ARTIFACT, params,
-    `/notebook/${notebookId}`,
-    true
-  );
-
-  return parseGenerationResult(result);
+  return createArtifact(notebookId, ArtifactTypeCode.QUIZ, params);
 }
 
 /**
@@ -1348,13 +1737,7 @@ async function generateSlideDeck(
     ],
   ];
 
-  const result = await rpcCall(
-    RPCMethod.CREATE_ARTIFACT, params,
-    `/notebook/${notebookId}`,
-    true
-  );
-
-  return parseGenerationResult(result);
+  return createArtifact(notebookId, ArtifactTypeCode.SLIDE_DECK, params);
 }
 
 /**
@@ -1393,7 +1776,7 @@ async function generateMindMap(notebookId, sourceIds = null) {
   }
 
   if (mindMapJson === null || mindMapJson === undefined) {
-    throw new Error('Mind map generation returned no content');
+    throw codedError(ErrorCode.ARTIFACT_FAILED, 'Mind map generation returned no content');
   }
 
   let title = 'Mind Map';
@@ -1468,13 +1851,7 @@ async function generateDataTable(notebookId, sourceIds = null, instructions = nu
     ],
   ];
 
-  const result = await rpcCall(
-    RPCMethod.CREATE_ARTIFACT, params,
-    `/notebook/${notebookId}`,
-    true
-  );
-
-  return parseGenerationResult(result);
+  return createArtifact(notebookId, ArtifactTypeCode.DATA_TABLE, params);
 }
 
 /**
@@ -1534,13 +1911,7 @@ async function generateInfographic(
     ],
   ];
 
-  const result = await rpcCall(
-    RPCMethod.CREATE_ARTIFACT, params,
-    `/notebook/${notebookId}`,
-    true
-  );
-
-  return parseGenerationResult(result);
+  return createArtifact(notebookId, ArtifactTypeCode.INFOGRAPHIC, params);
 }
 
 function parseGenerationResult(result) {
@@ -1605,39 +1976,63 @@ function findInfographicUrl(artifact) {
   return null;
 }
 
+function findAudioMedia(artifact) {
+  const mediaList = artifact?.[6]?.[5];
+  if (!Array.isArray(mediaList)) return null;
+  const candidates = mediaList.filter(item => Array.isArray(item) && isValidMediaUrl(item[0]));
+  const preferred = candidates.find(item => item[2] === 'audio/mp4') || candidates[0];
+  return preferred ? { url: preferred[0], mimeType: preferred[2] || 'audio/mp4' } : null;
+}
+
+function findVideoMedia(artifact) {
+  const mediaList = artifact?.[8];
+  if (!Array.isArray(mediaList)) return null;
+  const candidates = mediaList.filter(item => Array.isArray(item) && isValidMediaUrl(item[0]));
+  const preferred = candidates.find(item => item[2] === 'video/mp4') || candidates[0];
+  return preferred ? { url: preferred[0], mimeType: preferred[2] || 'video/mp4' } : null;
+}
+
+/**
+ * Extract the downloadable media location from a LIST_ARTIFACTS row.
+ * Returns { url, mimeType } or null when the type has no media or the URL
+ * has not been published yet.
+ */
+function findArtifactMedia(artifact, typeCode) {
+  switch (typeCode) {
+    case ArtifactTypeCode.AUDIO:
+      return findAudioMedia(artifact);
+    case ArtifactTypeCode.VIDEO:
+      return findVideoMedia(artifact);
+    case ArtifactTypeCode.INFOGRAPHIC: {
+      const url = findInfographicUrl(artifact);
+      return url ? { url, mimeType: 'image/png' } : null;
+    }
+    case ArtifactTypeCode.SLIDE_DECK: {
+      const url = artifact?.[16]?.[3];
+      return isValidMediaUrl(url) ? { url, mimeType: 'application/pdf' } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+const MEDIA_ARTIFACT_TYPE_CODES = [
+  ArtifactTypeCode.AUDIO,
+  ArtifactTypeCode.VIDEO,
+  ArtifactTypeCode.INFOGRAPHIC,
+  ArtifactTypeCode.SLIDE_DECK,
+];
+
 function isMediaArtifactReady(artifact, typeCode) {
+  if (!MEDIA_ARTIFACT_TYPE_CODES.includes(typeCode)) return true;
   try {
-    switch (typeCode) {
-      case ArtifactTypeCode.AUDIO: {
-        const mediaList = artifact?.[6]?.[5];
-        return Array.isArray(mediaList)
-          && mediaList.length > 0
-          && Array.isArray(mediaList[0])
-          && isValidMediaUrl(mediaList[0][0]);
-      }
-      case ArtifactTypeCode.VIDEO: {
-        const mediaList = artifact?.[8];
-        return Array.isArray(mediaList)
-          && mediaList.some(item => Array.isArray(item) && isValidMediaUrl(item[0]));
-      }
-      case ArtifactTypeCode.INFOGRAPHIC:
-        return !!findInfographicUrl(artifact);
-      case ArtifactTypeCode.SLIDE_DECK:
-        return isValidMediaUrl(artifact?.[16]?.[3]);
-      default:
-        return true;
-    }
+    return !!findArtifactMedia(artifact, typeCode);
   } catch (_) {
-    return ![
-      ArtifactTypeCode.AUDIO,
-      ArtifactTypeCode.VIDEO,
-      ArtifactTypeCode.INFOGRAPHIC,
-      ArtifactTypeCode.SLIDE_DECK,
-    ].includes(typeCode);
+    return false;
   }
 }
 
-async function listArtifactStatuses(notebookId) {
+async function listArtifactRows(notebookId) {
   const params = [[2], notebookId, 'NOT artifact.status = "ARTIFACT_STATUS_SUGGESTED"'];
   const result = await rpcCall(
     RPCMethod.LIST_ARTIFACTS, params,
@@ -1646,15 +2041,22 @@ async function listArtifactStatuses(notebookId) {
   );
 
   if (!result || !Array.isArray(result) || result.length === 0) {
-    return new Map();
+    return [];
   }
 
   const artifactsData = Array.isArray(result[0]) ? result[0] : result;
+  return artifactsData.filter(art => Array.isArray(art) && art.length > 0);
+}
+
+function artifactRowId(art) {
+  return String(extractFirstIdFromResult(art[0]) || art[0]);
+}
+
+async function listArtifactStatuses(notebookId) {
   const statuses = new Map();
 
-  for (const art of artifactsData) {
-    if (!Array.isArray(art) || art.length === 0) continue;
-    const artifactId = String(extractFirstIdFromResult(art[0]) || art[0]);
+  for (const art of await listArtifactRows(notebookId)) {
+    const artifactId = artifactRowId(art);
     const statusCode = art.length > 4 ? art[4] : 0;
     const typeCode = art.length > 2 ? art[2] : 0;
 
@@ -1677,6 +2079,33 @@ async function listArtifactStatuses(notebookId) {
   return statuses;
 }
 
+/**
+ * Look up the downloadable media of a completed artifact.
+ * Only audio, video, infographic and slide deck artifacts carry media.
+ * @param {string} notebookId
+ * @param {string} artifactId
+ * @returns {Promise<{ id, typeCode, title, url, mimeType }|null>}
+ *   null when the artifact is missing, has no media, or is not ready yet.
+ */
+async function getArtifactMedia(notebookId, artifactId) {
+  const art = (await listArtifactRows(notebookId))
+    .find(row => artifactRowId(row) === String(artifactId));
+  if (!art) return null;
+  if (art[4] !== ArtifactStatus.COMPLETED) return null;
+
+  const typeCode = art.length > 2 ? art[2] : 0;
+  const media = findArtifactMedia(art, typeCode);
+  if (!media) return null;
+
+  return {
+    id: String(artifactId),
+    typeCode,
+    title: typeof art[1] === 'string' && art[1].trim() ? art[1].trim() : null,
+    url: media.url,
+    mimeType: media.mimeType,
+  };
+}
+
 /**
  * Poll artifact status by listing all artifacts and finding the one we want.
  */
@@ -1703,14 +2132,14 @@ async function waitForArtifact(notebookId, taskId, timeoutMs = 600000, intervalM
     }
 
     if (status.status === 'failed') {
-      throw new Error(`Artifact ${taskId} generation failed`);
+      throw codedError(ErrorCode.ARTIFACT_FAILED, `Artifact ${taskId} generation failed`);
     }
 
     console.log(`[NotebookLM API] Artifact ${taskId} status=${status.status}, waiting ${intervalMs}ms...`);
     await sleep(intervalMs);
   }
 
-  throw new Error(`Artifact ${taskId} timed out after ${timeoutMs}ms`);
+  throw codedError(ErrorCode.ARTIFACT_TIMEOUT, `Artifact ${taskId} timed out after ${timeoutMs}ms`);
 }
 
 // =========================================================================
@@ -1769,10 +2198,17 @@ async function getNotebookTitle(notebookId) {
 export {
   fetchTokens,
   ensureTokens,
+  setAuthUser,
+  getAuthUser,
+  listAccounts,
   getNotebookUrl,
+  listNotebooks,
   createNotebook,
   deleteNotebook,
   addUrlSource,
+  addYoutubeSource,
+  extractYoutubeVideoId,
+  addTextSource,
   addFileSource,
   listSources,
   getNotebookTitle,
@@ -1787,6 +2223,7 @@ export {
   generateMindMap,
   generateDataTable,
   listArtifactStatuses,
+  getArtifactMedia,
   pollArtifactStatus,
   waitForArtifact,
   ArtifactStatus,
@@ -1804,6 +2241,8 @@ export {
   InfographicDetail,
   InfographicStyle,
   SourceStatus,
+  ErrorCode,
+  codedError,
 };
 
 // Internal hooks used only by the deterministic Node test suite.
@@ -1816,6 +2255,7 @@ export const __testing = {
     _csrfToken = null;
     _sessionId = null;
     _baseUrl = DEFAULT_BASE_URL;
+    _authUser = 0;
   },
   getBaseUrl() {
     return _baseUrl;
@@ -1826,4 +2266,7 @@ export const __testing = {
   setMutationTimeout(ms) {
     _mutationTimeoutMs = Number.isFinite(ms) && ms >= 0 ? ms : 15000;
   },
+  setUploadChunkSize(bytes) {
+    _uploadChunkBytes = Number.isInteger(bytes) && bytes > 0 ? bytes : UPLOAD_CHUNK_BYTES;
+  },
 };
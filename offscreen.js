@@ -4,13 +4,35 @@
  * and plays a short completion chime using the Web Audio API.
  *
  * Service workers (background.js) cannot use AudioContext, so we
- * delegate audio playback to this offscreen document.
+ * delegate audio playback to this offscreen document. PDF page
+ * extraction runs here too, keeping large files off the worker.
  */
 
-chrome.runtime.onMessage.addListener((message) => {
+import { openPdf } from './pdf-pages.js';
+import { codedError, ErrorCode } from './notebooklm-api.js';
+import { storeUploadFile, readUploadFile } from './upload-store.js';
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'PLAY_CHIME') {
         playChime();
+        return false;
+    }
+
+    if (message.type === 'OFFSCREEN_READ_PDF') {
+        readPdfChapters(message.fileKey)
+            .then(info => sendResponse({ ok: true, ...info }))
+            .catch(err => sendResponse({ ok: false, code: err?.code, message: err?.message || 'Could not read the PDF' }));
+        return true;
     }
+
+    if (message.type === 'OFFSCREEN_EXTRACT_PDF_PAGES') {
+        extractPdfParts(message.fileKey, message.parts)
+            .then(fileKeys => sendResponse({ ok: true, fileKeys }))
+            .catch(err => sendResponse({ ok: false, code: err?.code, message: err?.message || 'Could not extract the pages' }));
+        return true;
+    }
+
+    return false;
 });
 
 function playChime() {
@@ -50,3 +72,30 @@ function playChime() {
         console.warn('[Offscreen] Could not play chime:', e.message);
     }
 }
+
+// =========================================================================
+// PDF page extraction
+// =========================================================================
+
+async function openStoredPdf(fileKey) {
+    const blob = await readUploadFile(fileKey);
+    if (!blob) throw codedError(ErrorCode.INVALID_INPUT, 'The PDF is no longer available. Choose it again.');
+    return openPdf(await blob.arrayBuffer());
+}
+
+async function readPdfChapters(fileKey) {
+    const doc = await openStoredPdf(fileKey);
+    return { pageCount: doc.pageCount, chapters: doc.chapters() };
+}
+
+// parts: one list of 1-based page numbers per output file. Returns the
+// keys the new files were stored under, in the same order.
+async function extractPdfParts(fileKey, parts) {
+    const doc = await openStoredPdf(fileKey);
+    const fileKeys = [];
+    for (const pages of parts) {
+        const blob = new Blob([doc.extractPages(pages)], { type: 'application/pdf' });
+        fileKeys.push(await storeUploadFile(blob));
+    }
+    return fileKeys;
+}
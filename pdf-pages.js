@@ -0,0 +1,899 @@
+/**
+ * Minimal PDF reader and page extractor (offscreen document context).
+ *
+ * Reads the cross-reference data (classic tables and xref streams, following
+ * /Prev), object streams and the page tree well enough to list the outline
+ * and to write a new PDF holding some of the pages. Page content, fonts and
+ * images are copied byte for byte and never decoded; annotations are left
+ * out, since their links point at pages the new file may not contain.
+ */
+
+import { codedError, ErrorCode } from './notebooklm-api.js';
+
+class PdfName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PdfString {
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+// Dictionaries are Maps keyed by name (without the slash); data is the
+// still-encoded stream content.
+class PdfStream {
+  constructor(dict, data) {
+    this.dict = dict;
+    this.data = data;
+  }
+}
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+// ( ) < > [ ] { } / %
+const DELIMITERS = new Set([0x28, 0x29, 0x3C, 0x3E, 0x5B, 0x5D, 0x7B, 0x7D, 0x2F, 0x25]);
+const INHERITABLE_PAGE_KEYS = ['Resources', 'MediaBox', 'CropBox', 'Rotate'];
+// Page keys that refer back into the source document's structure.
+const DROPPED_PAGE_KEYS = ['Parent', 'Annots', 'B', 'StructParents'];
+const MAX_OUTLINE_ENTRIES = 5000;
+const MAX_OUTLINE_DEPTH = 8;
+const MAX_NAME_TREE_DEPTH = 32;
+
+function pdfError(message) {
+  return codedError(ErrorCode.INVALID_INPUT, `Cannot read this PDF: ${message}`);
+}
+
+function latin1(bytes, start = 0, end = bytes.length) {
+  let text = '';
+  for (let i = start; i < end; i += 8192) {
+    text += String.fromCharCode(...bytes.subarray(i, Math.min(end, i + 8192)));
+  }
+  return text;
+}
+
+function asciiBytes(text) {
+  return Uint8Array.from(text, c => c.charCodeAt(0));
+}
+
+function indexOfBytes(bytes, pattern, from = 0) {
+  const first = pattern.charCodeAt(0);
+  for (let i = bytes.indexOf(first, from); i !== -1 && i <= bytes.length - pattern.length; i = bytes.indexOf(first, i + 1)) {
+    let j = 1;
+    while (j < pattern.length && bytes[i + j] === pattern.charCodeAt(j)) j++;
+    if (j === pattern.length) return i;
+  }
+  return -1;
+}
+
+function lastIndexOfBytes(bytes, pattern, from = 0) {
+  let found = -1;
+  for (let i = indexOfBytes(bytes, pattern, from); i !== -1; i = indexOfBytes(bytes, pattern, i + 1)) found = i;
+  return found;
+}
+
+function decodeName(raw) {
+  return raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// =========================================================================
+// Lexer
+// =========================================================================
+
+class Lexer {
+  constructor(bytes, pos = 0) {
+    this.bytes = bytes;
+    this.pos = pos;
+  }
+
+  skipSpace() {
+    const bytes = this.bytes;
+    while (this.pos < bytes.length) {
+      const c = bytes[this.pos];
+      if (WHITESPACE.has(c)) {
+        this.pos++;
+      } else if (c === 0x25) {
+        while (this.pos < bytes.length && bytes[this.pos] !== 0x0A && bytes[this.pos] !== 0x0D) this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  // Regular characters up to the next whitespace or delimiter.
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.bytes.length &&
+      !WHITESPACE.has(this.bytes[this.pos]) && !DELIMITERS.has(this.bytes[this.pos])) {
+      this.pos++;
+    }
+    return latin1(this.bytes, start, this.pos);
+  }
+
+  readKeyword() {
+    this.skipSpace();
+    return this.readRegular();
+  }
+
+  readValue() {
+    this.skipSpace();
+    const bytes = this.bytes;
+    if (this.pos >= bytes.length) throw pdfError('unexpected end of file');
+    const c = bytes[this.pos];
+    if (c === 0x2F) {
+      this.pos++;
+      return new PdfName(decodeName(this.readRegular()));
+    }
+    if (c === 0x28) return this.readLiteralString();
+    if (c === 0x3C) {
+      if (bytes[this.pos + 1] === 0x3C) {
+        this.pos += 2;
+        return this.readDict();
+      }
+      return this.readHexString();
+    }
+    if (c === 0x5B) {
+      this.pos++;
+      const items = [];
+      for (;;) {
+        this.skipSpace();
+        if (this.pos >= bytes.length) throw pdfError('unterminated array');
+        if (bytes[this.pos] === 0x5D) {
+          this.pos++;
+          return items;
+        }
+        items.push(this.readValue());
+      }
+    }
+
+    const token = this.readRegular();
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      const num = Number(token);
+      if (/^\d+$/.test(token)) {
+        // "12 0 R" is a reference; otherwise leave the next token alone.
+        const save = this.pos;
+        const gen = this.readKeyword();
+        if (/^\d+$/.test(gen) && this.readKeyword() === 'R') return new PdfRef(num, Number(gen));
+        this.pos = save;
+      }
+      return num;
+    }
+    throw pdfError(`unexpected "${token || String.fromCharCode(c)}" at offset ${this.pos}`);
+  }
+
+  readDict() {
+    const dict = new Map();
+    for (;;) {
+      this.skipSpace();
+      if (this.pos >= this.bytes.length) throw pdfError('unterminated dictionary');
+      if (this.bytes[this.pos] === 0x3E && this.bytes[this.pos + 1] === 0x3E) {
+        this.pos += 2;
+        return dict;
+      }
+      const key = this.readValue();
+      if (!(key instanceof PdfName)) throw pdfError(`malformed dictionary at offset ${this.pos}`);
+      dict.set(key.name, this.readValue());
+    }
+  }
+
+  readLiteralString() {
+    const bytes = this.bytes;
+    const out = [];
+    let depth = 0;
+    this.pos++;
+    while (this.pos < bytes.length) {
+      let c = bytes[this.pos++];
+      if (c === 0x28) {
+        depth++;
+      } else if (c === 0x29) {
+        if (depth === 0) return new PdfString(Uint8Array.from(out));
+        depth--;
+      } else if (c === 0x5C) {
+        c = bytes[this.pos++];
+        const escaped = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C }[c];
+        if (escaped !== undefined) {
+          c = escaped;
+        } else if (c >= 0x30 && c <= 0x37) {
+          let octal = c - 0x30;
+          for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+            octal = octal * 8 + (bytes[this.pos++] - 0x30);
+          }
+          c = octal & 0xFF;
+        } else if (c === 0x0D || c === 0x0A) {
+          // Line continuation
+          if (c === 0x0D && bytes[this.pos] === 0x0A) this.pos++;
+          continue;
+        }
+      }
+      out.push(c);
+    }
+    throw pdfError('unterminated string');
+  }
+
+  readHexString() {
+    const end = this.bytes.indexOf(0x3E, this.pos);
+    if (end === -1) throw pdfError('unterminated hex string');
+    let hex = latin1(this.bytes, this.pos + 1, end).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = end + 1;
+    if (hex.length % 2) hex += '0';
+    return new PdfString(Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16)));
+  }
+}
+
+// =========================================================================
+// Stream decoding (cross-reference and object streams only)
+// =========================================================================
+
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function paeth(left, up, upLeft) {
+  const p = left + up - upLeft;
+  const pa = Math.abs(p - left);
+  const pb = Math.abs(p - up);
+  const pc = Math.abs(p - upLeft);
+  if (pa <= pb && pa <= pc) return left;
+  return pb <= pc ? up : upLeft;
+}
+
+// PNG row filters, as used by xref streams with /Predictor >= 10.
+function applyPngPredictor(data, columns, colors, bitsPerComponent) {
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((columns * colors * bitsPerComponent) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const out = new Uint8Array(rows * rowLength);
+  let previous = new Uint8Array(rowLength);
+  for (let r = 0; r < rows; r++) {
+    const filter = data[r * (rowLength + 1)];
+    const row = data.subarray(r * (rowLength + 1) + 1, (r + 1) * (rowLength + 1));
+    const current = out.subarray(r * rowLength, (r + 1) * rowLength);
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let predicted;
+      if (filter === 0) predicted = 0;
+      else if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) predicted = paeth(left, up, upLeft);
+      else throw pdfError(`unknown PNG predictor ${filter}`);
+      current[i] = (row[i] + predicted) & 0xFF;
+    }
+    previous = current;
+  }
+  return out;
+}
+
+// =========================================================================
+// Document
+// =========================================================================
+
+class PdfDocument {
+  constructor(bytes) {
+    this.bytes = bytes;
+    // object number -> { offset, gen } | { stream, index } | null (free)
+    this.xref = new Map();
+    this.objects = new Map();
+    this.objectStreams = new Map();
+    this.loading = new Set();
+    this.trailer = null;
+    // Set when a rebuild came across /Encrypt in any trailer or xref stream,
+    // since the trailer it settles on may not be the one that carries it.
+    this.encryptFound = false;
+    this.pages = [];
+    this.pageTreeNums = new Set();
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  get catalog() {
+    return this.get(this.trailer?.get('Root'));
+  }
+
+  // Follow references until a direct value; missing objects are null.
+  get(value) {
+    let current = value;
+    for (let depth = 0; current instanceof PdfRef && depth < 16; depth++) {
+      current = this.getObject(current.num);
+    }
+    return current instanceof PdfRef ? null : current;
+  }
+
+  getObject(num) {
+    if (this.objects.has(num)) return this.objects.get(num);
+    if (this.loading.has(num)) return null;
+    const entry = this.xref.get(num);
+    let value = null;
+    this.loading.add(num);
+    try {
+      if (entry?.offset != null) value = this.readIndirectObjectAt(entry.offset).value;
+      else if (entry?.stream != null) value = this.readCompressedObject(entry);
+    } finally {
+      this.loading.delete(num);
+    }
+    this.objects.set(num, value);
+    return value;
+  }
+
+  readIndirectObjectAt(offset) {
+    const lexer = new Lexer(this.bytes, offset);
+    const num = Number(lexer.readKeyword());
+    const gen = Number(lexer.readKeyword());
+    if (!Number.isInteger(num) || !Number.isInteger(gen) || lexer.readKeyword() !== 'obj') {
+      throw pdfError(`no object at offset ${offset}`);
+    }
+    let value = lexer.readValue();
+    const afterValue = lexer.pos;
+    if (value instanceof Map && lexer.readKeyword() === 'stream') {
+      value = new PdfStream(value, this.readStreamData(value, lexer.pos));
+    } else {
+      lexer.pos = afterValue;
+    }
+    return { num, gen, value };
+  }
+
+  // `start` is just past the "stream" keyword. Trust /Length only when
+  // "endstream" follows it; writers get it wrong often enough.
+  readStreamData(dict, start) {
+    const bytes = this.bytes;
+    if (bytes[start] === 0x0D) start++;
+    if (bytes[start] === 0x0A) start++;
+    const length = this.get(dict.get('Length'));
+    if (Number.isInteger(length) && length >= 0) {
+      const lexer = new Lexer(bytes, start + length);
+      if (lexer.readKeyword() === 'endstream') return bytes.subarray(start, start + length);
+    }
+    let end = indexOfBytes(bytes, 'endstream', start);
+    if (end === -1) throw pdfError('unterminated stream');
+    if (bytes[end - 1] === 0x0A) end--;
+    if (bytes[end - 1] === 0x0D) end--;
+    return bytes.subarray(start, Math.max(start, end));
+  }
+
+  readCompressedObject({ stream, index }) {
+    const container = this.objectStreams.get(stream);
+    const entry = container?.entries[index];
+    if (!entry) return null;
+    return new Lexer(container.data, container.first + entry.offset).readValue();
+  }
+
+  async decodeStream(stream) {
+    const filters = [].concat(this.get(stream.dict.get('Filter')) ?? []).map(f => this.get(f)?.name);
+    const parmsList = [].concat(this.get(stream.dict.get('DecodeParms')) ?? []);
+    let data = stream.data;
+    for (let i = 0; i < filters.length; i++) {
+      if (filters[i] !== 'FlateDecode' && filters[i] !== 'Fl') {
+        throw pdfError(`unsupported ${filters[i]} compression`);
+      }
+      data = await inflate(data);
+      const parms = this.get(parmsList[i]);
+      const predictor = parms instanceof Map ? this.get(parms.get('Predictor')) ?? 1 : 1;
+      if (predictor >= 10) {
+        data = applyPngPredictor(
+          data,
+          this.get(parms.get('Columns')) ?? 1,
+          this.get(parms.get('Colors')) ?? 1,
+          this.get(parms.get('BitsPerComponent')) ?? 8
+        );
+      } else if (predictor > 1) {
+        throw pdfError(`unsupported predictor ${predictor}`);
+      }
+    }
+    return data;
+  }
+
+  // ----- Cross-reference data -----
+
+  async readXref() {
+    const tail = Math.max(0, this.bytes.length - 2048);
+    const marker = lastIndexOfBytes(this.bytes, 'startxref', tail);
+    if (marker === -1) throw pdfError('startxref not found');
+    let offset = Number(new Lexer(this.bytes, marker + 9).readKeyword());
+    const seen = new Set();
+    while (Number.isInteger(offset) && !seen.has(offset)) {
+      seen.add(offset);
+      const trailer = await this.readXrefSection(offset);
+      this.trailer ||= trailer;
+      offset = trailer.get('Prev');
+    }
+  }
+
+  // Newer sections are read first, so existing entries are never replaced.
+  async readXrefSection(offset) {
+    const lexer = new Lexer(this.bytes, offset);
+    if (lexer.readKeyword() === 'xref') return this.readXrefTable(lexer);
+    return this.readXrefStream(offset);
+  }
+
+  async readXrefStream(offset) {
+    const { value } = this.readIndirectObjectAt(offset);
+    if (!(value instanceof PdfStream) || this.get(value.dict.get('Type'))?.name !== 'XRef') {
+      throw pdfError(`no cross-reference data at offset ${offset}`);
+    }
+    const data = await this.decodeStream(value);
+    const [w1, w2, w3] = this.get(value.dict.get('W')) || [];
+    const index = this.get(value.dict.get('Index')) || [0, this.get(value.dict.get('Size'))];
+    let pos = 0;
+    const field = (width, fallback) => {
+      if (!width) return fallback;
+      let result = 0;
+      for (let i = 0; i < width; i++) result = result * 256 + data[pos++];
+      return result;
+    };
+    for (let i = 0; i + 1 < index.length; i += 2) {
+      for (let num = index[i]; num < index[i] + index[i + 1] && pos < data.length; num++) {
+        const type = field(w1, 1);
+        const second = field(w2, 0);
+        const third = field(w3, 0);
+        if (this.xref.has(num)) continue;
+        if (type === 1) this.xref.set(num, { offset: second, gen: third });
+        else if (type === 2) this.xref.set(num, { stream: second, index: third });
+        else this.xref.set(num, null);
+      }
+    }
+    return value.dict;
+  }
+
+  // Hybrid files list their compressed objects as free in the table and
+  // keep the real entries in the /XRefStm stream of the same section, so
+  // free entries are only recorded after that stream has been read.
+  async readXrefTable(lexer) {
+    const free = [];
+    for (;;) {
+      const token = lexer.readKeyword();
+      if (token === 'trailer') break;
+      const first = Number(token);
+      const count = Number(lexer.readKeyword());
+      if (!Number.isInteger(first) || !Number.isInteger(count)) throw pdfError('malformed cross-reference table');
+      for (let i = 0; i < count; i++) {
+        const offset = Number(lexer.readKeyword());
+        const gen = Number(lexer.readKeyword());
+        const kind = lexer.readKeyword();
+        if (this.xref.has(first + i)) continue;
+        if (kind === 'n') this.xref.set(first + i, { offset, gen });
+        else free.push(first + i);
+      }
+    }
+    const trailer = lexer.readValue();
+    if (!(trailer instanceof Map)) throw pdfError('malformed trailer');
+    const xrefStm = trailer.get('XRefStm');
+    if (Number.isInteger(xrefStm)) await this.readXrefStream(xrefStm);
+    for (const num of free) {
+      if (!this.xref.has(num)) this.xref.set(num, null);
+    }
+    return trailer;
+  }
+
+  // Damaged files: find every "N G obj" header instead. Later copies of an
+  // object win, as they would through incremental updates.
+  async reconstructXref() {
+    const bytes = this.bytes;
+    this.xref.clear();
+    this.objects.clear();
+    this.objectStreams.clear();
+    this.trailer = null;
+    for (let pos = indexOfBytes(bytes, 'obj'); pos !== -1; pos = indexOfBytes(bytes, 'obj', pos + 3)) {
+      const header = matchObjectHeader(bytes, pos);
+      if (header) this.xref.set(header.num, { offset: header.start, gen: header.gen });
+    }
+
+    // The last readable trailer with a /Root wins.
+    for (let pos = indexOfBytes(bytes, 'trailer'); pos !== -1; pos = indexOfBytes(bytes, 'trailer', pos + 7)) {
+      try {
+        const trailer = new Lexer(bytes, pos + 7).readValue();
+        if (!(trailer instanceof Map)) continue;
+        if (trailer.has('Encrypt')) this.encryptFound = true;
+        if (trailer.has('Root')) this.trailer = trailer;
+      } catch (_) {
+        // Unreadable; without any, the catalog is looked for below.
+      }
+    }
+
+    for (const [num, entry] of this.xref) {
+      let value;
+      try {
+        value = this.getObject(num);
+      } catch (_) {
+        continue;
+      }
+      const type = value instanceof PdfStream ? this.get(value.dict.get('Type'))?.name : this.get(value?.get?.('Type'))?.name;
+      if (type === 'ObjStm') {
+        // Register the objects it holds, unless a plain copy exists.
+        const container = await this.loadObjectStream(num, value);
+        container.entries.forEach((item, index) => {
+          if (!this.xref.has(item.num)) this.xref.set(item.num, { stream: num, index });
+        });
+      } else if (type === 'XRef') {
+        if (value.dict.has('Encrypt')) this.encryptFound = true;
+        if (!this.trailer?.has('Root') && value.dict.has('Root')) this.trailer = value.dict;
+      } else if (type === 'Catalog' && !this.trailer) {
+        this.trailer = new Map([['Root', new PdfRef(num, entry.gen)]]);
+      }
+    }
+  }
+
+  async loadObjectStream(num, stream = this.getObject(num)) {
+    if (this.objectStreams.has(num)) return this.objectStreams.get(num);
+    if (!(stream instanceof PdfStream)) throw pdfError(`object stream ${num} is missing`);
+    const data = await this.decodeStream(stream);
+    const count = this.get(stream.dict.get('N')) || 0;
+    const lexer = new Lexer(data);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      entries.push({ num: Number(lexer.readKeyword()), offset: Number(lexer.readKeyword()) });
+    }
+    const container = { data, first: this.get(stream.dict.get('First')) || 0, entries };
+    this.objectStreams.set(num, container);
+    return container;
+  }
+
+  // Compressed objects are parsed synchronously later, so decode their
+  // containers up front.
+  async loadObjectStreams() {
+    const streams = new Set([...this.xref.values()].filter(entry => entry?.stream != null).map(entry => entry.stream));
+    for (const num of streams) await this.loadObjectStream(num);
+  }
+
+  // ----- Pages and outline -----
+
+  readPageTree() {
+    const pages = [];
+    const walk = (ref, inherited) => {
+      if (!(ref instanceof PdfRef) || this.pageTreeNums.has(ref.num)) return;
+      const node = this.get(ref);
+      if (!(node instanceof Map)) return;
+      this.pageTreeNums.add(ref.num);
+      const attributes = { ...inherited };
+      INHERITABLE_PAGE_KEYS.forEach(key => {
+        if (node.has(key)) attributes[key] = node.get(key);
+      });
+      const kids = this.get(node.get('Kids'));
+      if (this.get(node.get('Type'))?.name !== 'Page' && Array.isArray(kids)) {
+        kids.forEach(kid => walk(kid, attributes));
+      } else {
+        pages.push({ ref, dict: node, inherited: attributes });
+      }
+    };
+    walk(this.catalog.get('Pages'), {});
+    this.pages = pages;
+  }
+
+  /**
+   * Outline entries in reading order: [{ title, depth, pageIndex }], with
+   * pageIndex 0-based, or null when the entry does not point at a page here.
+   */
+  readOutline() {
+    const pageIndexByNum = new Map(this.pages.map((page, index) => [page.ref.num, index]));
+    const entries = [];
+    const visited = new Set();
+    const walk = (ref, depth) => {
+      let current = ref;
+      while (current instanceof PdfRef && !visited.has(current.num) && entries.length < MAX_OUTLINE_ENTRIES) {
+        visited.add(current.num);
+        const item = this.get(current);
+        if (!(item instanceof Map)) break;
+        entries.push({
+          title: decodeTextString(this.get(item.get('Title'))),
+          depth,
+          pageIndex: this.destinationPageIndex(item, pageIndexByNum),
+        });
+        if (depth + 1 < MAX_OUTLINE_DEPTH) walk(item.get('First'), depth + 1);
+        current = item.get('Next');
+      }
+    };
+    const outlines = this.get(this.catalog.get('Outlines'));
+    if (outlines instanceof Map) walk(outlines.get('First'), 0);
+    return entries;
+  }
+
+  destinationPageIndex(item, pageIndexByNum) {
+    let dest = this.get(item.get('Dest'));
+    if (dest == null) {
+      const action = this.get(item.get('A'));
+      if (action instanceof Map && this.get(action.get('S'))?.name === 'GoTo') dest = this.get(action.get('D'));
+    }
+    if (dest instanceof PdfName || dest instanceof PdfString) dest = this.namedDestination(dest);
+    if (dest instanceof Map) dest = this.get(dest.get('D'));
+    if (!Array.isArray(dest) || dest.length === 0) return null;
+    const target = dest[0];
+    if (target instanceof PdfRef) return pageIndexByNum.get(target.num) ?? null;
+    return Number.isInteger(target) && target >= 0 && target < this.pages.length ? target : null;
+  }
+
+  // PDF 1.1 keeps names in /Dests; later versions in the /Names tree.
+  namedDestination(name) {
+    const catalog = this.catalog;
+    if (name instanceof PdfName) {
+      const dests = this.get(catalog.get('Dests'));
+      return dests instanceof Map ? this.get(dests.get(name.name)) : null;
+    }
+    const names = this.get(catalog.get('Names'));
+    const tree = names instanceof Map ? this.get(names.get('Dests')) : null;
+    return tree instanceof Map ? this.lookupNameTree(tree, latin1(name.bytes), 0) : null;
+  }
+
+  lookupNameTree(node, key, depth) {
+    const names = this.get(node.get('Names'));
+    if (Array.isArray(names)) {
+      for (let i = 0; i + 1 < names.length; i += 2) {
+        const name = this.get(names[i]);
+        if (name instanceof PdfString && latin1(name.bytes) === key) return this.get(names[i + 1]);
+      }
+    }
+    const kids = this.get(node.get('Kids'));
+    if (!Array.isArray(kids) || depth >= MAX_NAME_TREE_DEPTH) return null;
+    for (const kidRef of kids) {
+      const kid = this.get(kidRef);
+      if (!(kid instanceof Map)) continue;
+      const limits = this.get(kid.get('Limits'));
+      if (Array.isArray(limits) && limits.length === 2) {
+        const [low, high] = limits.map(limit => this.get(limit));
+        if (low instanceof PdfString && key < latin1(low.bytes)) continue;
+        if (high instanceof PdfString && key > latin1(high.bytes)) continue;
+      }
+      const found = this.lookupNameTree(kid, key, depth + 1);
+      if (found != null) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Outline entries that point at a page, each with the page range up to
+   * the next entry at the same or a higher level. Pages are 1-based.
+   * Returns [{ title, depth, startPage, endPage }].
+   */
+  chapters() {
+    const outline = this.readOutline().filter(entry => entry.pageIndex != null);
+    return outline.map((entry, i) => {
+      const next = outline.slice(i + 1).find(later => later.depth <= entry.depth && later.pageIndex > entry.pageIndex);
+      return {
+        title: entry.title || `Page ${entry.pageIndex + 1}`,
+        depth: entry.depth,
+        startPage: entry.pageIndex + 1,
+        endPage: next ? next.pageIndex : this.pages.length,
+      };
+    });
+  }
+
+  /**
+   * Write a new PDF with the given 1-based pages, in the order given.
+   * Objects the pages use are copied once each; references to pages that
+   * are left out become null.
+   *
+   * @returns {Uint8Array}
+   */
+  extractPages(pageNumbers) {
+    const selected = [...new Set(pageNumbers)]
+      .filter(n => Number.isInteger(n) && n >= 1 && n <= this.pages.length)
+      .map(n => this.pages[n - 1]);
+    if (selected.length === 0) throw codedError(ErrorCode.INVALID_INPUT, 'None of the selected pages exist in this PDF.');
+
+    const CATALOG_NUM = 1;
+    const PAGES_NUM = 2;
+    const selectedPages = new Map(selected.map(page => [page.ref.num, page]));
+    const renumbered = new Map();
+    const queue = [];
+    const mapRef = ref => {
+      if (this.pageTreeNums.has(ref.num) && !selectedPages.has(ref.num)) return null;
+      if (!renumbered.has(ref.num)) {
+        renumbered.set(ref.num, renumbered.size + 3);
+        queue.push(ref.num);
+      }
+      return new PdfRef(renumbered.get(ref.num), 0);
+    };
+    const copy = value => {
+      if (value instanceof PdfRef) return mapRef(value);
+      if (Array.isArray(value)) return value.map(copy);
+      if (value instanceof Map) return new Map([...value].map(([key, item]) => [key, copy(item)]));
+      if (value instanceof PdfStream) {
+        const dict = new Map(value.dict);
+        dict.delete('Length');
+        return new PdfStream(copy(dict), value.data);
+      }
+      return value;
+    };
+
+    const kids = selected.map(page => mapRef(page.ref));
+    const writer = new PdfWriter();
+    writer.add(CATALOG_NUM, new Map([['Type', new PdfName('Catalog')], ['Pages', new PdfRef(PAGES_NUM, 0)]]));
+    writer.add(PAGES_NUM, new Map([['Type', new PdfName('Pages')], ['Kids', kids], ['Count', kids.length]]));
+    for (let i = 0; i < queue.length; i++) {
+      const num = queue[i];
+      const page = selectedPages.get(num);
+      if (page) {
+        const dict = new Map(page.dict);
+        DROPPED_PAGE_KEYS.forEach(key => dict.delete(key));
+        Object.entries(page.inherited).forEach(([key, value]) => {
+          if (!dict.has(key)) dict.set(key, value);
+        });
+        const copied = copy(dict);
+        copied.set('Parent', new PdfRef(PAGES_NUM, 0));
+        writer.add(renumbered.get(num), copied);
+      } else {
+        writer.add(renumbered.get(num), copy(this.getObject(num)));
+      }
+    }
+    return writer.finish(CATALOG_NUM);
+  }
+}
+
+// Where "obj" at `pos` ends an "N G obj" header, its number and start.
+function matchObjectHeader(bytes, pos) {
+  const after = bytes[pos + 3];
+  if (after !== undefined && !WHITESPACE.has(after) && !DELIMITERS.has(after)) return null;
+  const isDigit = c => c >= 0x30 && c <= 0x39;
+  let i = pos - 1;
+  const skipSpace = () => { while (i >= 0 && WHITESPACE.has(bytes[i])) i--; };
+  const readDigits = () => {
+    const end = i;
+    while (i >= 0 && isDigit(bytes[i])) i--;
+    return end > i ? Number(latin1(bytes, i + 1, end + 1)) : null;
+  };
+  skipSpace();
+  const gen = readDigits();
+  skipSpace();
+  const num = readDigits();
+  if (gen == null || num == null || (i >= 0 && !WHITESPACE.has(bytes[i]))) return null;
+  return { num, gen, start: i + 1 };
+}
+
+// Outline titles: UTF-16BE or UTF-8 with a byte order mark, otherwise
+// PDFDocEncoding, which matches Latin-1 for printable text.
+function decodeTextString(value) {
+  if (!(value instanceof PdfString)) return '';
+  const bytes = value.bytes;
+  let text;
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    text = '';
+    for (let i = 2; i + 1 < bytes.length; i += 2) text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  } else if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    text = new TextDecoder().decode(bytes.subarray(3));
+  } else {
+    text = latin1(bytes);
+  }
+  return text.replace(/[\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// =========================================================================
+// Writer
+// =========================================================================
+
+function encodeName(name) {
+  let out = '';
+  for (const char of name) {
+    const code = char.charCodeAt(0);
+    out += code < 0x21 || code > 0x7E || code === 0x23 || DELIMITERS.has(code)
+      ? `#${code.toString(16).padStart(2, '0')}`
+      : char;
+  }
+  return out;
+}
+
+function formatNumber(value) {
+  if (Number.isInteger(value)) return String(value);
+  return value.toFixed(6).replace(/\.?0+$/, '');
+}
+
+function serialize(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value === true || value === false) return String(value);
+  if (typeof value === 'number') return formatNumber(value);
+  if (value instanceof PdfName) return `/${encodeName(value.name)}`;
+  if (value instanceof PdfRef) return `${value.num} ${value.gen} R`;
+  if (value instanceof PdfString) {
+    return `<${Array.from(value.bytes, b => b.toString(16).padStart(2, '0')).join('')}>`;
+  }
+  if (Array.isArray(value)) return `[${value.map(serialize).join(' ')}]`;
+  if (value instanceof Map) {
+    return `<<${[...value].map(([key, item]) => `/${encodeName(key)} ${serialize(item)}`).join(' ')}>>`;
+  }
+  throw new Error(`Cannot write PDF value ${String(value)}`);
+}
+
+class PdfWriter {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+    this.offsets = new Map();
+    this.pushText('%PDF-1.7\n');
+    // Binary marker comment, so transfer tools treat the file as binary.
+    this.push(Uint8Array.of(0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A));
+  }
+
+  push(bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  pushText(text) {
+    this.push(asciiBytes(text));
+  }
+
+  add(num, value) {
+    this.offsets.set(num, this.length);
+    this.pushText(`${num} 0 obj\n`);
+    if (value instanceof PdfStream) {
+      const dict = new Map(value.dict);
+      dict.set('Length', value.data.length);
+      this.pushText(`${serialize(dict)}\nstream\n`);
+      this.push(value.data);
+      this.pushText('\nendstream');
+    } else {
+      this.pushText(serialize(value));
+    }
+    this.pushText('\nendobj\n');
+  }
+
+  finish(rootNum) {
+    const size = Math.max(...this.offsets.keys()) + 1;
+    const xrefOffset = this.length;
+    let table = `xref\n0 ${size}\n0000000000 65535 f \n`;
+    for (let num = 1; num < size; num++) {
+      const offset = this.offsets.get(num);
+      table += offset == null ? '0000000000 65535 f \n' : `${String(offset).padStart(10, '0')} 00000 n \n`;
+    }
+    table += `trailer\n<< /Size ${size} /Root ${rootNum} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    this.pushText(table);
+
+    const out = new Uint8Array(this.length);
+    let pos = 0;
+    for (const chunk of this.chunks) {
+      out.set(chunk, pos);
+      pos += chunk.length;
+    }
+    return out;
+  }
+}
+
+function hasCatalog(doc) {
+  const catalog = doc.catalog;
+  return catalog instanceof Map && catalog.get('Pages') instanceof PdfRef;
+}
+
+/**
+ * Parse a PDF for page extraction. Damaged cross-reference data is rebuilt
+ * by scanning for objects; encrypted files are rejected, since their
+ * strings and streams cannot be copied without the key.
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<PdfDocument>}
+ */
+async function openPdf(data) {
+  const doc = new PdfDocument(data instanceof Uint8Array ? data : new Uint8Array(data));
+  if (indexOfBytes(doc.bytes.subarray(0, 1024), '%PDF-') === -1) throw codedError(ErrorCode.NOT_A_PDF, 'Cannot read this PDF: the file is not a PDF');
+
+  try {
+    await doc.readXref();
+    await doc.loadObjectStreams();
+    if (!hasCatalog(doc)) throw pdfError('document catalog not found');
+  } catch (_) {
+    await doc.reconstructXref();
+    if (!hasCatalog(doc)) throw pdfError('document catalog not found');
+  }
+  if (doc.trailer.has('Encrypt') || doc.encryptFound) {
+    throw codedError(ErrorCode.INVALID_INPUT, 'This PDF is encrypted, so its pages cannot be extracted.');
+  }
+  doc.readPageTree();
+  if (doc.pageCount === 0) throw pdfError('no pages found');
+  return doc;
+}
+
+export {
+  openPdf,
+};
@@ -1,9 +1,12 @@
 /**
- * Popup script: reads pipeline state from background service worker
- * and renders the UI. Triggers pipeline start on button click.
+ * Popup script: reads the pipeline job list from the background service
+ * worker and renders the UI. Triggers pipeline start on button click.
  * All persistent state lives in chrome.storage.local.
  */
 
+import { extractYoutubeVideoId } from './notebooklm-api.js';
+import { storeUploadFile } from './upload-store.js';
+
 const contentEl = document.getElementById('content');
 
 // Pipeline steps -- 'keys' maps one or more background state step names to this display row
@@ -18,6 +21,9 @@ const STEPS = [
     { keys: ['done'], label: 'Complete', emoji: '✅' },
 ];
 
+// Artifact types whose media can be saved to disk via DOWNLOAD_ARTIFACTS
+const DOWNLOADABLE_ARTIFACT_TYPES = ['audio', 'video', 'infographic', 'slide_deck'];
+
 
 // =========================================================================
 // Settings schema
@@ -35,8 +41,12 @@ const DEFAULTS = {
     generateSlideDeck: false, slideDeckFormat: 'detailed_deck', slideDeckLength: 'default', slideDeckPrompt: '',
     generateMindMap: false,
     generateDataTable: false, dataTablePrompt: '',
-    notificationEnabled: true,
+    notificationEnabled: true, progressNotification: true, artifactNotifications: false,
     chimeEnabled: true, autoOpenNotebook: false, useSourceTitleForNotebook: true,
+    duplicateCheck: true, duplicateCheckNotebooks: false,
+    webhookUrl: '', webhookSecret: '',
+    maxConcurrentJobs: 2,
+    authUser: 0,
 };
 
 const SELECT_MAP = {
@@ -45,6 +55,8 @@ const SELECT_MAP = {
     's-videoStyle': 'videoStyle',
     's-infographicStylePreset': 'infographicStylePreset',
     's-infographicNativeStyle': 'infographicNativeStyle',
+    's-maxConcurrentJobs': 'maxConcurrentJobs',
+    's-authUser': 'authUser',
 };
 const RADIO_NAMES = [
     'audioLength', 'videoFormat', 'reportFormat',
@@ -70,9 +82,13 @@ const TOGGLE_MAP = {
     's-generateMindMap': 'generateMindMap',
     's-generateDataTable': 'generateDataTable',
     's-notificationEnabled': 'notificationEnabled',
+    's-progressNotification': 'progressNotification',
+    's-artifactNotifications': 'artifactNotifications',
     's-chimeEnabled': 'chimeEnabled',
     's-autoOpenNotebook': 'autoOpenNotebook',
     's-useSourceTitleForNotebook': 'useSourceTitleForNotebook',
+    's-duplicateCheck': 'duplicateCheck',
+    's-duplicateCheckNotebooks': 'duplicateCheckNotebooks',
 };
 const TEXTAREA_MAP = {
     's-audioPrompt': 'audioPrompt',
@@ -84,7 +100,17 @@ const TEXTAREA_MAP = {
     's-infographicPrompt': 'infographicPrompt',
     's-slideDeckPrompt': 'slideDeckPrompt',
     's-dataTablePrompt': 'dataTablePrompt',
+    // Single-line text inputs are saved the same way.
+    's-webhookUrl': 'webhookUrl',
+    's-webhookSecret': 'webhookSecret',
 };
+// Browser-level preferences that stay put when a profile is saved or used.
+const PROFILE_EXCLUDED_KEYS = [
+    'notificationEnabled', 'progressNotification', 'artifactNotifications',
+    'chimeEnabled', 'autoOpenNotebook', 'useSourceTitleForNotebook',
+    'duplicateCheck', 'duplicateCheckNotebooks', 'maxConcurrentJobs', 'authUser',
+    'webhookUrl', 'webhookSecret',
+];
 // No ARTIFACT_SUB_OPTS needed: section collapse handles visibility.
 // Toggles live in the header and are always visible.
 
@@ -92,10 +118,46 @@ const TEXTAREA_MAP = {
 // Settings load / save
 // =========================================================================
 
+// Settings and profiles follow Chrome sync when it is turned on; the switch
+// itself always stays on this computer.
+async function isSettingsSyncEnabled() {
+    return !!(await chrome.storage.local.get('settingsSyncEnabled')).settingsSyncEnabled;
+}
+
+async function settingsStorageArea() {
+    return (await isSettingsSyncEnabled()) ? chrome.storage.sync : chrome.storage.local;
+}
+
+async function getStoredSettings(area) {
+    return (await area.get('userSettings')).userSettings || {};
+}
+
+// Secrets never sync: they are kept as their own chrome.storage.local items,
+// like the sync switch, instead of inside userSettings.
+const LOCAL_ONLY_SETTING_KEYS = ['webhookSecret'];
+
+function withoutLocalOnlySettings(settings) {
+    const rest = { ...settings };
+    for (const key of LOCAL_ONLY_SETTING_KEYS) delete rest[key];
+    return rest;
+}
+
 async function loadSettings() {
-    const result = await chrome.storage.local.get('userSettings');
-    const s = { ...DEFAULTS, ...(result.userSettings || {}) };
+    const area = await settingsStorageArea();
+    const stored = await getStoredSettings(area);
+    const local = await chrome.storage.local.get(LOCAL_ONLY_SETTING_KEYS);
+    // Earlier versions kept secrets in userSettings; move them out.
+    const legacyKeys = LOCAL_ONLY_SETTING_KEYS.filter(key => key in stored);
+    if (legacyKeys.length > 0) {
+        await chrome.storage.local.set(Object.fromEntries(
+            legacyKeys.filter(key => !(key in local)).map(key => [key, stored[key]])
+        ));
+        await area.set({ userSettings: withoutLocalOnlySettings(stored) });
+    }
+    fillSettingsForm({ ...DEFAULTS, ...stored, ...local });
+}
 
+function fillSettingsForm(s) {
     for (const [id, key] of Object.entries(SELECT_MAP)) {
         const el = document.getElementById(id);
         if (el) el.value = s[key] ?? DEFAULTS[key];
@@ -119,6 +181,20 @@ async function loadSettings() {
 }
 
 async function saveSettings() {
+    const s = readSettingsForm();
+    const area = await settingsStorageArea();
+    try {
+        await chrome.storage.local.set(Object.fromEntries(
+            LOCAL_ONLY_SETTING_KEYS.filter(key => key in s).map(key => [key, s[key]])
+        ));
+        await area.set({ userSettings: { ...(await getStoredSettings(area)), ...withoutLocalOnlySettings(s) } });
+    } catch (err) {
+        // chrome.storage.sync rejects items over its 8 KB per-item quota.
+        showSyncStatus(`Settings were not saved: ${err.message}`, true);
+    }
+}
+
+function readSettingsForm() {
     const s = {};
     for (const [id, key] of Object.entries(SELECT_MAP)) {
         const el = document.getElementById(id);
@@ -136,9 +212,504 @@ async function saveSettings() {
         const el = document.getElementById(id);
         if (el) s[key] = el.value.trim();
     }
+    return s;
+}
+
+// =========================================================================
+// Settings profiles
+// =========================================================================
+
+function profileSyncKey(profileId) {
+    return `settingsProfile:${profileId}`;
+}
+
+// chrome.storage.sync caps each item at 8 KB, so synced profiles are stored
+// one per item and their order is kept in 'settingsProfileIds'.
+async function readStoredProfiles(area) {
+    if (area === chrome.storage.local) {
+        const result = await area.get('settingsProfiles');
+        return Array.isArray(result.settingsProfiles) ? result.settingsProfiles : [];
+    }
+    const { settingsProfileIds } = await area.get('settingsProfileIds');
+    const ids = Array.isArray(settingsProfileIds) ? settingsProfileIds : [];
+    const items = ids.length > 0 ? await area.get(ids.map(profileSyncKey)) : {};
+    return ids.map(id => items[profileSyncKey(id)]).filter(Boolean);
+}
+
+async function writeStoredProfiles(area, profiles) {
+    if (area === chrome.storage.local) {
+        await area.set({ settingsProfiles: profiles });
+        return;
+    }
+    const { settingsProfileIds } = await area.get('settingsProfileIds');
+    const ids = profiles.map(profile => profile.id);
+    const items = Object.fromEntries(profiles.map(profile => [profileSyncKey(profile.id), profile]));
+    await area.set({ ...items, settingsProfileIds: ids });
+    const staleKeys = (Array.isArray(settingsProfileIds) ? settingsProfileIds : [])
+        .filter(id => !ids.includes(id))
+        .map(profileSyncKey);
+    if (staleKeys.length > 0) await area.remove(staleKeys);
+}
+
+async function getProfiles() {
+    return readStoredProfiles(await settingsStorageArea());
+}
+
+async function saveProfiles(profiles) {
+    try {
+        await writeStoredProfiles(await settingsStorageArea(), profiles);
+        return true;
+    } catch (err) {
+        alert(`Could not save profiles: ${err.message}`);
+        return false;
+    }
+}
+
+function profileOptionsHtml(profiles) {
+    return profiles.map(profile =>
+        `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`
+    ).join('');
+}
+
+async function loadProfileList(selectedId = null) {
+    const select = document.getElementById('s-profile-list');
+    if (!select) return;
+    const profiles = await getProfiles();
+    select.innerHTML = profiles.length > 0
+        ? profileOptionsHtml(profiles)
+        : '<option value="">No saved profiles</option>';
+    if (selectedId) select.value = selectedId;
+}
+
+async function saveCurrentAsProfile() {
+    if (!hasAtLeastOneArtifact()) {
+        showArtifactWarning(true);
+        return;
+    }
+    const selected = document.getElementById('s-profile-list')?.selectedOptions[0];
+    const name = (prompt('Profile name (an existing name is overwritten):', selected?.value ? selected.textContent : '') || '').trim();
+    if (!name) return;
+
+    const snapshot = { ...readSettingsForm() };
+    for (const key of PROFILE_EXCLUDED_KEYS) delete snapshot[key];
+
+    const profiles = await getProfiles();
+    const existing = profiles.find(profile => profile.name.toLowerCase() === name.toLowerCase());
+    const profile = {
+        id: existing?.id || `profile-${Date.now().toString(36)}`,
+        name,
+        settings: snapshot,
+        updatedAt: new Date().toISOString(),
+    };
+    const saved = await saveProfiles(existing
+        ? profiles.map(p => (p.id === existing.id ? profile : p))
+        : [...profiles, profile]);
+    if (saved) await loadProfileList(profile.id);
+}
+
+// Copies the profile into the default settings so it can be edited and re-saved.
+async function loadSelectedProfile() {
+    const profileId = document.getElementById('s-profile-list')?.value;
+    const profile = (await getProfiles()).find(p => p.id === profileId);
+    if (!profile) return;
+    fillSettingsForm({ ...DEFAULTS, ...readSettingsForm(), ...profile.settings });
+    await saveSettings();
+}
+
+// =========================================================================
+// Site rules
+// =========================================================================
 
-    const current = ((await chrome.storage.local.get('userSettings')).userSettings) || {};
-    await chrome.storage.local.set({ userSettings: { ...current, ...s } });
+async function getSiteRules() {
+    const result = await chrome.storage.local.get('siteRules');
+    return Array.isArray(result.siteRules) ? result.siteRules : [];
+}
+
+function describeSiteRule(rule, profiles) {
+    if (rule.neverSend) return 'never send';
+    const parts = [];
+    const profile = profiles.find(p => p.id === rule.profileId);
+    if (profile) parts.push(`profile ${profile.name}`);
+    if (rule.language) parts.push(`language ${rule.language}`);
+    if (rule.notebookId) parts.push(`notebook ${rule.notebookTitle || rule.notebookId}`);
+    if (rule.titleTemplate) parts.push(`title "${rule.titleTemplate}"`);
+    return parts.join(', ') || 'default settings';
+}
+
+async function loadSiteRules() {
+    const listEl = document.getElementById('site-rule-list');
+    if (!listEl) return;
+    const [rules, profiles] = await Promise.all([getSiteRules(), getProfiles()]);
+
+    listEl.innerHTML = rules.length > 0
+        ? rules.map(rule => `
+          <div class="site-rule-item">
+            <span class="site-rule-text"><b>${escapeHtml(rule.pattern)}</b> → ${escapeHtml(describeSiteRule(rule, profiles))}</span>
+            <button class="btn-link" data-rule-id="${escapeHtml(rule.id)}">Delete</button>
+          </div>`).join('')
+        : '<span class="s-label">No site rules yet.</span>';
+    listEl.querySelectorAll('[data-rule-id]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const remaining = (await getSiteRules()).filter(rule => rule.id !== btn.dataset.ruleId);
+            await chrome.storage.local.set({ siteRules: remaining });
+            await loadSiteRules();
+        });
+    });
+
+    const profileSelect = document.getElementById('rule-profile');
+    profileSelect.innerHTML = '<option value="">Default settings</option>' + profileOptionsHtml(profiles);
+
+    // Same language list as the artifact settings
+    const languageSelect = document.getElementById('rule-language');
+    if (languageSelect.options.length <= 1) {
+        languageSelect.insertAdjacentHTML('beforeend', document.getElementById('s-language').innerHTML);
+        languageSelect.value = '';
+    }
+
+    const notebookSelect = document.getElementById('rule-notebook');
+    if (notebookSelect.options.length <= 1) {
+        const response = await chrome.runtime.sendMessage({ type: 'LIST_NOTEBOOKS' }).catch(() => null);
+        for (const notebook of response?.notebooks || []) {
+            const option = document.createElement('option');
+            option.value = notebook.id;
+            option.dataset.title = notebook.title;
+            option.textContent = notebook.title;
+            notebookSelect.appendChild(option);
+        }
+    }
+}
+
+async function addSiteRule() {
+    const pattern = document.getElementById('rule-pattern').value.trim();
+    if (!pattern) {
+        alert('Enter a URL pattern such as arxiv.org/* first.');
+        return;
+    }
+    const notebookSelect = document.getElementById('rule-notebook');
+    const rule = {
+        id: `rule-${Date.now().toString(36)}`,
+        pattern,
+        profileId: document.getElementById('rule-profile').value || null,
+        language: document.getElementById('rule-language').value || null,
+        notebookId: notebookSelect.value || null,
+        notebookTitle: notebookSelect.selectedOptions[0]?.dataset.title || null,
+        titleTemplate: document.getElementById('rule-titleTemplate').value.trim() || null,
+        neverSend: document.getElementById('rule-neverSend').checked,
+    };
+    await chrome.storage.local.set({ siteRules: [...await getSiteRules(), rule] });
+
+    document.getElementById('rule-pattern').value = '';
+    document.getElementById('rule-titleTemplate').value = '';
+    document.getElementById('rule-neverSend').checked = false;
+    await loadSiteRules();
+}
+
+async function deleteSelectedProfile() {
+    const select = document.getElementById('s-profile-list');
+    const profileId = select?.value;
+    if (!profileId || !confirm(`Delete profile "${select.selectedOptions[0]?.textContent}"?`)) return;
+    const profiles = await getProfiles();
+    await saveProfiles(profiles.filter(p => p.id !== profileId));
+    await loadProfileList();
+}
+
+// =========================================================================
+// Sync and configuration backup
+// =========================================================================
+
+function showSyncStatus(message, isError = false) {
+    const statusEl = document.getElementById('sync-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+}
+
+async function loadSyncOption() {
+    const checkbox = document.getElementById('s-settingsSync');
+    if (checkbox) checkbox.checked = await isSettingsSyncEnabled();
+}
+
+/**
+ * Move settings and profiles between this computer and Chrome sync. When
+ * sync already holds another computer's configuration the user picks which
+ * one to keep.
+ */
+async function setSettingsSync(enabled) {
+    const from = enabled ? chrome.storage.local : chrome.storage.sync;
+    const to = enabled ? chrome.storage.sync : chrome.storage.local;
+    try {
+        const alreadySynced = enabled && !!(await to.get('userSettings')).userSettings;
+        const keepSynced = alreadySynced && confirm(
+            'Settings from another computer are already synced.\n\n' +
+            'OK: use the synced settings here\nCancel: replace them with this computer\'s settings'
+        );
+        if (!keepSynced) {
+            await to.set({ userSettings: withoutLocalOnlySettings(await getStoredSettings(from)) });
+            await writeStoredProfiles(to, await readStoredProfiles(from));
+        }
+        await chrome.storage.local.set({ settingsSyncEnabled: enabled });
+        showSyncStatus(enabled
+            ? 'Settings and profiles now sync with your Chrome profile.'
+            : 'Settings and profiles are stored on this computer only.');
+    } catch (err) {
+        showSyncStatus(`Could not turn sync ${enabled ? 'on' : 'off'}: ${err.message}`, true);
+    }
+    await loadSyncOption();
+    await loadSettings();
+    await loadProfileList();
+    await loadSiteRules();
+}
+
+const CONFIG_FILE_FORMAT = 'notebooklm-pipeline-config';
+const CONFIG_FILE_VERSION = 1;
+// Per-computer values and secrets that never travel in an exported file.
+const CONFIG_EXCLUDED_KEYS = ['authUser', 'webhookSecret'];
+
+async function readCurrentConfig() {
+    const settings = { ...DEFAULTS, ...(await getStoredSettings(await settingsStorageArea())) };
+    for (const key of CONFIG_EXCLUDED_KEYS) delete settings[key];
+    return { settings, profiles: await getProfiles(), siteRules: await getSiteRules() };
+}
+
+async function exportConfig() {
+    const config = {
+        format: CONFIG_FILE_FORMAT,
+        version: CONFIG_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        ...(await readCurrentConfig()),
+    };
+    const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `notebooklm-config-${config.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    showSyncStatus('Configuration exported.');
+}
+
+// Values a setting may take, read from the settings form itself so the
+// check never drifts from the options the popup offers.
+function allowedSettingValues(key) {
+    const selectId = Object.keys(SELECT_MAP).find(id => SELECT_MAP[id] === key);
+    if (selectId) {
+        return [...(document.getElementById(selectId)?.options || [])].map(option => option.value);
+    }
+    if (RADIO_NAMES.includes(key)) {
+        return [...document.querySelectorAll(`input[name="${key}"]`)].map(input => input.value);
+    }
+    return null;
+}
+
+function validateSettingsObject(value, label, errors, warnings, excludedKeys = []) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${label} must be an object.`);
+        return {};
+    }
+    const clean = {};
+    for (const [key, setting] of Object.entries(value)) {
+        if (excludedKeys.includes(key)) continue;
+        if (!Object.prototype.hasOwnProperty.call(DEFAULTS, key)) {
+            warnings.push(`${label}: unknown setting "${key}" is ignored.`);
+            continue;
+        }
+        const allowed = allowedSettingValues(key);
+        const isToggle = Object.values(TOGGLE_MAP).includes(key);
+        const isText = Object.values(TEXTAREA_MAP).includes(key);
+        if (isToggle && typeof setting !== 'boolean') {
+            errors.push(`${label}: "${key}" must be true or false.`);
+        } else if (isText && typeof setting !== 'string') {
+            errors.push(`${label}: "${key}" must be text.`);
+        } else if (allowed && !allowed.includes(String(setting))) {
+            errors.push(`${label}: "${key}" has an unsupported value "${setting}".`);
+        } else {
+            clean[key] = allowed ? String(setting) : setting;
+        }
+    }
+    return clean;
+}
+
+/**
+ * Check an imported file and return { config, errors, warnings }. Only a
+ * file without errors may be imported; warnings list what is dropped.
+ */
+function validateConfigFile(data) {
+    const errors = [];
+    const warnings = [];
+    if (!data || typeof data !== 'object' || data.format !== CONFIG_FILE_FORMAT) {
+        return { config: null, errors: ['This is not a NotebookLM pipeline configuration file.'], warnings };
+    }
+    if (!Number.isInteger(data.version) || data.version > CONFIG_FILE_VERSION) {
+        return { config: null, errors: [`Unsupported file version ${data.version}; update the extension first.`], warnings };
+    }
+
+    const settings = validateSettingsObject(data.settings || {}, 'Settings', errors, warnings, CONFIG_EXCLUDED_KEYS);
+
+    const profiles = [];
+    if (!Array.isArray(data.profiles || [])) errors.push('Profiles must be a list.');
+    for (const [i, profile] of (Array.isArray(data.profiles) ? data.profiles : []).entries()) {
+        const name = typeof profile?.name === 'string' ? profile.name.trim() : '';
+        if (!name) {
+            errors.push(`Profile ${i + 1} has no name.`);
+            continue;
+        }
+        profiles.push({
+            id: typeof profile.id === 'string' && profile.id ? profile.id : `profile-${Date.now().toString(36)}-${i}`,
+            name,
+            settings: validateSettingsObject(profile.settings, `Profile "${name}"`, errors, warnings, PROFILE_EXCLUDED_KEYS),
+            updatedAt: typeof profile.updatedAt === 'string' ? profile.updatedAt : new Date().toISOString(),
+        });
+    }
+
+    const siteRules = [];
+    if (!Array.isArray(data.siteRules || [])) errors.push('Site rules must be a list.');
+    const languages = allowedSettingValues('language');
+    for (const [i, rule] of (Array.isArray(data.siteRules) ? data.siteRules : []).entries()) {
+        const pattern = typeof rule?.pattern === 'string' ? rule.pattern.trim() : '';
+        if (!pattern) {
+            errors.push(`Site rule ${i + 1} has no URL pattern.`);
+            continue;
+        }
+        if (rule.language && !languages.includes(rule.language)) {
+            errors.push(`Site rule "${pattern}" has an unsupported language "${rule.language}".`);
+        }
+        const optionalText = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+        siteRules.push({
+            id: optionalText(rule.id) || `rule-${Date.now().toString(36)}-${i}`,
+            pattern,
+            profileId: optionalText(rule.profileId),
+            language: optionalText(rule.language),
+            notebookId: optionalText(rule.notebookId),
+            notebookTitle: optionalText(rule.notebookTitle),
+            titleTemplate: optionalText(rule.titleTemplate),
+            neverSend: rule.neverSend === true,
+        });
+    }
+    return { config: { settings, profiles, siteRules, exportedAt: data.exportedAt || null }, errors, warnings };
+}
+
+/**
+ * Merge an imported configuration into the current one: settings are
+ * overlaid, and profiles (by name) and site rules (by pattern) replace
+ * their namesakes or are appended. Rules keep pointing at their profile.
+ */
+function mergeConfig(current, incoming) {
+    const profiles = [...current.profiles];
+    const profileIdMap = new Map();
+    for (const profile of incoming.profiles) {
+        const idx = profiles.findIndex(p => p.name.toLowerCase() === profile.name.toLowerCase());
+        const id = idx >= 0 ? profiles[idx].id : profile.id;
+        profileIdMap.set(profile.id, id);
+        if (idx >= 0) profiles[idx] = { ...profile, id };
+        else profiles.push(profile);
+    }
+
+    const siteRules = [...current.siteRules];
+    for (const rule of incoming.siteRules) {
+        const mapped = { ...rule, profileId: rule.profileId ? (profileIdMap.get(rule.profileId) || rule.profileId) : null };
+        if (mapped.profileId && !profiles.some(p => p.id === mapped.profileId)) mapped.profileId = null;
+        const idx = siteRules.findIndex(r => r.pattern.toLowerCase() === rule.pattern.toLowerCase());
+        if (idx >= 0) siteRules[idx] = { ...mapped, id: siteRules[idx].id };
+        else siteRules.push(mapped);
+    }
+
+    return { settings: { ...current.settings, ...incoming.settings }, profiles, siteRules };
+}
+
+function describeSettingValue(value) {
+    const text = typeof value === 'string' ? `"${value}"` : String(value);
+    return text.length > 40 ? `${text.slice(0, 37)}..."` : text;
+}
+
+// One line per change the import would make.
+function diffConfig(current, merged) {
+    const lines = [];
+    for (const key of Object.keys(merged.settings)) {
+        // Selects store numbers as strings, so compare the text form.
+        if (String(merged.settings[key]) !== String(current.settings[key])) {
+            lines.push(`~ ${key}: ${describeSettingValue(current.settings[key])} → ${describeSettingValue(merged.settings[key])}`);
+        }
+    }
+    for (const profile of merged.profiles) {
+        const existing = current.profiles.find(p => p.id === profile.id);
+        if (!existing) lines.push(`+ Profile "${profile.name}"`);
+        else if (JSON.stringify(existing.settings) !== JSON.stringify(profile.settings)) lines.push(`~ Profile "${profile.name}" (replaced)`);
+    }
+    for (const rule of merged.siteRules) {
+        const existing = current.siteRules.find(r => r.id === rule.id);
+        if (!existing) lines.push(`+ Site rule ${rule.pattern}`);
+        else if (JSON.stringify(existing) !== JSON.stringify(rule)) lines.push(`~ Site rule ${rule.pattern} (replaced)`);
+    }
+    return lines;
+}
+
+async function previewConfigImport(file) {
+    const previewEl = document.getElementById('config-import-preview');
+    if (!previewEl || !file) return;
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (err) {
+        showSyncStatus(`${file.name} is not valid JSON: ${err.message}`, true);
+        return;
+    }
+    const { config, errors, warnings } = validateConfigFile(data);
+    if (errors.length > 0) {
+        previewEl.innerHTML = `
+          <div class="s-label">${escapeHtml(file.name)} cannot be imported:</div>
+          <ul class="config-diff error">${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>
+          <button class="btn-link" id="btn-import-cancel">Close</button>`;
+        document.getElementById('btn-import-cancel').addEventListener('click', () => { previewEl.innerHTML = ''; });
+        return;
+    }
+
+    const current = await readCurrentConfig();
+    const merged = mergeConfig(current, config);
+    const changes = diffConfig(current, merged);
+    const exportedOn = config.exportedAt ? ` (exported ${new Date(config.exportedAt).toLocaleDateString()})` : '';
+    previewEl.innerHTML = `
+      <div class="s-label">${escapeHtml(file.name)}${escapeHtml(exportedOn)}: ${changes.length} change${changes.length !== 1 ? 's' : ''}</div>
+      ${changes.length > 0 ? `<ul class="config-diff">${changes.map(c => `<li>${escapeHtml(c)}</li>`).join('')}</ul>` : ''}
+      ${warnings.length > 0 ? `<ul class="config-diff warning">${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>` : ''}
+      <div class="profile-actions">
+        ${changes.length > 0 ? '<button class="btn-link" id="btn-import-apply">Apply import</button>' : ''}
+        <button class="btn-link" id="btn-import-cancel">${changes.length > 0 ? 'Cancel' : 'Close'}</button>
+      </div>`;
+    document.getElementById('btn-import-cancel').addEventListener('click', () => { previewEl.innerHTML = ''; });
+    document.getElementById('btn-import-apply')?.addEventListener('click', async () => {
+        const area = await settingsStorageArea();
+        try {
+            await area.set({ userSettings: { ...(await getStoredSettings(area)), ...merged.settings } });
+            await writeStoredProfiles(area, merged.profiles);
+            await chrome.storage.local.set({ siteRules: merged.siteRules });
+            showSyncStatus(`Imported ${changes.length} change${changes.length !== 1 ? 's' : ''} from ${file.name}.`);
+        } catch (err) {
+            showSyncStatus(`Import failed: ${err.message}`, true);
+        }
+        previewEl.innerHTML = '';
+        await loadSettings();
+        await loadProfileList();
+        await loadSiteRules();
+    });
+}
+
+// =========================================================================
+// Webhook
+// =========================================================================
+
+async function sendTestWebhook() {
+    const statusEl = document.getElementById('webhook-status');
+    const btn = document.getElementById('btn-webhook-test');
+    await saveSettings();
+    btn.disabled = true;
+    statusEl.classList.remove('error');
+    statusEl.textContent = 'Sending test event...';
+    const response = await chrome.runtime.sendMessage({ type: 'TEST_WEBHOOK' }).catch(err => ({ ok: false, error: err.message }));
+    btn.disabled = false;
+    statusEl.textContent = response?.ok
+        ? `Delivered (HTTP ${response.status}).`
+        : `Not delivered: ${response?.error || 'unknown error'}`;
+    statusEl.classList.toggle('error', !response?.ok);
 }
 
 // Returns true if at least one artifact toggle is checked
@@ -204,10 +775,29 @@ document.getElementById('btn-gear').addEventListener('click', async () => {
             wireSettingsListeners();
             listenersWired = true;
         }
+        await loadAccountOptions();
+        await loadSyncOption();
         await loadSettings();
+        await loadProfileList();
+        await loadSiteRules();
     }
 });
 
+let accountsLoaded = false;
+
+// Fill the account picker with every Google account signed in to this profile.
+async function loadAccountOptions() {
+    if (accountsLoaded) return;
+    const select = document.getElementById('s-authUser');
+    if (!select) return;
+    const response = await chrome.runtime.sendMessage({ type: 'LIST_ACCOUNTS' }).catch(() => null);
+    if (!response?.ok || response.accounts.length === 0) return;
+    accountsLoaded = true;
+    select.innerHTML = response.accounts.map(account => `
+      <option value="${account.authUser}">${escapeHtml(account.email)}${account.name ? ` (${escapeHtml(account.name)})` : ''}</option>`
+    ).join('');
+}
+
 function wireSettingsListeners() {
     // Selects
     for (const id of Object.keys(SELECT_MAP)) {
@@ -236,7 +826,8 @@ function wireSettingsListeners() {
         });
     }
     // Non-artifact toggles (chime, auto-open) -- no validation needed
-    ['s-notificationEnabled', 's-chimeEnabled', 's-autoOpenNotebook', 's-useSourceTitleForNotebook'].forEach(id => {
+    ['s-notificationEnabled', 's-progressNotification', 's-artifactNotifications', 's-chimeEnabled', 's-autoOpenNotebook', 's-useSourceTitleForNotebook',
+        's-duplicateCheck', 's-duplicateCheckNotebooks'].forEach(id => {
         document.getElementById(id)?.addEventListener('change', saveSettings);
     });
     // Textareas (debounced)
@@ -248,6 +839,19 @@ function wireSettingsListeners() {
         });
     }
 
+    document.getElementById('btn-profile-save')?.addEventListener('click', saveCurrentAsProfile);
+    document.getElementById('btn-profile-load')?.addEventListener('click', loadSelectedProfile);
+    document.getElementById('btn-profile-delete')?.addEventListener('click', deleteSelectedProfile);
+    document.getElementById('btn-rule-add')?.addEventListener('click', addSiteRule);
+    document.getElementById('s-settingsSync')?.addEventListener('change', e => setSettingsSync(e.target.checked));
+    document.getElementById('btn-config-export')?.addEventListener('click', exportConfig);
+    document.getElementById('btn-webhook-test')?.addEventListener('click', sendTestWebhook);
+    document.getElementById('btn-config-import')?.addEventListener('click', () => document.getElementById('config-import-file').click());
+    document.getElementById('config-import-file')?.addEventListener('change', async e => {
+        await previewConfigImport(e.target.files[0]);
+        e.target.value = '';
+    });
+
     // Save & Close button
     document.getElementById('btn-save-close')?.addEventListener('click', async () => {
         await saveSettings();
@@ -262,10 +866,10 @@ function wireSettingsListeners() {
 // =========================================================================
 
 async function init() {
-    const state = await getState();
-    if (state.status === 'running' || state.status === 'completed' || state.status === 'error') {
-        renderProgress(state);
-        if (state.status === 'running') startPolling();
+    const jobs = await getJobs();
+    if (jobs.length > 0) {
+        renderJobs(jobs);
+        if (jobs.some(isActiveJob)) startPolling();
         return;
     }
     await detectAndRender();
@@ -280,6 +884,7 @@ function cleanDetectedTitle(value) {
     const title = value.replace(/\s+/g, ' ').trim()
         .replace(/^\[[\d.]+(?:v\d+)?\]\s*/, '')
         .replace(/\s*[|\-]\s*arXiv(?:\.org)?\s*$/i, '')
+        .replace(/^(?:\(\d+\)\s*)?(.*?)\s*-\s*YouTube\s*$/i, '$1')
         .trim();
     return title && !/^untitled$/i.test(title) ? title.substring(0, 300) : null;
 }
@@ -306,10 +911,19 @@ async function detectSourceTitleFromTab(tab) {
 }
 
 async function detectAndRender() {
+    stopPolling();
+    renderJobsBanner(await getJobs());
     try {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (tab?.url) {
             const url = tab.url;
+            // YouTube updates og:title lazily during in-app navigation; the tab title is current.
+            const videoId = extractYoutubeVideoId(url);
+            if (videoId) {
+                const youtubeUrl = `https://www.youtube.com/watch?v=${videoId}`;
+                renderYoutubeDetection({ youtubeUrl, pageUrl: url, sourceTitle: cleanDetectedTitle(tab.title) });
+                return;
+            }
             const sourceTitle = await detectSourceTitleFromTab(tab);
             if (/\.pdf(\?.*)?$/i.test(url)) {
                 const source = /^https?:\/\//i.test(url) ? 'direct_url' : 'local_file';
@@ -375,10 +989,20 @@ function renderDetection(data) {
       <div class="pdf-url">${escapeHtml(truncated)}</div>
       <div class="pdf-source">via ${escapeHtml(sourceLabel)}</div>
     </div>
+    ${runOptionsHtml()}
     <button class="btn-generate" id="btn-upload-start">Use Current PDF and Generate</button>
-    <button class="btn-secondary" id="btn-upload-other">Choose Different PDF</button>`;
+    <button class="btn-secondary" id="btn-pick-pages">${PAGE_PICKER_LABEL}</button>
+    <button class="btn-secondary" id="btn-upload-other">Choose Different File</button>`;
         document.getElementById('btn-upload-start').addEventListener('click', () => startPipelineFromCurrentTabPdf(data.pageUrl || data.pdfUrl));
-        document.getElementById('btn-upload-other').addEventListener('click', () => promptForPdfUpload(data.pageUrl || data.pdfUrl));
+        document.getElementById('btn-pick-pages').addEventListener('click', () => openPagePicker({ local: true, pageUrl: data.pageUrl || data.pdfUrl }));
+        document.getElementById('btn-upload-other').addEventListener('click', () => promptForFileUpload(data.pageUrl || data.pdfUrl));
+        initRunOptions();
+        return;
+    }
+
+    const pdfLinks = Array.isArray(data.allPdfLinks) ? data.allPdfLinks : [];
+    if (pdfLinks.length > 1) {
+        renderPdfChecklist(data, pdfLinks);
         return;
     }
 
@@ -388,8 +1012,192 @@ function renderDetection(data) {
       <div class="pdf-url">${escapeHtml(truncated)}</div>
       <div class="pdf-source">via ${escapeHtml(sourceLabel)}</div>
     </div>
-    <button class="btn-generate" id="btn-start">🎧 Generate Artifacts</button>`;
+    ${runOptionsHtml()}
+    <button class="btn-generate" id="btn-start">🎧 Generate Artifacts</button>
+    <button class="btn-secondary" id="btn-pick-pages">${PAGE_PICKER_LABEL}</button>
+    <button class="btn-secondary" id="btn-start-text">Send Selected or Page Text</button>`;
     document.getElementById('btn-start').addEventListener('click', () => startPipeline(data.pdfUrl, data.pageUrl, 'pdf', data.sourceTitle));
+    document.getElementById('btn-pick-pages').addEventListener('click', () => openPagePicker({
+        pdfUrl: data.pdfUrl, pageUrl: data.pageUrl, sourceTitle: data.sourceTitle,
+    }));
+    document.getElementById('btn-start-text').addEventListener('click', startPipelineFromPageText);
+    initRunOptions();
+}
+
+// Pages such as proceedings or course pages link many PDFs; let the user
+// pick which ones go into a single notebook.
+function renderPdfChecklist(data, pdfLinks) {
+    const itemsHtml = pdfLinks.map((link, idx) => `
+      <label class="pdf-list-item" title="${escapeHtml(link.url)}">
+        <input type="checkbox" class="pdf-list-check" value="${idx}" ${idx === 0 ? 'checked' : ''}>
+        <span>${escapeHtml(link.text || filenameFromUrl(link.url))}</span>
+      </label>`).join('');
+
+    contentEl.innerHTML = `
+    <div class="pdf-info">
+      <div class="label">Detected ${pdfLinks.length} PDFs</div>
+      <div class="pdf-list">${itemsHtml}</div>
+      <div class="pdf-list-actions">
+        <button class="btn-link" id="btn-select-all-pdfs">Select all</button>
+        <button class="btn-link" id="btn-select-no-pdfs">Clear</button>
+      </div>
+    </div>
+    ${runOptionsHtml()}
+    <button class="btn-generate" id="btn-start">🎧 Generate Artifacts</button>`;
+
+    const checks = () => [...document.querySelectorAll('.pdf-list-check')];
+    const updateStartLabel = () => {
+        const count = checks().filter(c => c.checked).length;
+        const btn = document.getElementById('btn-start');
+        if (!btn) return;
+        btn.disabled = count === 0;
+        btn.textContent = count > 1 ? `🎧 Generate Artifacts (${count} PDFs)` : '🎧 Generate Artifacts';
+    };
+    checks().forEach(c => c.addEventListener('change', updateStartLabel));
+    document.getElementById('btn-select-all-pdfs').addEventListener('click', () => {
+        checks().forEach(c => { c.checked = true; });
+        updateStartLabel();
+    });
+    document.getElementById('btn-select-no-pdfs').addEventListener('click', () => {
+        checks().forEach(c => { c.checked = false; });
+        updateStartLabel();
+    });
+    document.getElementById('btn-start').addEventListener('click', () => {
+        const selected = checks().filter(c => c.checked).map(c => pdfLinks[Number(c.value)]);
+        if (selected.length === 0) return;
+        if (selected.length === 1) {
+            startPipeline(selected[0].url, data.pageUrl, 'pdf', data.sourceTitle);
+            return;
+        }
+        startPipeline(selected[0].url, data.pageUrl, 'pdf', data.sourceTitle, selected.map(link => link.url));
+    });
+    updateStartLabel();
+    initRunOptions();
+}
+
+// =========================================================================
+// PDF page picker
+// =========================================================================
+
+const PAGE_PICKER_LABEL = '📑 Choose Pages or Chapters';
+
+// source: { pdfUrl, pageUrl, sourceTitle } for a remote PDF, or
+// { local: true, pageUrl } for the PDF open in the active tab.
+async function openPagePicker(source) {
+    const btn = document.getElementById('btn-pick-pages');
+    if (btn) { btn.disabled = true; btn.textContent = 'Reading PDF...'; }
+    try {
+        let request = { type: 'INSPECT_PDF', pdfUrl: source.pdfUrl, pageUrl: source.pageUrl };
+        if (source.local) {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab?.id) throw new Error('No active tab');
+            const payload = await readCurrentTabPdf(tab);
+            source = { ...source, sourceTitle: await detectSourceTitleFromTab(tab) };
+            request = { type: 'INSPECT_PDF', fileKey: await storeUploadFile(payload.blob), fileName: payload.fileName };
+        }
+        const response = await chrome.runtime.sendMessage(request);
+        if (!response?.ok) throw new Error(response?.message || 'Could not read the PDF');
+        renderPagePicker(response, source);
+    } catch (err) {
+        alert(err?.message || 'Could not read the PDF');
+        if (btn) { btn.disabled = false; btn.textContent = PAGE_PICKER_LABEL; }
+    }
+}
+
+// "45-80, 102" -> [{ start: 45, end: 80 }, { start: 102, end: 102 }]
+function parsePageRanges(text, pageCount) {
+    return String(text || '').split(/[,;]/).map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(\d+)\s*(?:[-–]\s*(\d+))?$/);
+        const start = match ? Number(match[1]) : NaN;
+        const end = match?.[2] ? Number(match[2]) : start;
+        if (!match || start < 1 || end < start || end > pageCount) {
+            throw new Error(`"${part}" is not a page range between 1 and ${pageCount}.`);
+        }
+        return { start, end, title: null };
+    });
+}
+
+function pageSpanLabel(range) {
+    return range.endPage > range.startPage ? `pp. ${range.startPage}-${range.endPage}` : `p. ${range.startPage}`;
+}
+
+// info: INSPECT_PDF response { fileKey, fileName, pageCount, chapters }.
+// Only the top two outline levels are offered as chapters.
+function renderPagePicker(info, source) {
+    const chapters = info.chapters.filter(chapter => chapter.depth <= 1);
+    const chaptersHtml = chapters.map((chapter, idx) => `
+      <label class="pdf-list-item" style="padding-left:${chapter.depth * 14}px">
+        <input type="checkbox" class="chapter-check" value="${idx}">
+        <span>${escapeHtml(chapter.title)} <span class="page-span">${pageSpanLabel(chapter)}</span></span>
+      </label>`).join('');
+
+    contentEl.innerHTML = `
+    <div class="pdf-info">
+      <div class="label">Choose Pages</div>
+      <div class="pdf-url">${escapeHtml(info.fileName)}</div>
+      <div class="pdf-source">${info.pageCount} pages${chapters.length > 0 ? '' : ' · no chapter outline'}</div>
+      ${chapters.length > 0 ? `<div class="pdf-list page-chapter-list">${chaptersHtml}</div>` : ''}
+      <input id="page-ranges" class="s-input page-ranges" placeholder="Pages, e.g. 45-80, 102">
+      <label class="pdf-list-item">
+        <input type="checkbox" id="page-split">
+        <span>One source per chapter or range</span>
+      </label>
+    </div>
+    ${runOptionsHtml()}
+    <button class="btn-generate" id="btn-pages-start">🎧 Generate Artifacts</button>
+    <button class="btn-secondary" id="btn-pages-back">Back</button>`;
+
+    const selectedRanges = () => [
+        ...[...document.querySelectorAll('.chapter-check')].filter(c => c.checked).map(c => {
+            const chapter = chapters[Number(c.value)];
+            return { start: chapter.startPage, end: chapter.endPage, title: chapter.title };
+        }),
+        ...parsePageRanges(document.getElementById('page-ranges').value, info.pageCount),
+    ];
+
+    document.getElementById('btn-pages-back').addEventListener('click', detectAndRender);
+    document.getElementById('btn-pages-start').addEventListener('click', async () => {
+        let pageRanges;
+        try {
+            pageRanges = selectedRanges();
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+        if (pageRanges.length === 0) {
+            alert('Choose a chapter or enter the pages to upload.');
+            return;
+        }
+        const btn = document.getElementById('btn-pages-start');
+        btn.disabled = true;
+        btn.textContent = '⏳ Starting...';
+        if (!await sendStartMessage({
+            type: 'START_PIPELINE_FILE',
+            fileName: info.fileName,
+            fileKey: info.fileKey,
+            pageUrl: source.pageUrl || null,
+            sourceTitle: source.sourceTitle || uploadTitleFromFilename(info.fileName),
+            pageRanges,
+            sourcePerRange: document.getElementById('page-split').checked,
+            ...getRunOptions(),
+        })) return;
+        await showJobs();
+    });
+    initRunOptions();
+}
+
+function renderYoutubeDetection(data) {
+    const title = cleanDetectedTitle(data.sourceTitle);
+    contentEl.innerHTML = `
+    <div class="pdf-info">
+      <div class="label">Detected YouTube Video</div>
+      <div class="pdf-url">${escapeHtml(title || data.youtubeUrl)}</div>
+      <div class="pdf-source">${escapeHtml(data.youtubeUrl)}</div>
+    </div>
+    ${runOptionsHtml()}
+    <button class="btn-generate" id="btn-start">🎧 Generate Artifacts</button>`;
+    document.getElementById('btn-start').addEventListener('click', () => startPipeline(data.youtubeUrl, data.pageUrl, 'youtube', title));
+    initRunOptions();
 }
 
 function renderNoPdf() {
@@ -397,95 +1205,556 @@ function renderNoPdf() {
     <div class="no-pdf">
       <div class="icon">📄</div>
       No PDF detected on this page.<br>
-      <span style="font-size:11px; color:var(--text-dim)">You can still try importing this page URL directly.</span>
+      <span style="font-size:11px; color:var(--text-dim)">You can still try importing this page URL directly, or drop files here.</span>
     </div>
+    ${runOptionsHtml()}
     <button class="btn-generate" id="btn-start-url">Use Current Webpage URL</button>
-    <button class="btn-secondary" id="btn-upload-manual">Upload Local PDF</button>`;
+    <button class="btn-secondary" id="btn-start-text">Send Selected or Page Text</button>
+    <button class="btn-secondary" id="btn-upload-manual">Upload Local Files</button>`;
     document.getElementById('btn-start-url').addEventListener('click', startPipelineFromCurrentPageUrl);
-    document.getElementById('btn-upload-manual').addEventListener('click', () => promptForPdfUpload(null));
+    document.getElementById('btn-start-text').addEventListener('click', startPipelineFromPageText);
+    document.getElementById('btn-upload-manual').addEventListener('click', () => promptForFileUpload(null, true));
+    initRunOptions();
+}
+
+// =========================================================================
+// Target notebook picker
+// =========================================================================
+
+function runOptionsHtml() {
+    return `
+    <div class="run-options">
+      <div class="rule-match" id="rule-match" style="display:none"></div>
+      <span class="s-label">Settings profile</span>
+      <select id="run-profile" class="s-select" style="margin-bottom:8px">
+        <option value="">Default settings</option>
+      </select>
+      <span class="s-label">Target notebook</span>
+      <select id="target-notebook" class="s-select">
+        <option value="">➕ New notebook</option>
+      </select>
+      <div class="s-radio-group" id="artifact-scope-group" style="display:none">
+        <input class="s-radio-option" type="radio" name="artifactScope" id="as-new" value="new_source" checked><label
+          for="as-new">Artifacts from new source</label>
+        <input class="s-radio-option" type="radio" name="artifactScope" id="as-all" value="all_sources"><label
+          for="as-all">From all sources</label>
+      </div>
+    </div>`;
+}
+
+// Site rule matched by the current tab, applied to the run options below
+let matchedSiteRule = null;
+
+async function initRunOptions() {
+    const profileSelect = document.getElementById('run-profile');
+    const profiles = await getProfiles();
+    if (profileSelect && profiles.length > 0) {
+        profileSelect.insertAdjacentHTML('beforeend', profileOptionsHtml(profiles));
+    }
+
+    const select = document.getElementById('target-notebook');
+    if (!select) return;
+    select.addEventListener('change', () => {
+        const scopeGroup = document.getElementById('artifact-scope-group');
+        if (scopeGroup) scopeGroup.style.display = select.value ? 'flex' : 'none';
+    });
+
+    matchedSiteRule = await findSiteRuleForCurrentTab();
+    showSiteRuleMatch(matchedSiteRule, profiles);
+
+    const response = await chrome.runtime.sendMessage({ type: 'LIST_NOTEBOOKS' }).catch(() => null);
+    if (!response?.ok) {
+        const option = document.createElement('option');
+        option.disabled = true;
+        option.textContent = 'Could not load existing notebooks';
+        select.appendChild(option);
+    } else {
+        for (const notebook of response.notebooks) {
+            const option = document.createElement('option');
+            option.value = notebook.id;
+            option.dataset.title = notebook.title;
+            option.textContent = `${notebook.title} (${notebook.sourceCount} source${notebook.sourceCount !== 1 ? 's' : ''})`;
+            select.appendChild(option);
+        }
+    }
+
+    if (matchedSiteRule?.notebookId) {
+        if (![...select.options].some(option => option.value === matchedSiteRule.notebookId)) {
+            const option = document.createElement('option');
+            option.value = matchedSiteRule.notebookId;
+            option.dataset.title = matchedSiteRule.notebookTitle || '';
+            option.textContent = matchedSiteRule.notebookTitle || matchedSiteRule.notebookId;
+            select.appendChild(option);
+        }
+        select.value = matchedSiteRule.notebookId;
+        select.dispatchEvent(new Event('change'));
+    }
+}
+
+async function findSiteRuleForCurrentTab() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const response = await chrome.runtime.sendMessage({ type: 'MATCH_SITE_RULE', url: tab?.url || '' });
+        return response?.rule || null;
+    } catch (_) {
+        return null;
+    }
+}
+
+function showSiteRuleMatch(rule, profiles) {
+    const matchEl = document.getElementById('rule-match');
+    if (!matchEl || !rule) return;
+    matchEl.style.display = 'block';
+    if (rule.neverSend) {
+        matchEl.classList.add('blocked');
+        matchEl.textContent = `🚫 Site rule "${rule.pattern}": pages from this site are never sent.`;
+        contentEl.querySelectorAll('.btn-generate, [id^="btn-start"]').forEach(btn => { btn.disabled = true; });
+        return;
+    }
+    matchEl.textContent = `🌐 Site rule "${rule.pattern}": ${describeSiteRule(rule, profiles)}`;
+    const profileSelect = document.getElementById('run-profile');
+    if (profileSelect && profiles.some(p => p.id === rule.profileId)) {
+        profileSelect.value = rule.profileId;
+    }
+}
+
+// Message fields that pick the profile and the notebook chosen in the run options
+function getRunOptions() {
+    const options = {};
+    const profileId = document.getElementById('run-profile')?.value;
+    if (profileId) options.profileId = profileId;
+    // The rule's profile and notebook are preselected above; the user's
+    // final choice wins over the rule in the background.
+    if (matchedSiteRule) options.ruleResolved = true;
+
+    const select = document.getElementById('target-notebook');
+    if (!select?.value) return options;
+    return {
+        ...options,
+        targetNotebookId: select.value,
+        targetNotebookTitle: select.selectedOptions[0]?.dataset.title || null,
+        artifactScope: document.querySelector('input[name="artifactScope"]:checked')?.value || 'new_source',
+    };
+}
+
+// The run options a job was queued with, for sending its file again the same
+// way. Its site rule was applied then, so the rule is not consulted again.
+function runOptionsOfJob(job) {
+    const options = { ruleResolved: true };
+    if (job.profileId) options.profileId = job.profileId;
+    if (!job.reusedNotebook || !job.notebookId) return options;
+    return {
+        ...options,
+        targetNotebookId: job.notebookId,
+        targetNotebookTitle: job.notebookTitle || null,
+        artifactScope: job.artifactScope || 'new_source',
+    };
+}
+
+const JOB_STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Running',
+    duplicate: 'Already sent',
+    completed: 'Done',
+    error: 'Failed',
+};
+
+function isActiveJob(job) {
+    return job.status === 'queued' || job.status === 'running';
+}
+
+const NOTEBOOKLM_HOME_URL = 'https://notebook.google.com/';
+
+// What a failed job offers, keyed by the error code the background stored
+// with it (ErrorCode in notebooklm-api.js). Unlisted codes offer a retry.
+const ERROR_RECOVERY = {
+    AUTH_REQUIRED: {
+        hint: 'Not signed in to NotebookLM with the selected Google account.',
+        actions: ['sign_in', 'retry_job'],
+    },
+    NETWORK_ERROR: { hint: 'NotebookLM could not be reached.', actions: ['retry_job'] },
+    RATE_LIMITED: { hint: 'NotebookLM is limiting requests. Wait a few minutes, then retry.', actions: ['retry_job'] },
+    SERVER_ERROR: { hint: 'NotebookLM returned a server error.', actions: ['retry_job'] },
+    TRANSIENT_MUTATION_UNCERTAIN: {
+        hint: 'The request may have gone through. Check the notebook before retrying so nothing is added twice.',
+        actions: ['check_notebook', 'retry_job'],
+    },
+    SOURCE_RECOVERY_AMBIGUOUS: {
+        hint: 'More than one matching source appeared. Check the notebook before retrying.',
+        actions: ['check_notebook', 'retry_job'],
+    },
+    RECOVERY_AMBIGUOUS: {
+        hint: 'More than one matching notebook or artifact appeared. Check NotebookLM before retrying.',
+        actions: ['check_notebook', 'retry_job'],
+    },
+    SOURCE_BLOCKED: { hint: 'The source could not be fetched from its link.', actions: ['upload_file'] },
+    NOT_A_PDF: { hint: 'The link did not return a PDF file.', actions: ['upload_file'] },
+    UPLOAD_FAILED: { hint: 'The file upload did not finish.', actions: ['retry_job', 'upload_file'] },
+    SOURCE_FAILED: { hint: 'NotebookLM could not process this source.', actions: ['upload_file'] },
+    SOURCE_TIMEOUT: { hint: 'NotebookLM took too long to process this source.', actions: ['check_notebook', 'retry_job'] },
+};
+
+function recoveryActionsHtml(job) {
+    const recovery = ERROR_RECOVERY[job.errorCode] || { actions: ['retry_job'] };
+    const authQuery = job.authUser ? `?authuser=${job.authUser}` : '';
+    return recovery.actions.map(action => {
+        if (action === 'sign_in') {
+            return `<a class="btn-link" href="${NOTEBOOKLM_HOME_URL}${authQuery}" target="_blank">🔑 Sign in to NotebookLM</a>`;
+        }
+        if (action === 'check_notebook') {
+            const url = job.notebookUrl || `${NOTEBOOKLM_HOME_URL}${authQuery}`;
+            return `<a class="btn-link" href="${escapeHtml(url)}" target="_blank">📓 Open Notebook to Check for Duplicates</a>`;
+        }
+        if (action === 'upload_file' && !['webpage', 'text', 'youtube'].includes(job.sourceType)) {
+            const pageUrl = job.pageUrl || (/^https?:/i.test(job.pdfUrl || '') ? job.pdfUrl : '');
+            return `<button class="btn-link" data-action="upload_file" data-job-id="${job.id}" data-page-url="${escapeHtml(pageUrl)}">📤 Upload the File Instead</button>`;
+        }
+        if (action === 'retry_job' && job.canRetry) {
+            return `<button class="btn-link" data-action="retry_job" data-job-id="${job.id}">🔁 Retry Now</button>`;
+        }
+        return '';
+    }).join('');
 }
 
-function renderProgress(state) {
-    const currentStepIndex = STEPS.findIndex(s => s.keys.includes(state.step));
+// Shown above the detection screen so running jobs stay one click away.
+function renderJobsBanner(jobs) {
+    const bannerEl = document.getElementById('jobs-banner');
+    if (!bannerEl) return;
+    const activeCount = jobs.filter(isActiveJob).length;
+    if (jobs.length === 0) {
+        bannerEl.innerHTML = '';
+        return;
+    }
+    const waitingCount = jobs.filter(j => j.status === 'duplicate').length;
+    let label = `${jobs.length} finished job${jobs.length !== 1 ? 's' : ''}`;
+    if (activeCount > 0) {
+        label = `${activeCount} job${activeCount !== 1 ? 's' : ''} in progress`;
+    } else if (waitingCount > 0) {
+        label = `${waitingCount} job${waitingCount !== 1 ? 's' : ''} waiting for your choice`;
+    }
+    bannerEl.innerHTML = `<button class="btn-link" id="btn-view-jobs">📋 ${label} -- view</button>`;
+    document.getElementById('btn-view-jobs').addEventListener('click', showJobs);
+}
 
-    const stepsHtml = STEPS.map((step, idx) => {
+function renderJobSteps(job) {
+    const currentStepIndex = STEPS.findIndex(s => s.keys.includes(job.step));
+    return STEPS.map((step, idx) => {
         let cls = 'pending', content = idx + 1;
-        if (state.status === 'error' && idx === currentStepIndex) { cls = 'error'; content = '!'; }
-        else if (idx < currentStepIndex || state.step === 'done') { cls = 'done'; content = '✓'; }
+        if (job.status === 'error' && idx === currentStepIndex) { cls = 'error'; content = '!'; }
+        else if (idx < currentStepIndex || job.step === 'done') { cls = 'done'; content = '✓'; }
         else if (idx === currentStepIndex) { cls = 'active'; content = '●'; }
-        const detail = idx === currentStepIndex ? state.stepDetail : '';
-        return `
-      <div class="pipeline-step">
-        <div class="step-indicator ${cls}">${content}</div>
-        <div class="step-content">
-          <div class="step-name">${step.emoji} ${step.label}</div>
-          ${detail ? `<div class="step-detail">${escapeHtml(detail)}</div>` : ''}
-        </div>
-      </div>`;
+        return `<div class="step-indicator ${cls}" title="${step.label}">${content}</div>`;
     }).join('');
+}
 
-    const titleHtml = state.notebookTitle ? `
-    <div class="notebook-title-bar">
-      <span class="nb-icon">📓</span>
-      <div>
-        <div class="nb-label">Notebook title</div>
-        <div class="nb-title" title="${escapeHtml(state.notebookTitle)}">${escapeHtml(state.notebookTitle)}</div>
-      </div>
-    </div>` : '';
-
-    let bottomHtml = '';
-    if (state.notebookUrl) {
-        bottomHtml += `<a class="notebook-link" href="${state.notebookUrl}" target="_blank">📓 Open Notebook in NotebookLM</a>`;
-    }
-    if (state.status === 'completed') {
-        const tasks = state.tasks || [];
-        const totalCount = tasks.length;
+function renderJobCard(job) {
+    const currentStep = STEPS.find(s => s.keys.includes(job.step));
+    const title = job.notebookTitle || job.sourceTitle || job.pdfUrl || 'Untitled source';
+    const tasks = job.tasks || [];
+    const runMeta = [
+        job.profileName ? `Profile: ${job.profileName}` : '',
+        job.siteRulePattern ? `Site rule: ${job.siteRulePattern}` : '',
+    ].filter(Boolean).join(' · ');
+
+    let summaryHtml = '';
+    if (job.status === 'completed') {
         const completedCount = tasks.filter(t => t.status === 'completed').length;
         const failedCount = tasks.filter(t => t.status === 'failed').length;
-        const summaryMsg = failedCount > 0
-            ? `${completedCount}/${totalCount} artifacts ready (${failedCount} failed).`
-            : `${completedCount} artifact${completedCount !== 1 ? 's' : ''} ready!`;
-        bottomHtml += `
-      <div class="completed-box">
-        <div class="icon">🎉</div>
-        <div class="msg">${summaryMsg}</div>
-      </div>`;
+        const timedOutCount = tasks.filter(t => t.status === 'timed_out').length;
+        const missingText = [
+            failedCount > 0 ? `${failedCount} failed` : '',
+            timedOutCount > 0 ? `${timedOutCount} timed out` : '',
+        ].filter(Boolean).join(', ');
+        summaryHtml = missingText
+            ? `${completedCount}/${tasks.length} artifacts ready (${missingText}).`
+            : `🎉 ${completedCount} artifact${completedCount !== 1 ? 's' : ''} ready!`;
+    } else if (job.status === 'duplicate' && job.duplicateOf) {
+        const existing = job.duplicateOf;
+        const matchedBy = { content: 'same file', url: 'same link', notebook: 'found in notebook' }[existing.matchedBy] || '';
+        const sentOn = existing.sentAt ? new Date(existing.sentAt).toLocaleDateString() : '';
+        const artifactCount = (existing.artifactTypes || []).length;
+        summaryHtml = escapeHtml([
+            `In "${existing.notebookTitle || 'Untitled notebook'}"`,
+            sentOn ? `sent ${sentOn}` : '',
+            matchedBy,
+            artifactCount > 0 ? `${artifactCount} artifact${artifactCount !== 1 ? 's' : ''} there` : '',
+        ].filter(Boolean).join(' · '));
+    } else if (job.status === 'error' && ERROR_RECOVERY[job.errorCode]) {
+        summaryHtml = escapeHtml(ERROR_RECOVERY[job.errorCode].hint);
     }
-    if (state.status === 'running') {
-        bottomHtml += `<button class="btn-secondary" id="btn-abort">Stop Monitoring</button>`;
+
+    let actionsHtml = '';
+    if (job.status === 'duplicate') {
+        actionsHtml += `<button class="btn-link" data-action="duplicate_open" data-job-id="${job.id}">📓 Open Existing Notebook</button>`;
+        actionsHtml += `<button class="btn-link" data-action="duplicate_add_missing" data-job-id="${job.id}">➕ Add Missing Artifacts</button>`;
+        actionsHtml += `<button class="btn-link" data-action="duplicate_create" data-job-id="${job.id}">Create Anyway</button>`;
     }
-    if (state.status === 'error' || state.status === 'completed') {
-        bottomHtml += `<button class="btn-secondary" id="btn-reset">Start Over</button>`;
+    if (job.status === 'error') {
+        actionsHtml += recoveryActionsHtml(job);
     }
+    const checkingNotebook = job.status === 'error' &&
+        (ERROR_RECOVERY[job.errorCode]?.actions || []).includes('check_notebook');
+    if (job.notebookUrl && !checkingNotebook) {
+        actionsHtml += `<a class="btn-link" href="${job.notebookUrl}" target="_blank">📓 Open Notebook</a>`;
+    }
+    const hasDownloads = job.status === 'completed' &&
+        tasks.some(t => t.status === 'completed' && DOWNLOADABLE_ARTIFACT_TYPES.includes(t.type));
+    if (hasDownloads) {
+        actionsHtml += `<button class="btn-link" data-action="download" data-job-id="${job.id}">⬇️ Download Artifacts</button>`;
+    }
+    const canRetry = !isActiveJob(job) && job.notebookId && (job.sourceIds || []).length > 0 &&
+        tasks.some(t => t.status === 'failed');
+    if (canRetry) {
+        actionsHtml += `<button class="btn-link" data-action="retry" data-job-id="${job.id}">🔁 Retry Failed Artifacts</button>`;
+    }
+    if (!isActiveJob(job) && job.notebookId && tasks.some(t => t.status === 'timed_out')) {
+        actionsHtml += `<button class="btn-link" data-action="keep_waiting" data-job-id="${job.id}">⏳ Keep Waiting</button>`;
+    }
+    actionsHtml += isActiveJob(job)
+        ? `<button class="btn-link" data-action="abort" data-job-id="${job.id}">Stop</button>`
+        : `<button class="btn-link" data-action="dismiss" data-job-id="${job.id}">Dismiss</button>`;
+
+    return `
+    <div class="job-card ${job.status}">
+      <div class="job-header">
+        <span class="job-status ${job.status}">${JOB_STATUS_LABELS[job.status] || job.status}</span>
+        <span class="job-title" title="${escapeHtml(title)}">${escapeHtml(title)}</span>
+      </div>
+      ${runMeta ? `<div class="history-meta">${escapeHtml(runMeta)}</div>` : ''}
+      <div class="job-steps">${renderJobSteps(job)}</div>
+      ${currentStep && job.status === 'running' ? `<div class="step-name">${currentStep.emoji} ${currentStep.label}</div>` : ''}
+      ${job.stepDetail && job.status !== 'completed' ? `<div class="step-detail">${escapeHtml(job.stepDetail)}</div>` : ''}
+      ${summaryHtml ? `<div class="job-summary">${summaryHtml}</div>` : ''}
+      <div class="job-actions">${actionsHtml}</div>
+    </div>`;
+}
 
+function renderJobs(jobs) {
+    const runningCount = jobs.filter(j => j.status === 'running').length;
+    const queuedCount = jobs.filter(j => j.status === 'queued').length;
+    const waitingCount = jobs.filter(j => j.status === 'duplicate').length;
+    const hasFinished = jobs.some(j => !isActiveJob(j) && j.status !== 'duplicate');
+
+    renderJobsBanner([]);
     contentEl.innerHTML = `
     <div class="pdf-info" style="margin-bottom:10px;">
-      <div class="label">Processing Source</div>
-      <div class="pdf-url">${escapeHtml((state.pdfUrl || '').substring(0, 80))}</div>
+      <div class="label">Jobs</div>
+      <div class="pdf-url">${runningCount} running, ${queuedCount} queued, ${waitingCount ? `${waitingCount} waiting for you, ` : ''}${jobs.length - runningCount - queuedCount - waitingCount} finished</div>
     </div>
-    ${titleHtml}
-    <div class="pipeline">${stepsHtml}</div>
-    ${bottomHtml}`;
+    ${jobs.map(renderJobCard).join('')}
+    <button class="btn-secondary" id="btn-new-job">➕ Add Another Source</button>
+    ${hasFinished ? '<button class="btn-secondary" id="btn-clear-finished">Clear Finished Jobs</button>' : ''}`;
+
+    document.getElementById('btn-new-job').addEventListener('click', detectAndRender);
+    document.getElementById('btn-clear-finished')?.addEventListener('click', async () => {
+        await chrome.runtime.sendMessage({ type: 'CLEAR_FINISHED_JOBS' });
+        await showJobs();
+    });
+    contentEl.querySelectorAll('[data-action]').forEach(btn => {
+        btn.addEventListener('click', () => handleJobAction(btn));
+    });
+}
 
-    document.getElementById('btn-reset')?.addEventListener('click', async () => {
-        await chrome.runtime.sendMessage({ type: 'RESET_STATE' });
+async function handleJobAction(btn) {
+    const jobId = btn.dataset.jobId;
+    if (btn.dataset.action === 'download') {
+        await downloadArtifacts(jobId, btn);
+        return;
+    }
+    if (btn.dataset.action.startsWith('duplicate_')) {
+        btn.disabled = true;
+        const choice = btn.dataset.action.slice('duplicate_'.length);
+        const response = await chrome.runtime.sendMessage({ type: 'RESOLVE_DUPLICATE', jobId, choice });
+        if (!response?.ok) {
+            btn.disabled = false;
+            alert(response?.message || 'Could not continue this job.');
+            return;
+        }
+        const jobs = await getJobs();
+        if (jobs.length === 0) {
+            await detectAndRender();
+            return;
+        }
+        await showJobs();
+        return;
+    }
+    if (btn.dataset.action === 'upload_file') {
+        const job = (await getJobs()).find(j => j.id === jobId);
+        promptForFileUpload(btn.dataset.pageUrl || null, false, job ? runOptionsOfJob(job) : null);
+        return;
+    }
+    if (btn.dataset.action === 'retry' || btn.dataset.action === 'keep_waiting' || btn.dataset.action === 'retry_job') {
+        btn.disabled = true;
+        const type = {
+            retry: 'RETRY_FAILED_ARTIFACTS',
+            keep_waiting: 'KEEP_WAITING',
+            retry_job: 'RETRY_JOB',
+        }[btn.dataset.action];
+        const response = await chrome.runtime.sendMessage({ type, jobId });
+        if (!response?.ok) {
+            btn.disabled = false;
+            alert(response?.message || 'Could not resume this job.');
+            return;
+        }
+        await showJobs();
+        return;
+    }
+    // Stopping a job and dismissing a finished one both drop it from the list.
+    await chrome.runtime.sendMessage({ type: btn.dataset.action === 'abort' ? 'ABORT_PIPELINE' : 'REMOVE_JOB', jobId });
+    const jobs = await getJobs();
+    if (jobs.length === 0) {
         await detectAndRender();
+        return;
+    }
+    renderJobs(jobs);
+}
+
+async function showJobs() {
+    const jobs = await getJobs();
+    renderJobs(jobs);
+    if (jobs.some(isActiveJob)) startPolling();
+}
+
+// =========================================================================
+// History
+// =========================================================================
+
+let historyOpen = false;
+let historyEntries = [];
+
+document.getElementById('btn-history').addEventListener('click', async () => {
+    if (historyOpen) {
+        await closeHistory();
+        return;
+    }
+    historyOpen = true;
+    document.getElementById('btn-history').classList.add('active');
+    stopPolling();
+    renderJobsBanner([]);
+    const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' });
+    historyEntries = response?.entries || [];
+    renderHistory();
+});
+
+async function closeHistory() {
+    historyOpen = false;
+    document.getElementById('btn-history').classList.remove('active');
+    await init();
+}
+
+function formatDuration(ms) {
+    if (!Number.isFinite(ms) || ms <= 0) return '';
+    const minutes = Math.round(ms / 60000);
+    return minutes < 1 ? '<1 min' : `${minutes} min`;
+}
+
+function renderHistoryEntry(entry) {
+    const title = entry.notebookTitle || entry.sourceTitle || entry.sourceUrl || 'Untitled source';
+    const finishedAt = entry.completedAt ? new Date(entry.completedAt).toLocaleString() : '';
+    const duration = formatDuration(entry.durationMs);
+    const artifacts = (entry.artifacts || [])
+        .map(a => `${a.type} ${{ completed: '✓', timed_out: '⏱' }[a.status] || '✗'}`)
+        .join(', ');
+    const sourceIsLink = /^https?:\/\//i.test(entry.sourceUrl || '');
+
+    let actionsHtml = '';
+    if (entry.notebookUrl) {
+        actionsHtml += `<a class="btn-link" href="${entry.notebookUrl}" target="_blank">📓 Reopen Notebook</a>`;
+    }
+    if (sourceIsLink) {
+        actionsHtml += `<a class="btn-link" href="${escapeHtml(entry.sourceUrl)}" target="_blank">🔗 Source</a>`;
+    }
+    actionsHtml += `<button class="btn-link" data-history-id="${escapeHtml(entry.id)}">Delete</button>`;
+
+    return `
+    <div class="job-card ${entry.status}">
+      <div class="job-header">
+        <span class="job-status ${entry.status}">${JOB_STATUS_LABELS[entry.status] || entry.status}</span>
+        <span class="job-title" title="${escapeHtml(title)}">${escapeHtml(title)}</span>
+      </div>
+      <div class="history-meta">${escapeHtml([finishedAt, duration].filter(Boolean).join(' · '))}</div>
+      ${artifacts ? `<div class="history-meta">${escapeHtml(artifacts)}</div>` : ''}
+      ${entry.error ? `<div class="step-detail">${escapeHtml(entry.error)}</div>` : ''}
+      <div class="job-actions">${actionsHtml}</div>
+    </div>`;
+}
+
+function renderHistoryList() {
+    const listEl = document.getElementById('history-list');
+    if (!listEl) return;
+    const query = (document.getElementById('history-search')?.value || '').trim().toLowerCase();
+    const matches = historyEntries.filter(entry => !query || [
+        entry.notebookTitle, entry.sourceTitle, entry.sourceUrl, entry.pageUrl,
+    ].some(value => typeof value === 'string' && value.toLowerCase().includes(query)));
+
+    listEl.innerHTML = matches.length > 0
+        ? matches.map(renderHistoryEntry).join('')
+        : `<div class="no-pdf">${historyEntries.length > 0 ? 'No matching notebooks.' : 'No finished runs yet.'}</div>`;
+
+    listEl.querySelectorAll('[data-history-id]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await chrome.runtime.sendMessage({ type: 'DELETE_HISTORY_ENTRY', entryId: btn.dataset.historyId });
+            historyEntries = historyEntries.filter(entry => entry.id !== btn.dataset.historyId);
+            renderHistoryList();
+        });
     });
-    document.getElementById('btn-abort')?.addEventListener('click', abortPipeline);
+}
+
+function renderHistory() {
+    contentEl.innerHTML = `
+    <input type="search" class="history-search" id="history-search" placeholder="Search by title or URL">
+    <div class="history-list" id="history-list"></div>
+    <button class="btn-secondary" id="btn-history-back">← Back</button>`;
+
+    document.getElementById('history-search').addEventListener('input', renderHistoryList);
+    document.getElementById('btn-history-back').addEventListener('click', closeHistory);
+    renderHistoryList();
 }
 
 // =========================================================================
 // Pipeline control
 // =========================================================================
 
-async function startPipeline(pdfUrl, pageUrl, sourceType = 'pdf', sourceTitle = null) {
+// Authors and publication date of the active tab for prompt variables, when
+// the source being sent is that tab.
+async function readSourceMetadata(pageUrl) {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.id || !pageUrl || tab.url !== pageUrl) return null;
+        await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content.js'] });
+        return await chrome.tabs.sendMessage(tab.id, { type: 'REQUEST_SOURCE_METADATA' });
+    } catch (_) {
+        return null;
+    }
+}
+
+// Start messages are answered once the job is queued. Returns false when the
+// background refused the run (e.g. a never-send site rule); the reason goes
+// to onRefused when given, instead of an alert.
+async function sendStartMessage(message, onRefused = null) {
+    const sourceMetadata = await readSourceMetadata(message.pageUrl);
+    const response = await chrome.runtime.sendMessage({ ...message, sourceMetadata });
+    if (response?.ok === false) {
+        const reason = response.message || 'Could not start the pipeline.';
+        if (onRefused) {
+            onRefused(reason);
+            return false;
+        }
+        alert(reason);
+        await detectAndRender();
+        return false;
+    }
+    return true;
+}
+
+async function startPipeline(pdfUrl, pageUrl, sourceType = 'pdf', sourceTitle = null, sourceUrls = null) {
     const btn = document.getElementById('btn-start') || document.getElementById('btn-start-url');
     if (btn) { btn.disabled = true; btn.textContent = '⏳ Starting...'; }
-    await chrome.runtime.sendMessage({ type: 'START_PIPELINE', pdfUrl, pageUrl, sourceType, sourceTitle });
-    await new Promise(r => setTimeout(r, 300));
-    const state = await getState();
-    renderProgress(state);
-    startPolling();
+    if (!await sendStartMessage({
+        type: 'START_PIPELINE', pdfUrl, pageUrl, sourceType, sourceTitle, sourceUrls,
+        ...getRunOptions(),
+    })) return;
+    await showJobs();
 }
 
 async function startPipelineFromCurrentPageUrl() {
@@ -507,40 +1776,132 @@ async function startPipelineFromCurrentPageUrl() {
     }
 }
 
-async function abortPipeline() {
-    await chrome.runtime.sendMessage({ type: 'ABORT_PIPELINE' });
-    stopPolling();
-    await detectAndRender();
+// Capture exactly what the user sees: the current selection, or the main
+// article text when nothing is selected. Works behind logins and paywalls
+// where NotebookLM's URL fetcher would only see a sign-in wall.
+async function capturePageText(tab) {
+    const injected = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => {
+            const selection = String(window.getSelection?.() || '').trim();
+            if (selection) return { kind: 'selection', text: selection };
+            const root = document.querySelector('article')
+                || document.querySelector('main')
+                || document.querySelector('[role="main"]')
+                || document.body;
+            const text = (root?.innerText || '').replace(/\n{3,}/g, '\n\n').trim();
+            return { kind: 'page', text };
+        },
+    });
+    return injected?.[0]?.result || null;
+}
+
+async function startPipelineFromPageText() {
+    const btn = document.getElementById('btn-start-text');
+    if (btn) { btn.disabled = true; btn.textContent = 'Capturing text...'; }
+
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.id || !/^https?:\/\//i.test(tab.url || '')) {
+            throw new Error('Current tab is not an http(s) webpage.');
+        }
+        const captured = await capturePageText(tab);
+        if (!captured?.text || captured.text.length < 20) {
+            throw new Error('No readable text was found on this page.');
+        }
+        const pageTitle = await detectSourceTitleFromTab(tab);
+        const sourceTitle = captured.kind === 'selection' && pageTitle
+            ? `${pageTitle} (selection)`
+            : pageTitle;
+
+        if (!await sendStartMessage({
+            type: 'START_PIPELINE',
+            pdfUrl: tab.url,
+            pageUrl: tab.url,
+            sourceType: 'text',
+            sourceTitle,
+            sourceText: captured.text,
+            ...getRunOptions(),
+        })) return;
+        await showJobs();
+    } catch (err) {
+        console.warn('[Popup] Could not start text pipeline:', err?.message || err);
+        if (btn) { btn.disabled = false; btn.textContent = 'Send Selected or Page Text'; }
+        alert(err?.message || 'Could not capture text from this page.');
+    }
+}
+
+async function downloadArtifacts(jobId, btn) {
+    if (btn) { btn.disabled = true; btn.textContent = '⏳ Downloading...'; }
+    const response = await chrome.runtime.sendMessage({ type: 'DOWNLOAD_ARTIFACTS', jobId });
+    if (!response?.ok) {
+        if (btn) { btn.disabled = false; btn.textContent = '⬇️ Download Artifacts'; }
+        alert(response?.message || 'Could not download artifacts.');
+        return;
+    }
+    const fileLabel = response.downloaded === 1 ? '1 file' : `${response.downloaded} files`;
+    if (btn) {
+        btn.disabled = false;
+        btn.textContent = response.failures.length > 0
+            ? `⬇️ Saved ${fileLabel} (${response.failures.length} failed) -- retry`
+            : `✓ Saved ${fileLabel} to Downloads`;
+    }
+}
+
+// Extensions offered by the file picker. The background decides the actual
+// type from the file's content and rejects anything NotebookLM cannot read.
+const UPLOAD_ACCEPT = '.pdf,.docx,.txt,.md,.markdown,.epub,.png,.jpg,.jpeg,.gif,.webp,.mp3,.wav,.m4a,.aac,.ogg,.flac';
+
+function uploadTitleFromFilename(name) {
+    return cleanDetectedTitle(String(name || '').replace(/\.[a-z0-9]+$/i, ''));
 }
 
-async function startPipelineFile(file, pageUrl, sourceTitle = null) {
+// runOptions default to the choices in the popup (see getRunOptions).
+async function startPipelineFile(file, pageUrl, sourceTitle = null, runOptions = null) {
     const btn = document.getElementById('btn-upload-start') || document.getElementById('btn-upload-manual');
     if (btn) { btn.disabled = true; btn.textContent = 'Uploading...'; }
-    const fileDataBase64 = await readFileAsBase64(file);
-    await chrome.runtime.sendMessage({
+    const fileKey = await storeUploadFile(file);
+    if (!await sendStartMessage({
         type: 'START_PIPELINE_FILE',
-        fileName: file.name || 'local-upload.pdf',
-        mimeType: file.type || 'application/pdf',
-        fileDataBase64, pageUrl,
-        sourceTitle: sourceTitle || cleanDetectedTitle(file.name.replace(/\.pdf$/i, '')),
-    });
-    await new Promise(r => setTimeout(r, 300));
-    const state = await getState();
-    renderProgress(state);
-    startPolling();
-}
-
-function blobToBase64(blob) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => {
-            const result = String(reader.result || '');
-            const commaIdx = result.indexOf(',');
-            resolve(commaIdx >= 0 ? result.substring(commaIdx + 1) : result);
-        };
-        reader.onerror = () => reject(reader.error || new Error('Failed to read PDF blob'));
-        reader.readAsDataURL(blob);
-    });
+        fileName: file.name || 'local-upload',
+        fileKey, pageUrl,
+        sourceTitle: sourceTitle || uploadTitleFromFilename(file.name),
+        ...(runOptions || getRunOptions()),
+    })) return;
+    await showJobs();
+}
+
+// One job per file, each in its own notebook unless a target notebook is
+// chosen. Files the background rejects are listed together afterwards.
+async function startPipelineFiles(files, pageUrl, runOptions = null) {
+    if (files.length === 1) return startPipelineFile(files[0], pageUrl, null, runOptions);
+    const btn = document.getElementById('btn-upload-manual');
+    if (btn) { btn.disabled = true; btn.textContent = `Uploading ${files.length} files...`; }
+    const options = runOptions || getRunOptions();
+    const failures = [];
+    for (const file of files) {
+        const fileKey = await storeUploadFile(file);
+        await sendStartMessage({
+            type: 'START_PIPELINE_FILE',
+            fileName: file.name || 'local-upload',
+            fileKey, pageUrl,
+            sourceTitle: uploadTitleFromFilename(file.name),
+            ...options,
+        }, reason => failures.push(`${file.name}: ${reason}`));
+    }
+    if (failures.length > 0) {
+        alert(`${failures.length} of ${files.length} files were not queued:\n${failures.join('\n')}`);
+    }
+    if (failures.length === files.length) {
+        await detectAndRender();
+        return;
+    }
+    await showJobs();
+}
+
+function base64ToBlob(base64, mimeType) {
+    const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    return new Blob([bytes], { type: mimeType || 'application/pdf' });
 }
 
 function filenameFromUrl(url) {
@@ -622,10 +1983,9 @@ async function tryDirectTabPdfRead(tab) {
         if (!looksLikePdf) {
             return { ok: false, error: 'Current tab content is not a PDF' };
         }
-        const fileDataBase64 = await blobToBase64(blob);
         return {
             ok: true,
-            fileDataBase64,
+            blob,
             fileName: filenameFromUrl(sourceUrl),
             mimeType,
             sourceUrl,
@@ -643,120 +2003,143 @@ async function startPipelineFromCurrentTabPdf(pageUrl) {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
         if (!tab?.id) throw new Error('No active tab');
         const sourceTitle = await detectSourceTitleFromTab(tab);
-
-        let payload = await tryDirectTabPdfRead(tab);
-
-        // Fallback path for pages where URL doesn't expose the actual PDF.
-        if (!payload?.ok || !payload.fileDataBase64) {
-            const injected = await chrome.scripting.executeScript({
-                target: { tabId: tab.id },
-                func: async () => {
-                    const pickCandidateUrl = () => {
-                        const embed = document.querySelector('embed[type="application/pdf"]');
-                        if (embed?.src) return embed.src;
-                        const iframePdf = document.querySelector('iframe[src*=".pdf"]');
-                        if (iframePdf?.src) return iframePdf.src;
-                        return window.location.href;
-                    };
-
-                    const toBase64 = (blob) => new Promise((resolve, reject) => {
-                        const reader = new FileReader();
-                        reader.onload = () => {
-                            const result = String(reader.result || '');
-                            const commaIdx = result.indexOf(',');
-                            resolve(commaIdx >= 0 ? result.substring(commaIdx + 1) : result);
-                        };
-                        reader.onerror = () => reject(reader.error || new Error('Failed to read PDF blob'));
-                        reader.readAsDataURL(blob);
-                    });
-
-                    const filenameFromUrl = (url) => {
-                        try {
-                            const u = new URL(url, window.location.href);
-                            const raw = u.pathname.split('/').pop() || '';
-                            const decoded = decodeURIComponent(raw);
-                            if (decoded && /\.pdf$/i.test(decoded)) return decoded;
-                        } catch (_) { /* ignore */ }
-                        return 'local-upload.pdf';
-                    };
-
-                    const sourceUrl = pickCandidateUrl();
-                    try {
-                        const response = await fetch(sourceUrl, { credentials: 'include' });
-                        if (!response.ok) {
-                            return { ok: false, error: `HTTP ${response.status}` };
-                        }
-                        const blob = await response.blob();
-                        const mimeType = blob.type || 'application/pdf';
-                        const looksLikePdf = /pdf/i.test(mimeType) || /\.pdf(\?|#|$)/i.test(sourceUrl);
-                        if (!looksLikePdf) {
-                            return { ok: false, error: 'Current tab content is not a PDF' };
-                        }
-                        const fileDataBase64 = await toBase64(blob);
-                        return {
-                            ok: true,
-                            fileDataBase64,
-                            fileName: filenameFromUrl(sourceUrl),
-                            mimeType,
-                            sourceUrl,
-                        };
-                    } catch (e) {
-                        return { ok: false, error: e?.message || 'Could not read current PDF from tab' };
-                    }
-                },
-            });
-            payload = injected?.[0]?.result;
-        }
-
-        if (!payload?.ok || !payload.fileDataBase64) {
-            if (payload?.error === 'FILE_ACCESS_DISABLED') {
-                showFileAccessHint();
-            }
-            throw new Error(payload?.error || 'Could not read current PDF from tab');
-        }
+        const payload = await readCurrentTabPdf(tab);
 
         if (btn) { btn.textContent = 'Uploading...'; }
-        await chrome.runtime.sendMessage({
+        const fileKey = await storeUploadFile(payload.blob);
+        if (!await sendStartMessage({
             type: 'START_PIPELINE_FILE',
             fileName: payload.fileName || 'local-upload.pdf',
-            mimeType: payload.mimeType || 'application/pdf',
-            fileDataBase64: payload.fileDataBase64,
+            fileKey,
             pageUrl: pageUrl || payload.sourceUrl || null,
             sourceTitle,
-        });
-        await new Promise(r => setTimeout(r, 300));
-        const state = await getState();
-        renderProgress(state);
-        startPolling();
+            ...getRunOptions(),
+        })) return;
+        await showJobs();
     } catch (err) {
         console.warn('[Popup] Direct local PDF read failed, falling back to file picker:', err?.message || err);
         if (btn) { btn.disabled = false; btn.textContent = 'Use Current PDF and Generate'; }
-        promptForPdfUpload(pageUrl);
+        promptForFileUpload(pageUrl);
+    }
+}
+
+// The PDF open in `tab` as { blob, fileName, mimeType, sourceUrl }; throws
+// when neither the extension nor the page itself can read it.
+async function readCurrentTabPdf(tab) {
+    let payload = await tryDirectTabPdfRead(tab);
+
+    // Fallback path for pages where URL doesn't expose the actual PDF.
+    // The injected script can only return serializable data, so base64.
+    if (!payload?.ok || !payload.blob) {
+        const injected = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: async () => {
+                const pickCandidateUrl = () => {
+                    const embed = document.querySelector('embed[type="application/pdf"]');
+                    if (embed?.src) return embed.src;
+                    const iframePdf = document.querySelector('iframe[src*=".pdf"]');
+                    if (iframePdf?.src) return iframePdf.src;
+                    return window.location.href;
+                };
+
+                const toBase64 = (blob) => new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => {
+                        const result = String(reader.result || '');
+                        const commaIdx = result.indexOf(',');
+                        resolve(commaIdx >= 0 ? result.substring(commaIdx + 1) : result);
+                    };
+                    reader.onerror = () => reject(reader.error || new Error('Failed to read PDF blob'));
+                    reader.readAsDataURL(blob);
+                });
+
+                const filenameFromUrl = (url) => {
+                    try {
+                        const u = new URL(url, window.location.href);
+                        const raw = u.pathname.split('/').pop() || '';
+                        const decoded = decodeURIComponent(raw);
+                        if (decoded && /\.pdf$/i.test(decoded)) return decoded;
+                    } catch (_) { /* ignore */ }
+                    return 'local-upload.pdf';
+                };
+
+                const sourceUrl = pickCandidateUrl();
+                try {
+                    const response = await fetch(sourceUrl, { credentials: 'include' });
+                    if (!response.ok) {
+                        return { ok: false, error: `HTTP ${response.status}` };
+                    }
+                    const blob = await response.blob();
+                    const mimeType = blob.type || 'application/pdf';
+                    const looksLikePdf = /pdf/i.test(mimeType) || /\.pdf(\?|#|$)/i.test(sourceUrl);
+                    if (!looksLikePdf) {
+                        return { ok: false, error: 'Current tab content is not a PDF' };
+                    }
+                    const fileDataBase64 = await toBase64(blob);
+                    return {
+                        ok: true,
+                        fileDataBase64,
+                        fileName: filenameFromUrl(sourceUrl),
+                        mimeType,
+                        sourceUrl,
+                    };
+                } catch (e) {
+                    return { ok: false, error: e?.message || 'Could not read current PDF from tab' };
+                }
+            },
+        });
+        payload = injected?.[0]?.result;
+        if (payload?.ok && payload.fileDataBase64) {
+            payload.blob = base64ToBlob(payload.fileDataBase64, payload.mimeType);
+        }
     }
+
+    if (!payload?.ok || !payload.blob) {
+        if (payload?.error === 'FILE_ACCESS_DISABLED') {
+            showFileAccessHint();
+        }
+        throw new Error(payload?.error || 'Could not read current PDF from tab');
+    }
+    return payload;
 }
 
-function promptForPdfUpload(pageUrl) {
+function promptForFileUpload(pageUrl, multiple = false, runOptions = null) {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.pdf,application/pdf';
+    input.accept = UPLOAD_ACCEPT;
+    input.multiple = multiple;
     input.addEventListener('change', async () => {
-        const file = input.files && input.files[0];
-        if (!file) return;
-        await startPipelineFile(file, pageUrl);
+        const files = [...(input.files || [])];
+        if (files.length === 0) return;
+        await startPipelineFiles(files, pageUrl, runOptions);
     });
     input.click();
 }
 
-function readFileAsBase64(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => {
-            const result = String(reader.result || '');
-            const commaIdx = result.indexOf(',');
-            resolve(commaIdx >= 0 ? result.substring(commaIdx + 1) : result);
-        };
-        reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
-        reader.readAsDataURL(file);
+// Files dropped anywhere on the popup are uploaded like picked ones.
+function initFileDrop() {
+    const hasFiles = e => [...(e.dataTransfer?.types || [])].includes('Files');
+    let depth = 0;
+    document.addEventListener('dragenter', e => {
+        if (!hasFiles(e)) return;
+        depth++;
+        document.body.classList.add('drop-active');
+    });
+    document.addEventListener('dragleave', e => {
+        if (!hasFiles(e) || --depth > 0) return;
+        depth = 0;
+        document.body.classList.remove('drop-active');
+    });
+    document.addEventListener('dragover', e => {
+        if (hasFiles(e)) e.preventDefault();
+    });
+    document.addEventListener('drop', e => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        depth = 0;
+        document.body.classList.remove('drop-active');
+        const files = [...e.dataTransfer.files];
+        if (files.length > 0) startPipelineFiles(files, null);
     });
 }
 
@@ -767,17 +2150,24 @@ function readFileAsBase64(file) {
 let pollInterval = null;
 let pollInFlight = false;
 let pollingEnabled = false;
+let lastRenderedJobs = '';
 
 function startPolling() {
     if (pollingEnabled) return;
     pollingEnabled = true;
+    lastRenderedJobs = '';
     const tick = async () => {
         if (!pollingEnabled || pollInFlight) return;
         pollInFlight = true;
         try {
-            const state = await getState();
-            renderProgress(state);
-            if (state.status !== 'running') {
+            const jobs = await getJobs();
+            // Re-render only on change so button feedback (e.g. downloads) survives ticks.
+            const serialized = JSON.stringify(jobs);
+            if (serialized !== lastRenderedJobs) {
+                lastRenderedJobs = serialized;
+                renderJobs(jobs);
+            }
+            if (!jobs.some(isActiveJob)) {
                 stopPolling();
                 return;
             }
@@ -804,10 +2194,10 @@ function stopPolling() {
     pollInFlight = false;
 }
 
-async function getState() {
+async function getJobs() {
     return new Promise(resolve => {
-        chrome.runtime.sendMessage({ type: 'GET_STATE' }, response => {
-            resolve(response || { status: 'idle' });
+        chrome.runtime.sendMessage({ type: 'GET_JOBS' }, response => {
+            resolve(response?.jobs || []);
         });
     });
 }
@@ -824,4 +2214,5 @@ function escapeHtml(str) {
 
 window.addEventListener('unload', stopPolling);
 
+initFileDrop();
 init();
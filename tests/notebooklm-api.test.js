@@ -4,9 +4,13 @@ import assert from 'node:assert/strict';
 import {
   __testing,
   addFileSource,
+  addTextSource,
   addUrlSource,
+  addYoutubeSource,
   ArtifactStatus,
   createNotebook,
+  ErrorCode,
+  extractYoutubeVideoId,
   fetchTokens,
   generateAudio,
   generateDataTable,
@@ -16,14 +20,18 @@ import {
   generateReport,
   generateSlideDeck,
   generateVideo,
+  getArtifactMedia,
   getNotebookUrl,
   InfographicDetail,
   InfographicOrientation,
   InfographicStyle,
+  listAccounts,
   listArtifactStatuses,
+  listNotebooks,
   listSources,
   QuizDifficulty,
   QuizQuantity,
+  setAuthUser,
   VideoFormat,
   VideoStyle,
 } from '../notebooklm-api.js';
@@ -58,6 +66,10 @@ function decodeRpcParams(options) {
   return JSON.parse(request[0][0][1]);
 }
 
+function rpcMethodId(url) {
+  return new URL(url).searchParams.get('rpcids');
+}
+
 function sourceRow(id, url) {
   return [[id], url, [null, null, null, null, null, null, null, [url]], [null, 2]];
 }
@@ -75,6 +87,7 @@ function reset() {
   __testing.resetTokens();
   __testing.setRetrySleep(async () => {});
   __testing.setMutationTimeout(15000);
+  __testing.setUploadChunkSize(null);
 }
 
 test.beforeEach(reset);
@@ -178,10 +191,78 @@ test('authentication falls back to the supported legacy host', async () => {
   assert.equal(getNotebookUrl('notebook-id'), 'https://notebooklm.google.com/notebook/notebook-id');
 });
 
+test('account discovery lists signed-in accounts with their authuser index', async () => {
+  installFetch(url => {
+    assert.match(url, /^https:\/\/accounts\.google\.com\/ListAccounts/);
+    return mockResponse({
+      body: JSON.stringify(['gaia.l.a.r', [
+        ['gaia.l.a', 1, 'Personal Name', 'me@gmail.com', 'https://photo', 1, 1, 0],
+        // Signed out: still listed, but without an authuser index.
+        ['gaia.l.a', 1, 'Old Name', 'old@gmail.com', 'https://photo', 1, 0, null],
+        ['gaia.l.a', 1, 'Work Name', 'me@work.example', 'https://photo', 1, 1, 1],
+      ]]),
+    });
+  });
+
+  assert.deepEqual(await listAccounts(), [
+    { authUser: 0, email: 'me@gmail.com', name: 'Personal Name' },
+    { authUser: 1, email: 'me@work.example', name: 'Work Name' },
+  ]);
+});
+
+test('the selected authuser reaches tokens, batchexecute, uploads and notebook URLs', async () => {
+  setAuthUser(2);
+  const calls = installFetch(url => {
+    if (url === 'https://notebook.google.com/?authuser=2') return tokenResponse('csrf-token', url);
+    if (url.includes('batchexecute')) {
+      if (rpcMethodId(url) === __testing.RPCMethod.GET_NOTEBOOK) {
+        return rpcResponse(__testing.RPCMethod.GET_NOTEBOOK, [[null, []]]);
+      }
+      return rpcResponse(__testing.RPCMethod.ADD_SOURCE_FILE, [['source-id-12345']]);
+    }
+    if (url.startsWith('https://notebook.google.com/upload/_/')) {
+      return mockResponse({ headers: { 'x-goog-upload-url': 'https://upload.example/finalize' } });
+    }
+    if (url === 'https://upload.example/finalize') return mockResponse();
+    throw new Error(`Unexpected URL ${url}`);
+  });
+
+  await addFileSource('notebook-id-12345', 'paper.pdf', [1, 2, 3], 'application/pdf');
+  const rpcCall = calls.find(call => call.url.includes('batchexecute'));
+  assert.equal(new URL(rpcCall.url).searchParams.get('authuser'), '2');
+  const uploadCalls = calls.filter(call => call.url.includes('upload'));
+  assert.equal(uploadCalls[0].url, 'https://notebook.google.com/upload/_/?authuser=2');
+  for (const call of uploadCalls) {
+    assert.equal(call.options.headers['x-goog-authuser'], '2');
+  }
+  assert.equal(getNotebookUrl('notebook-id'), 'https://notebook.google.com/notebook/notebook-id?authuser=2');
+});
+
+test('switching accounts discards the cached session tokens', async () => {
+  let homepageCalls = 0;
+  installFetch(url => {
+    if (url.startsWith('https://notebook.google.com/?') || url === 'https://notebook.google.com/') {
+      homepageCalls++;
+      return tokenResponse(`csrf-${homepageCalls}`, url);
+    }
+    return rpcResponse(__testing.RPCMethod.GET_NOTEBOOK, [[null, []]]);
+  });
+
+  await listSources('notebook-id-12345');
+  setAuthUser(0);
+  await listSources('notebook-id-12345');
+  setAuthUser(1);
+  await listSources('notebook-id-12345');
+  assert.equal(homepageCalls, 2);
+});
+
 test('notebook creation uses the migrated template block', async () => {
   let params;
   installFetch((url, options) => {
     if (url.endsWith('/')) return tokenResponse();
+    if (rpcMethodId(url) === __testing.RPCMethod.LIST_NOTEBOOKS) {
+      return rpcResponse(__testing.RPCMethod.LIST_NOTEBOOKS, [[]]);
+    }
     params = decodeRpcParams(options);
     return rpcResponse(__testing.RPCMethod.CREATE_NOTEBOOK, [['notebook-id-12345']]);
   });
@@ -191,6 +272,29 @@ test('notebook creation uses the migrated template block', async () => {
   assert.deepEqual(params, ['Compatibility test', null, null, __testing.requestTemplateOptions()]);
 });
 
+test('notebook listing parses titles, source counts and recency', async () => {
+  let params;
+  installFetch((url, options) => {
+    if (url.endsWith('/')) return tokenResponse();
+    assert.equal(new URL(url).searchParams.get('rpcids'), __testing.RPCMethod.LIST_NOTEBOOKS);
+    params = decodeRpcParams(options);
+    return rpcResponse(__testing.RPCMethod.LIST_NOTEBOOKS, [[
+      ['Older notebook', [['a'], ['b']], 'notebook-id-older', null, null, [null, null, null, null, null, [1700000000]]],
+      ['thought\nNewer notebook', null, 'notebook-id-newer', null, null, [null, null, null, null, null, [1800000000]]],
+      ['', [], 'notebook-id-untitled'],
+      ['No id'],
+    ]]);
+  });
+
+  const notebooks = await listNotebooks();
+  assert.deepEqual(params, [null, 1, null, [2]]);
+  assert.deepEqual(notebooks, [
+    { id: 'notebook-id-newer', title: 'Newer notebook', sourceCount: 0, createdAt: 1800000000000 },
+    { id: 'notebook-id-older', title: 'Older notebook', sourceCount: 2, createdAt: 1700000000000 },
+    { id: 'notebook-id-untitled', title: 'Untitled notebook', sourceCount: 0, createdAt: null },
+  ]);
+});
+
 test('URL source addition uses the migrated source spec and template block', async () => {
   let params;
   installFetch((url, options) => {
@@ -336,6 +440,210 @@ test('URL source recovery refuses an ambiguous set of new matches', async () =>
   assert.equal(getNotebookCalls, 2);
 });
 
+test('YouTube sources use the video slot with a canonical watch URL', async () => {
+  const captured = [];
+  installFetch((url, options) => {
+    if (url.endsWith('/')) return tokenResponse();
+    const methodId = new URL(url).searchParams.get('rpcids');
+    if (methodId === __testing.RPCMethod.GET_NOTEBOOK) {
+      return rpcResponse(__testing.RPCMethod.GET_NOTEBOOK, [[null, []]]);
+    }
+    captured.push(decodeRpcParams(options));
+    return rpcResponse(__testing.RPCMethod.ADD_SOURCE, [['source-id-12345']]);
+  });
+
+  await addYoutubeSource('notebook-id-12345', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123&index=4');
+  await addYoutubeSource('notebook-id-12345', 'https://youtu.be/dQw4w9WgXcQ?t=42');
+  await addYoutubeSource('notebook-id-12345', 'https://m.youtube.com/shorts/dQw4w9WgXcQ');
+
+  for (const params of captured) {
+    assert.deepEqual(params, [
+      [[null, null, null, null, null, null, null, ['https://www.youtube.com/watch?v=dQw4w9WgXcQ'], null, null, 1]],
+      'notebook-id-12345',
+      __testing.requestTemplateOptions(),
+    ]);
+  }
+  await assert.rejects(
+    () => addYoutubeSource('notebook-id-12345', 'https://www.youtube.com/feed/subscriptions'),
+    /Not a YouTube video URL/
+  );
+});
+
+test('YouTube video IDs are read from every video URL form', () => {
+  for (const url of [
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    'https://m.youtube.com/watch?feature=share&v=dQw4w9WgXcQ',
+    'https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123',
+    'https://www.youtube.com/shorts/dQw4w9WgXcQ',
+    'https://www.youtube.com/live/dQw4w9WgXcQ?si=abc',
+    'https://www.youtube.com/embed/dQw4w9WgXcQ',
+    'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ',
+    'https://youtu.be/dQw4w9WgXcQ?t=42',
+  ]) {
+    assert.equal(extractYoutubeVideoId(url), 'dQw4w9WgXcQ', url);
+  }
+  for (const url of [
+    'https://www.youtube.com/feed/subscriptions',
+    'https://www.youtube.com/playlist?list=PL123',
+    'https://www.youtube.com/watch?v=tooShort',
+    'https://example.com/watch?v=dQw4w9WgXcQ',
+    'not a url',
+  ]) {
+    assert.equal(extractYoutubeVideoId(url), null, url);
+  }
+});
+
+test('text source addition sends the title and content in the pasted-text slot', async () => {
+  let params;
+  installFetch((url, options) => {
+    if (url.endsWith('/')) return tokenResponse();
+    const methodId = new URL(url).searchParams.get('rpcids');
+    if (methodId === __testing.RPCMethod.GET_NOTEBOOK) {
+      return rpcResponse(__testing.RPCMethod.GET_NOTEBOOK, [[null, []]]);
+    }
+    params = decodeRpcParams(options);
+    return rpcResponse(__testing.RPCMethod.ADD_SOURCE, [['source-id-12345']]);
+  });
+
+  const source = await addTextSource('notebook-id-12345', 'Paywalled article', '  Body text  ');
+  assert.equal(source.id, 'source-id-12345');
+  assert.equal(source.title, 'Paywalled article');
+  assert.deepEqual(params, [
+    [[null, ['Paywalled article', 'Body text'], null, 2, null, null, null, null, null, null, 1]],
+    'notebook-id-12345',
+    __testing.requestTemplateOptions(),
+  ]);
+  await assert.rejects(() => addTextSource('notebook-id-12345', 'Empty', '   '), /empty/);
+});
+
+test('text source recovery adopts the new source with the same title', async () => {
+  let getNotebookCalls = 0;
+  installFetch(url => {
+    if (url.endsWith('/')) return tokenResponse();
+    const methodId = new URL(url).searchParams.get('rpcids');
+    if (methodId === __testing.RPCMethod.GET_NOTEBOOK) {
+      getNotebookCalls++;
+      const sources = [[['source-id-older'], 'Selection', null, [null, 2]]];
+      if (getNotebookCalls > 1) sources.push([['source-id-pasted'], 'Selection', null, [null, 1]]);
+      return rpcResponse(__testing.RPCMethod.GET_NOTEBOOK, [[null, sources]]);
+    }
+    if (methodId === __testing.RPCMethod.ADD_SOURCE) {
+      return mockResponse({ status: 503 });
+    }
+    throw new Error(`Unexpected URL ${url}`);
+  });
+
+  const source = await addTextSource('notebook-id-12345', 'Selection', 'Quoted passage');
+  assert.equal(source.id, 'source-id-pasted');
+  assert.equal(getNotebookCalls, 2);
+});
+
+function stalledResponse() {
+  const response = mockResponse();
+  response.text = async () => new Promise(() => {});
+  return response;
+}
+
+test('notebook creation adopts the new notebook after its response stalls', async () => {
+  __testing.setMutationTimeout(1);
+  let listCalls = 0;
+  installFetch(url => {
+    if (url.endsWith('/')) return tokenResponse();
+    const methodId = rpcMethodId(url);
+    if (methodId === __testing.RPCMethod.CREATE_NOTEBOOK) return stalledResponse();
+    if (methodId === __testing.RPCMethod.LIST_NOTEBOOKS) {
+      listCalls++;
+      const existing = ['Paper notes', [], 'notebook-id-existing'];
+      const committed = ['Paper notes', [], 'notebook-id-committed'];
+      return rpcResponse(__testing.RPCMethod.LIST_NOTEBOOKS, [listCalls === 1 ? [existing] : [existing, committed]]);
+    }
+    throw new Error(`Unexpected URL ${url}`);
+  });
+
+  const notebook = await createNotebook('Paper notes');
+  assert.deepEqual(notebook, { id: 'notebook-id-committed', title: 'Paper notes' });
+  assert.equal(listCalls, 2);
+});
+
+test('notebook creation proceeds when the baseline listing fails', async () => {
+  let createCalls = 0;
+  installFetch(url => {
+    if (url.endsWith('/')) return tokenResponse();
+    if (rpcMethodId(url) === __testing.RPCMethod.LIST_NOTEBOOKS) return mockResponse({ status: 400 });
+    createCalls++;
+    return rpcResponse(__testing.RPCMethod.CREATE_NOTEBOOK, [['notebook-id-12345']]);
+  });
+
+  const notebook = await createNotebook('Paper notes');
+  assert.equal(notebook.id, 'notebook-id-12345');
+  assert.equal(createCalls, 1);
+});
+
+test('a stalled mutation without a baseline is reported, not reconciled', async () => {
+  __testing.setMutationTimeout(1);
+  let listCalls = 0;
+  installFetch(url => {
+    if (url.endsWith('/')) return tokenResponse();
+    const methodId = rpcMethodId(url);
+    if (methodId === __testing.RPCMethod.CREATE_NOTEBOOK) return stalledResponse();
+    if (methodId === __testing.RPCMethod.LIST_NOTEBOOKS) {
+      listCalls++;
+      return mockResponse({ status: 400 });
+    }
+    throw new Error(`Unexpected URL ${url}`);
+  });
+
+  await assert.rejects(
+    () => createNotebook('Paper notes'),
+    error => error.code === 'TRANSIENT_MUTATION_UNCERTAIN'
+  );
+  assert.equal(listCalls, 1);
+});
+
+test('file registration adopts the new source with the same filename after its response stalls', async () => {
+  __testing.setMutationTimeout(1);
+  let probeCount = 0;
+  installFetch(url => {
+    if (url.endsWith('/')) return tokenResponse();
+    const methodId = rpcMethodId(url);
+    if (methodId === __testing.RPCMethod.ADD_SOURCE_FILE) return stalledResponse();
+    if (methodId === __testing.RPCMethod.GET_NOTEBOOK) {
+      probeCount++;
+      const source = [['source-id-uploaded'], 'paper.pdf', [], [null, 5]];
+      return rpcResponse(__testing.RPCMethod.GET_NOTEBOOK, [[null, probeCount === 1 ? [] : [source]]]);
+    }
+    if (url.startsWith('https://notebook.google.com/upload/_/')) {
+      return mockResponse({ headers: { 'x-goog-upload-url': 'https://upload.example/finalize' } });
+    }
+    if (url === 'https://upload.example/finalize') return mockResponse();
+    throw new Error(`Unexpected URL ${url}`);
+  });
+
+  const source = await addFileSource('notebook-id-12345', 'paper.pdf', [1, 2, 3], 'application/pdf');
+  assert.equal(source.id, 'source-id-uploaded');
+});
+
+test('artifact creation adopts the new artifact of the same type after its response stalls', async () => {
+  __testing.setMutationTimeout(1);
+  let listCalls = 0;
+  installFetch(url => {
+    if (url.endsWith('/')) return tokenResponse();
+    const methodId = rpcMethodId(url);
+    if (methodId === __testing.RPCMethod.CREATE_ARTIFACT) return stalledResponse();
+    if (methodId === __testing.RPCMethod.LIST_ARTIFACTS) {
+      listCalls++;
+      const olderAudio = ['artifact-id-older', 'Older', 1, null, 3];
+      const newReport = ['artifact-id-report', 'Report', 2, null, 1];
+      const newAudio = ['artifact-id-audio', 'Audio', 1, null, 1];
+      return rpcResponse(__testing.RPCMethod.LIST_ARTIFACTS, [listCalls === 1 ? [olderAudio] : [olderAudio, newReport, newAudio]]);
+    }
+    throw new Error(`Unexpected URL ${url}`);
+  });
+
+  const result = await generateAudio('notebook-id-12345', ['source-id-12345']);
+  assert.deepEqual(result, { taskId: 'artifact-id-audio', status: 'pending' });
+});
+
 test('file upload registers with the migrated block and sends the MIME type', async () => {
   let registerParams;
   let uploadStartHeaders;
@@ -343,6 +651,9 @@ test('file upload registers with the migrated block and sends the MIME type', as
   installFetch((url, options) => {
     if (url === 'https://notebook.google.com/') return tokenResponse();
     if (url.includes('batchexecute')) {
+      if (rpcMethodId(url) === __testing.RPCMethod.GET_NOTEBOOK) {
+        return rpcResponse(__testing.RPCMethod.GET_NOTEBOOK, [[null, []]]);
+      }
       registerParams = decodeRpcParams(options);
       return rpcResponse(__testing.RPCMethod.ADD_SOURCE_FILE, [['source-id-12345']]);
     }
@@ -367,10 +678,77 @@ test('file upload registers with the migrated block and sends the MIME type', as
   assert.equal(finalized, true);
 });
 
+function fileUploadFetch(handleUpload) {
+  return installFetch((url, options) => {
+    if (url === 'https://notebook.google.com/') return tokenResponse();
+    if (url.includes('batchexecute')) {
+      if (rpcMethodId(url) === __testing.RPCMethod.GET_NOTEBOOK) {
+        return rpcResponse(__testing.RPCMethod.GET_NOTEBOOK, [[null, []]]);
+      }
+      return rpcResponse(__testing.RPCMethod.ADD_SOURCE_FILE, [['source-id-12345']]);
+    }
+    if (url.startsWith('https://notebook.google.com/upload/_/')) {
+      return mockResponse({ headers: { 'x-goog-upload-url': 'https://upload.example/session' } });
+    }
+    if (url === 'https://upload.example/session') return handleUpload(options);
+    throw new Error(`Unexpected URL ${url}`);
+  });
+}
+
+test('file upload sends offset chunks and finalizes with the last one', async () => {
+  __testing.setUploadChunkSize(4);
+  const commands = [];
+  const progress = [];
+  fileUploadFetch(async options => {
+    commands.push([
+      options.headers['x-goog-upload-command'],
+      options.headers['x-goog-upload-offset'],
+      [...new Uint8Array(await options.body.arrayBuffer())],
+    ]);
+    return mockResponse();
+  });
+
+  await addFileSource(
+    'notebook-id-12345', 'book.pdf', new Blob([Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 8, 9, 10)]), 'application/pdf',
+    update => progress.push(update.uploadedBytes)
+  );
+  assert.deepEqual(commands, [
+    ['upload', '0', [1, 2, 3, 4]],
+    ['upload', '4', [5, 6, 7, 8]],
+    ['upload, finalize', '8', [9, 10]],
+  ]);
+  assert.deepEqual(progress, [4, 8, 10]);
+});
+
+test('file upload queries the session and resumes after a network failure', async () => {
+  __testing.setUploadChunkSize(4);
+  const commands = [];
+  let failed = false;
+  fileUploadFetch(options => {
+    const command = options.headers['x-goog-upload-command'];
+    commands.push(`${command}@${options.headers['x-goog-upload-offset'] ?? '-'}`);
+    if (command === 'query') {
+      // The server kept half of the chunk whose response was lost.
+      return mockResponse({ headers: { 'x-goog-upload-status': 'active', 'x-goog-upload-size-received': '6' } });
+    }
+    if (options.headers['x-goog-upload-offset'] === '4' && !failed) {
+      failed = true;
+      throw new Error('connection reset');
+    }
+    return mockResponse();
+  });
+
+  await addFileSource('notebook-id-12345', 'book.pdf', [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.deepEqual(commands, ['upload@0', 'upload@4', 'query@-', 'upload, finalize@6']);
+});
+
 test('all CREATE_ARTIFACT builders use the full capability envelope', async () => {
   const captured = [];
   installFetch((url, options) => {
     if (url.endsWith('/')) return tokenResponse();
+    if (rpcMethodId(url) === __testing.RPCMethod.LIST_ARTIFACTS) {
+      return rpcResponse(__testing.RPCMethod.LIST_ARTIFACTS, [[]]);
+    }
     captured.push(decodeRpcParams(options));
     return rpcResponse(__testing.RPCMethod.CREATE_ARTIFACT, [['artifact-id-12345']]);
   });
@@ -396,6 +774,9 @@ test('quiz and flashcard options serialize as quantity then difficulty', async (
   const captured = [];
   installFetch((url, options) => {
     if (url.endsWith('/')) return tokenResponse();
+    if (rpcMethodId(url) === __testing.RPCMethod.LIST_ARTIFACTS) {
+      return rpcResponse(__testing.RPCMethod.LIST_ARTIFACTS, [[]]);
+    }
     captured.push(decodeRpcParams(options));
     return rpcResponse(__testing.RPCMethod.CREATE_ARTIFACT, [['artifact-id-12345']]);
   });
@@ -417,6 +798,9 @@ test('video styles use corrected wire values and custom prompt serialization', a
   const captured = [];
   installFetch((url, options) => {
     if (url.endsWith('/')) return tokenResponse();
+    if (rpcMethodId(url) === __testing.RPCMethod.LIST_ARTIFACTS) {
+      return rpcResponse(__testing.RPCMethod.LIST_ARTIFACTS, [[]]);
+    }
     captured.push(decodeRpcParams(options));
     return rpcResponse(__testing.RPCMethod.CREATE_ARTIFACT, [['artifact-id-12345']]);
   });
@@ -439,6 +823,9 @@ test('infographic native style is placed in the sixth configuration slot', async
   let params;
   installFetch((url, options) => {
     if (url.endsWith('/')) return tokenResponse();
+    if (rpcMethodId(url) === __testing.RPCMethod.LIST_ARTIFACTS) {
+      return rpcResponse(__testing.RPCMethod.LIST_ARTIFACTS, [[]]);
+    }
     params = decodeRpcParams(options);
     return rpcResponse(__testing.RPCMethod.CREATE_ARTIFACT, [['artifact-id-12345']]);
   });
@@ -516,10 +903,37 @@ test('confirmed authentication failure refreshes tokens and retries once', async
   assert.equal(rpcAttempts, 2);
 });
 
+test('thrown errors carry a stable code matching their message prefix', async () => {
+  installFetch(url => {
+    if (url.endsWith('/')) return mockResponse({ body: '<html>Sign in</html>' });
+    throw new Error('unexpected RPC');
+  });
+  await assert.rejects(
+    () => fetchTokens(),
+    error => error.code === ErrorCode.AUTH_REQUIRED && error.message.startsWith('AUTH_REQUIRED: ')
+  );
+
+  installFetch(url => {
+    if (url.endsWith('/')) return tokenResponse();
+    throw new Error('connection reset');
+  });
+  await assert.rejects(
+    () => listSources('notebook-id-12345'),
+    error => error.code === ErrorCode.NETWORK_ERROR
+  );
+  await assert.rejects(
+    () => addTextSource('notebook-id-12345', 'Empty', ''),
+    error => error.code === ErrorCode.INVALID_INPUT
+  );
+});
+
 test('mutating calls are not retried after an ambiguous transient failure', async () => {
   let rpcAttempts = 0;
   installFetch(url => {
     if (url.endsWith('/')) return tokenResponse();
+    if (rpcMethodId(url) === __testing.RPCMethod.LIST_NOTEBOOKS) {
+      return rpcResponse(__testing.RPCMethod.LIST_NOTEBOOKS, [[]]);
+    }
     rpcAttempts++;
     return mockResponse({ status: 503 });
   });
@@ -535,6 +949,9 @@ test('mutating calls are not retried after a network failure', async () => {
   let rpcAttempts = 0;
   installFetch(url => {
     if (url.endsWith('/')) return tokenResponse();
+    if (rpcMethodId(url) === __testing.RPCMethod.LIST_NOTEBOOKS) {
+      return rpcResponse(__testing.RPCMethod.LIST_NOTEBOOKS, [[]]);
+    }
     rpcAttempts++;
     throw new Error('connection reset');
   });
@@ -585,3 +1002,43 @@ test('artifact status 1 is pending and status 2 is processing', async () => {
   assert.equal(pending.get('artifact-id-12345').status, 'pending');
   assert.equal(processing.get('artifact-id-12345').status, 'in_progress');
 });
+
+test('artifact media lookup returns the published URL of each media type', async () => {
+  const audio = [];
+  audio[0] = 'audio-artifact-1234';
+  audio[1] = 'Deep dive';
+  audio[2] = 1;
+  audio[4] = 3;
+  audio[6] = [];
+  audio[6][5] = [['https://media.example/audio.hls', 2, 'application/x-mpegURL'], ['https://media.example/audio.m4a', 1, 'audio/mp4']];
+
+  const slides = [];
+  slides[0] = 'slides-artifact-1234';
+  slides[2] = 8;
+  slides[4] = 3;
+  slides[16] = [null, null, null, 'https://media.example/deck.pdf'];
+
+  const pendingVideo = [];
+  pendingVideo[0] = 'video-artifact-1234';
+  pendingVideo[2] = 3;
+  pendingVideo[4] = 2;
+
+  installFetch(url => {
+    if (url.endsWith('/')) return tokenResponse();
+    return rpcResponse(__testing.RPCMethod.LIST_ARTIFACTS, [[audio, slides, pendingVideo]]);
+  });
+
+  assert.deepEqual(await getArtifactMedia('notebook-id-12345', 'audio-artifact-1234'), {
+    id: 'audio-artifact-1234',
+    typeCode: 1,
+    title: 'Deep dive',
+    url: 'https://media.example/audio.m4a',
+    mimeType: 'audio/mp4',
+  });
+  const deck = await getArtifactMedia('notebook-id-12345', 'slides-artifact-1234');
+  assert.equal(deck.url, 'https://media.example/deck.pdf');
+  assert.equal(deck.mimeType, 'application/pdf');
+  assert.equal(deck.title, null);
+  assert.equal(await getArtifactMedia('notebook-id-12345', 'video-artifact-1234'), null);
+  assert.equal(await getArtifactMedia('notebook-id-12345', 'missing-artifact-1234'), null);
+});
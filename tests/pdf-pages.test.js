@@ -0,0 +1,199 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openPdf } from '../pdf-pages.js';
+
+function concatBytes(parts) {
+  const chunks = parts.map(part => (typeof part === 'string' ? Uint8Array.from(part, c => c.charCodeAt(0)) : part));
+  const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let pos = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, pos);
+    pos += chunk.length;
+  }
+  return out;
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// objects[i] is the body of object i + 1; classic xref table.
+function buildPdf(objects, trailerExtra = '') {
+  let out = '%PDF-1.7\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(out.length);
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${trailerExtra} >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return concatBytes([out]);
+}
+
+function contentStream(text) {
+  const data = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  return `<< /Length ${data.length} >>\nstream\n${data}\nendstream`;
+}
+
+// Six pages sharing inherited resources, with an outline reaching pages
+// through a direct /Dest, a GoTo action and a named destination.
+function buildBook() {
+  const pageNums = [4, 5, 6, 7, 8, 9];
+  return buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R /Outlines 3 0 R /Names << /Dests 20 0 R >> >>',
+    `<< /Type /Pages /Kids [${pageNums.map(n => `${n} 0 R`).join(' ')}] /Count 6 /MediaBox [0 0 612 792] /Resources << /Font << /F1 21 0 R >> >> >>`,
+    '<< /Type /Outlines /First 16 0 R /Last 19 0 R /Count 4 >>',
+    ...pageNums.map((n, i) => `<< /Type /Page /Parent 2 0 R /Contents ${10 + i} 0 R /Annots [<< /Type /Annot /Subtype /Link /Dest [${pageNums[(i + 1) % 6]} 0 R /Fit] >>] >>`),
+    ...pageNums.map((_, i) => contentStream(`Page ${i + 1}`)),
+    '<< /Title (Chapter 1) /Parent 3 0 R /Next 18 0 R /First 17 0 R /Last 17 0 R /Dest [4 0 R /XYZ 0 792 0] >>',
+    '<< /Title <FEFF00530065006300740069006F006E00200031002E0031> /Parent 16 0 R /Dest [5 0 R /Fit] >>',
+    '<< /Title (Chapter 2) /Parent 3 0 R /Prev 16 0 R /Next 19 0 R /A << /S /GoTo /D [7 0 R /Fit] >> >>',
+    '<< /Title (Chapter 3) /Parent 3 0 R /Prev 18 0 R /Dest (ch3) >>',
+    '<< /Kids [<< /Limits [(ch1) (ch3)] /Names [(ch1) [4 0 R /Fit] (ch3) << /D [9 0 R /Fit] >>] >>] >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ]);
+}
+
+function pageText(doc, index) {
+  const contents = doc.get(doc.pages[index].dict.get('Contents'));
+  return new TextDecoder().decode(contents.data).match(/\((.*)\)/)[1];
+}
+
+test('pdf outline lists chapters with the pages up to the next chapter', async () => {
+  const doc = await openPdf(buildBook());
+
+  assert.equal(doc.pageCount, 6);
+  assert.deepEqual(doc.chapters(), [
+    { title: 'Chapter 1', depth: 0, startPage: 1, endPage: 3 },
+    { title: 'Section 1.1', depth: 1, startPage: 2, endPage: 3 },
+    { title: 'Chapter 2', depth: 0, startPage: 4, endPage: 5 },
+    { title: 'Chapter 3', depth: 0, startPage: 6, endPage: 6 },
+  ]);
+});
+
+test('extracted pdf keeps the chosen pages with inherited attributes', async () => {
+  const source = await openPdf(buildBook());
+  const bytes = source.extractPages([4, 2, 4]);
+  const doc = await openPdf(bytes);
+
+  assert.equal(doc.pageCount, 2);
+  assert.equal(pageText(doc, 0), 'Page 4');
+  assert.equal(pageText(doc, 1), 'Page 2');
+  const page = doc.pages[0].dict;
+  assert.deepEqual(doc.get(page.get('MediaBox')), [0, 0, 612, 792]);
+  assert.equal(doc.get(doc.get(doc.get(page.get('Resources')).get('Font')).get('F1')).get('BaseFont').name, 'Helvetica');
+  assert.equal(page.has('Annots'), false);
+  assert.deepEqual(doc.chapters(), []);
+  // Only the two pages, their contents and the shared font are copied.
+  assert.equal(doc.xref.size, 8);
+});
+
+test('pdf reader follows xref streams into compressed object streams', async () => {
+  const objectBodies = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 100 100] /Contents 4 0 R >>',
+  ];
+  let header = '';
+  let body = '';
+  objectBodies.forEach((objectBody, i) => {
+    header += `${i + 1} ${body.length} `;
+    body += `${objectBody}\n`;
+  });
+  const objectStream = await deflate(concatBytes([header + body]));
+
+  const parts = ['%PDF-1.7\n'];
+  const offsets = {};
+  const length = () => concatBytes(parts).length;
+  offsets[4] = length();
+  parts.push(`4 0 obj\n${contentStream('Only page')}\nendobj\n`);
+  offsets[5] = length();
+  parts.push(`5 0 obj\n<< /Type /ObjStm /N 3 /First ${header.length} /Filter /FlateDecode /Length ${objectStream.length} >>\nstream\n`, objectStream, '\nendstream\nendobj\n');
+  offsets[6] = length();
+
+  // W [1 2 1] rows, PNG "Up" filtered as most writers do.
+  const rows = [
+    [0, 0, 0, 0],
+    [2, 0, 5, 0],
+    [2, 0, 5, 1],
+    [2, 0, 5, 2],
+    [1, offsets[4] >> 8, offsets[4] & 0xFF, 0],
+    [1, offsets[5] >> 8, offsets[5] & 0xFF, 0],
+    [1, offsets[6] >> 8, offsets[6] & 0xFF, 0],
+  ];
+  const filtered = rows.flatMap((row, r) => [2, ...row.map((b, i) => (b - (r > 0 ? rows[r - 1][i] : 0)) & 0xFF)]);
+  const xrefStream = await deflate(Uint8Array.from(filtered));
+  parts.push(
+    `6 0 obj\n<< /Type /XRef /Size 7 /W [1 2 1] /Root 1 0 R /Filter /FlateDecode /DecodeParms << /Predictor 12 /Columns 4 >> /Length ${xrefStream.length} >>\nstream\n`,
+    xrefStream,
+    `\nendstream\nendobj\nstartxref\n${offsets[6]}\n%%EOF\n`
+  );
+
+  const doc = await openPdf(concatBytes(parts));
+  assert.equal(doc.pageCount, 1);
+  assert.equal(pageText(doc, 0), 'Only page');
+  assert.equal(pageText(await openPdf(doc.extractPages([1])), 0), 'Only page');
+});
+
+test('pdf reader takes compressed objects of hybrid files from the XRefStm stream', async () => {
+  const pageBody = '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 100 100] /Contents 4 0 R >>';
+  const objectStream = concatBytes([`3 0 ${pageBody}\n`]);
+
+  const parts = ['%PDF-1.5\n'];
+  const offsets = {};
+  const length = () => concatBytes(parts).length;
+  const addObject = (num, ...body) => {
+    offsets[num] = length();
+    parts.push(`${num} 0 obj\n`, ...body, '\nendobj\n');
+  };
+  addObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  addObject(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  addObject(4, contentStream('Hybrid page'));
+  addObject(5, `<< /Type /ObjStm /N 1 /First 4 /Length ${objectStream.length} >>\nstream\n`, objectStream, '\nendstream');
+  // Only object 3 is listed, as living at index 0 of object stream 5.
+  addObject(6, '<< /Type /XRef /Size 7 /W [1 2 1] /Index [3 1] /Length 4 >>\nstream\n', Uint8Array.from([2, 0, 5, 0]), '\nendstream');
+
+  // Older readers see object 3 as free in the classic table.
+  const entry = num => `${String(offsets[num]).padStart(10, '0')} 00000 n \n`;
+  const xrefOffset = length();
+  parts.push(
+    'xref\n0 7\n0000000000 65535 f \n',
+    entry(1), entry(2), '0000000000 00001 f \n', entry(4), entry(5), entry(6),
+    `trailer\n<< /Size 7 /Root 1 0 R /XRefStm ${offsets[6]} >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  const doc = await openPdf(concatBytes(parts));
+  assert.equal(doc.pageCount, 1);
+  assert.deepEqual(doc.xref.get(3), { stream: 5, index: 0 });
+  assert.equal(pageText(doc, 0), 'Hybrid page');
+});
+
+test('pdf reader rebuilds damaged cross-reference data by scanning objects', async () => {
+  const bytes = buildBook();
+  const text = new TextDecoder('latin1').decode(bytes);
+  const broken = concatBytes([text.replace(/startxref\n\d+/, 'startxref\n99999')]);
+
+  const doc = await openPdf(broken);
+  assert.equal(doc.pageCount, 6);
+  assert.equal(pageText(doc, 5), 'Page 6');
+});
+
+test('pdf reader rejects encrypted files and non-PDF data', async () => {
+  const encrypted = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [] /Count 0 >>',
+    '<< /Filter /Standard /V 2 >>',
+  ], ' /Encrypt 3 0 R');
+
+  await assert.rejects(openPdf(encrypted), { code: 'INVALID_INPUT', message: /encrypted/ });
+  // Rebuilt without a usable trailer, the catalog is found by scanning.
+  const damaged = new TextDecoder('latin1').decode(encrypted)
+    .replace('/Root 1 0 R', '/Info 1 0 R')
+    .replace(/startxref\n\d+/, 'startxref\n99999');
+  await assert.rejects(openPdf(concatBytes([damaged])), /encrypted/);
+  await assert.rejects(openPdf(concatBytes(['not a pdf at all'])), { code: 'NOT_A_PDF', message: /not a PDF/ });
+});
@@ -0,0 +1,55 @@
+/**
+ * Local stand-in for a webhook endpoint: prints every pipeline event the
+ * extension POSTs and checks its signature.
+ *
+ *   WEBHOOK_SECRET=my-secret node tools/webhook-receiver.js [port]
+ *
+ * Then set the extension's webhook endpoint to http://localhost:8765/hook
+ * (or the chosen port) and the same signing secret.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const port = Number(process.argv[2]) || 8765;
+const secret = process.env.WEBHOOK_SECRET || '';
+
+function signatureMatches(body, header) {
+  if (!secret) return null;
+  const expected = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+  const received = String(header || '');
+  return received.length === expected.length && timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const verified = signatureMatches(body, req.headers['x-notebooklm-signature']);
+    if (verified === false) {
+      console.warn(`[${new Date().toISOString()}] rejected ${req.headers['x-notebooklm-event']}: bad signature`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+    const artifact = event.artifact ? ` ${event.artifact.type}=${event.artifact.status}` : '';
+    const notebook = event.notebook?.url ? ` ${event.notebook.url}` : '';
+    console.log(`[${event.timestamp}] ${event.event}${artifact} job=${event.jobId || '-'}${notebook}${verified ? ' (signed)' : ''}`);
+    if (event.error) console.log(`  error: ${event.error}`);
+    res.writeHead(204).end();
+  });
+}).listen(port, '127.0.0.1', () => {
+  console.log(`Listening on http://localhost:${port}/hook${secret ? ' (checking signatures)' : ''}`);
+});
@@ -0,0 +1,74 @@
+/**
+ * IndexedDB store for local files handed between the popup, the background
+ * service worker and the offscreen document.
+ *
+ * Files travel as Blobs, since a runtime message would need a base64 copy a
+ * third larger. Jobs refer to a file by key until its upload has finished;
+ * the background deletes it then, and prunes files no job picked up.
+ */
+
+const UPLOAD_DB_NAME = 'pipeline-uploads';
+const UPLOAD_STORE_NAME = 'files';
+
+function openUploadDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(UPLOAD_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(UPLOAD_STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run fn(store) in one transaction; resolves with the result of the request fn returns.
+async function withUploadStore(mode, fn) {
+    const db = await openUploadDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(UPLOAD_STORE_NAME, mode);
+            const request = fn(tx.objectStore(UPLOAD_STORE_NAME));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Could not store the file'));
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// Keys start with the time the file was stored (see uploadFileStoredAt).
+function newUploadFileKey() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function uploadFileStoredAt(key) {
+    return parseInt(key, 10) || 0;
+}
+
+// Store a Blob and return its key.
+async function storeUploadFile(blob) {
+    const key = newUploadFileKey();
+    await withUploadStore('readwrite', store => store.put(blob, key));
+    return key;
+}
+
+function readUploadFile(key) {
+    return withUploadStore('readonly', store => store.get(key));
+}
+
+function deleteUploadFiles(keys) {
+    return withUploadStore('readwrite', store => {
+        keys.forEach(key => store.delete(key));
+    });
+}
+
+function listUploadFileKeys() {
+    return withUploadStore('readonly', store => store.getAllKeys());
+}
+
+export {
+    storeUploadFile,
+    readUploadFile,
+    deleteUploadFiles,
+    listUploadFileKeys,
+    uploadFileStoredAt,
+};